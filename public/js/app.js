@@ -5,15 +5,78 @@
  * Acts as the composition root following Dependency Inversion Principle.
  */
 
-import { SearchType } from "./config.js";
+import {
+  CONFIG,
+  DrawMode,
+  CoordinateSystem,
+  CsvExportMode,
+  GeometryCheck,
+  ObjectType,
+  SearchType,
+} from "./config.js";
 import { searchService } from "./services/SearchService.js";
 import { uldkService } from "./services/UldkService.js";
+import { isAbortError } from "./services/RequestScheduler.js";
+import { cacheService } from "./services/CacheService.js";
+import { projectService } from "./services/ProjectService.js";
 import { mapService } from "./services/MapService.js";
+import { spatialSelectionService } from "./services/SpatialSelectionService.js";
 import { analyticsService } from "./services/AnalyticsService.js";
 import { parseWkt, extractVertices } from "./utils/WktParser.js";
+import { isSameGeometry } from "./utils/GeometryUtils.js";
+import { coordinateTransformer } from "./utils/CoordinateTransformer.js";
+import { calculateArea, calculatePerimeter } from "./utils/AreaCalculator.js";
+import {
+  compareAreas,
+  parseRegisterAreaCsv,
+  generateAreaComparisonCsv,
+} from "./utils/AreaComparison.js";
+import {
+  buildBoundaryPointRegister,
+  getPointNumber,
+  generateBoundaryPointCsv,
+  generateBoundaryPointTxt,
+} from "./utils/BoundaryPointRegister.js";
+import {
+  analyzeTopology,
+  generateSharedBoundaryCsv,
+  generateTopologyGroupsCsv,
+} from "./utils/TopologyAnalyzer.js";
+import { dissolveParcels } from "./utils/ParcelDissolver.js";
+import {
+  createOverlayZones,
+  analyzeOverlay,
+  generateOverlayCsv,
+} from "./utils/OverlayAnalyzer.js";
+import {
+  IMPORT_EXTENSIONS,
+  importFile,
+  importRoute,
+  importOverlay,
+  isSupportedFile,
+} from "./utils/FileImporter.js";
+import {
+  analyzeCorridor,
+  generateCorridorReportCsv,
+} from "./utils/CorridorAnalyzer.js";
 import { downloadKmlWithLayers } from "./utils/KmlExporter.js";
 import { downloadGpkgWithLayers } from "./utils/GeopkgExporter.js";
 import { downloadGeojsonWithLayers } from "./utils/GeojsonExporter.js";
+import { generateDxf } from "./utils/DxfExporter.js";
+import { generateShapefileWithLayers } from "./utils/ShapefileExporter.js";
+import { CSV_COLUMNS, generateCsv } from "./utils/CsvExporter.js";
+import { generateGpxWithLayers } from "./utils/GpxExporter.js";
+import { downloadParcelReport } from "./utils/PdfReportGenerator.js";
+import {
+  ImportStatus,
+  parseParcelIdList,
+  generateImportReportCsv,
+} from "./utils/BulkImportParser.js";
+import { encodePermalink, decodePermalink } from "./utils/PermalinkCodec.js";
+import {
+  downloadFile,
+  getTimestampedFilename,
+} from "./utils/FileDownloader.js";
 
 class App {
   // Parcel list (multiple parcels)
@@ -23,13 +86,44 @@ class App {
   _coordinateQueue = [];
   _nextQueueId = 1;
 
-  // Fixed color for all parcels
-  _parcelColor = "#c62828";
-
   // View state
   _showingPolygons = true;
   _showingPoints = false;
 
+  // Entries of the last bulk import (for the downloadable report)
+  _bulkImportEntries = [];
+
+  // Abort controllers of running batches (null when idle)
+  _queueAbortController = null;
+  _bulkImportAbortController = null;
+  _spatialSelectionAbortController = null;
+  _neighboursAbortController = null;
+  _permalinkAbortController = null;
+  _recheckAbortController = null;
+
+  // Button of the drawing tool in use (null when not drawing)
+  _activeDrawButton = null;
+
+  // Last route corridor: {routes, bufferMeters, analysis} (null when cleared)
+  _corridor = null;
+  _corridorAbortController = null;
+
+  // IDs of list items ticked for dissolving and the last dissolved outline
+  _selectedParcelIds = new Set();
+  _outline = null;
+
+  // Uploaded zone layer: {name, zones, analysis, cache} (null when cleared)
+  _overlay = null;
+
+  // Register (EGiB) areas in m² by parcel ID - kept for IDs not in the list yet
+  _registerAreas = new Map();
+
+  // PDF report is being generated (maps are loaded one sheet at a time)
+  _reportRunning = false;
+
+  // Pending autosave timer of the active project
+  _saveTimer = null;
+
   // DOM elements cache
   _elements = {};
 
@@ -38,13 +132,25 @@ class App {
    */
   initialize() {
     this._cacheElements();
+    this._renderCsvExportOptions();
     this._initializeMap();
     this._bindEventListeners();
     this._updateUI();
 
+    // Restore last session (active project)
+    projectService.initialize();
+    this._applyProjectState(projectService.loadState());
+    this._updateProjectUI();
+
+    // Shared link opens on top of the restored session
+    this._openPermalink(window.location.hash);
+
     // Initialize analytics (handles consent banner)
     analyticsService.initialize();
 
+    // Drop expired cache entries in the background
+    cacheService.pruneExpired().then(() => this._updateCachePanel());
+
     console.log("Parcelizator initialized");
   }
 
@@ -55,6 +161,7 @@ class App {
   _cacheElements() {
     this._elements = {
       searchInput: document.getElementById("searchInput"),
+      objectTypeSelect: document.getElementById("objectTypeSelect"),
       searchResults: document.getElementById("searchResults"),
       searchContainer: document.querySelector(".search-container"),
       addParcelBtn: document.getElementById("addParcelBtn"),
@@ -64,23 +171,153 @@ class App {
       queueItems: document.getElementById("queueItems"),
       queueCount: document.getElementById("queueCount"),
       processQueueBtn: document.getElementById("processQueueBtn"),
+      cancelQueueBtn: document.getElementById("cancelQueueBtn"),
       clearQueueBtn: document.getElementById("clearQueueBtn"),
       // Parcel list elements
       parcelList: document.getElementById("parcelList"),
       parcelListItems: document.getElementById("parcelListItems"),
+      neighboursProgress: document.getElementById("neighboursProgress"),
+      neighboursProgressFill: document.getElementById("neighboursProgressFill"),
+      neighboursProgressLabel: document.getElementById(
+        "neighboursProgressLabel"
+      ),
+      neighboursCancelBtn: document.getElementById("neighboursCancelBtn"),
+      permalinkProgress: document.getElementById("permalinkProgress"),
+      permalinkProgressFill: document.getElementById("permalinkProgressFill"),
+      permalinkProgressLabel: document.getElementById("permalinkProgressLabel"),
+      permalinkCancelBtn: document.getElementById("permalinkCancelBtn"),
       parcelListCount: document.getElementById("parcelListCount"),
       clearAllParcelsBtn: document.getElementById("clearAllParcelsBtn"),
+      shareLinkBtn: document.getElementById("shareLinkBtn"),
+      // Project elements
+      projectSelect: document.getElementById("projectSelect"),
+      newProjectBtn: document.getElementById("newProjectBtn"),
+      renameProjectBtn: document.getElementById("renameProjectBtn"),
+      duplicateProjectBtn: document.getElementById("duplicateProjectBtn"),
+      deleteProjectBtn: document.getElementById("deleteProjectBtn"),
+      // Bulk import elements
+      bulkImportInput: document.getElementById("bulkImportInput"),
+      bulkImportFile: document.getElementById("bulkImportFile"),
+      bulkImportBtn: document.getElementById("bulkImportBtn"),
+      bulkImportCancelBtn: document.getElementById("bulkImportCancelBtn"),
+      bulkImportProgress: document.getElementById("bulkImportProgress"),
+      bulkImportProgressFill: document.getElementById("bulkImportProgressFill"),
+      bulkImportProgressLabel: document.getElementById(
+        "bulkImportProgressLabel"
+      ),
+      bulkImportSummary: document.getElementById("bulkImportSummary"),
+      bulkImportSummaryText: document.getElementById("bulkImportSummaryText"),
+      bulkImportReportBtn: document.getElementById("bulkImportReportBtn"),
+      geoFileInput: document.getElementById("geoFileInput"),
+      importRecheckCheckbox: document.getElementById("importRecheckCheckbox"),
+      recheckProgress: document.getElementById("recheckProgress"),
+      recheckProgressFill: document.getElementById("recheckProgressFill"),
+      recheckProgressLabel: document.getElementById("recheckProgressLabel"),
+      recheckCancelBtn: document.getElementById("recheckCancelBtn"),
+      // Spatial selection elements
+      drawModeButtons: document.querySelectorAll("[data-draw-mode]"),
+      selectionBufferInput: document.getElementById("selectionBufferInput"),
+      selectionSpacingInput: document.getElementById("selectionSpacingInput"),
+      spatialSelectionProgress: document.getElementById(
+        "spatialSelectionProgress"
+      ),
+      spatialSelectionProgressFill: document.getElementById(
+        "spatialSelectionProgressFill"
+      ),
+      spatialSelectionProgressLabel: document.getElementById(
+        "spatialSelectionProgressLabel"
+      ),
+      spatialSelectionCancelBtn: document.getElementById(
+        "spatialSelectionCancelBtn"
+      ),
+      // Corridor elements
+      drawRouteBtn: document.getElementById("drawRouteBtn"),
+      routeFileInput: document.getElementById("routeFileInput"),
+      corridorBufferInput: document.getElementById("corridorBufferInput"),
+      corridorProgress: document.getElementById("corridorProgress"),
+      corridorProgressFill: document.getElementById("corridorProgressFill"),
+      corridorProgressLabel: document.getElementById("corridorProgressLabel"),
+      corridorCancelBtn: document.getElementById("corridorCancelBtn"),
+      corridorResults: document.getElementById("corridorResults"),
+      corridorSummary: document.getElementById("corridorSummary"),
+      corridorTableBody: document.getElementById("corridorTableBody"),
+      corridorCsvBtn: document.getElementById("corridorCsvBtn"),
+      clearCorridorBtn: document.getElementById("clearCorridorBtn"),
+      // Overlay elements
+      overlayFileInput: document.getElementById("overlayFileInput"),
+      overlayResults: document.getElementById("overlayResults"),
+      overlaySummary: document.getElementById("overlaySummary"),
+      overlayTableBody: document.getElementById("overlayTableBody"),
+      overlayCsvBtn: document.getElementById("overlayCsvBtn"),
+      fitOverlayBtn: document.getElementById("fitOverlayBtn"),
+      clearOverlayBtn: document.getElementById("clearOverlayBtn"),
+      // Dissolve elements
+      dissolveBtn: document.getElementById("dissolveBtn"),
+      dissolveResults: document.getElementById("dissolveResults"),
+      dissolveSummary: document.getElementById("dissolveSummary"),
+      fitOutlineBtn: document.getElementById("fitOutlineBtn"),
+      clearOutlineBtn: document.getElementById("clearOutlineBtn"),
+      // Register area comparison elements
+      registerAreaFileInput: document.getElementById("registerAreaFileInput"),
+      areaToleranceInput: document.getElementById("areaToleranceInput"),
+      areaComparison: document.getElementById("areaComparison"),
+      areaComparisonSummary: document.getElementById("areaComparisonSummary"),
+      areaComparisonTableBody: document.getElementById(
+        "areaComparisonTableBody"
+      ),
+      areaComparisonCsvBtn: document.getElementById("areaComparisonCsvBtn"),
+      // Boundary point register elements
+      boundaryPointsSection: document.getElementById("boundaryPointsSection"),
+      boundaryPointsSectionHeader: document.getElementById(
+        "boundaryPointsSectionHeader"
+      ),
+      boundaryPointsSummary: document.getElementById("boundaryPointsSummary"),
+      boundaryPointsTableBody: document.getElementById(
+        "boundaryPointsTableBody"
+      ),
+      boundaryPointsCsvBtn: document.getElementById("boundaryPointsCsvBtn"),
+      boundaryPointsTxtBtn: document.getElementById("boundaryPointsTxtBtn"),
+      // Topology elements
+      topologySection: document.getElementById("topologySection"),
+      topologySectionHeader: document.getElementById("topologySectionHeader"),
+      topologySummary: document.getElementById("topologySummary"),
+      topologyGroups: document.getElementById("topologyGroups"),
+      topologyTableBody: document.getElementById("topologyTableBody"),
+      topologyBoundariesCsvBtn: document.getElementById(
+        "topologyBoundariesCsvBtn"
+      ),
+      topologyGroupsCsvBtn: document.getElementById("topologyGroupsCsvBtn"),
+      // Cache panel elements
+      cacheSectionHeader: document.getElementById("cacheSectionHeader"),
+      cacheStats: document.getElementById("cacheStats"),
+      cacheList: document.getElementById("cacheList"),
+      refreshCacheBtn: document.getElementById("refreshCacheBtn"),
+      clearCacheBtn: document.getElementById("clearCacheBtn"),
       utilitiesLayerCheckbox: document.getElementById("utilitiesLayerCheckbox"),
       showPolygonsBtn: document.getElementById("showPolygonsBtn"),
       showPointsBtn: document.getElementById("showPointsBtn"),
+      coordinateSystemSelect: document.getElementById("coordinateSystemSelect"),
       downloadKmlBtn: document.getElementById("downloadKmlBtn"),
       downloadGpkgBtn: document.getElementById("downloadGpkgBtn"),
       downloadGeojsonBtn: document.getElementById("downloadGeojsonBtn"),
+      downloadDxfBtn: document.getElementById("downloadDxfBtn"),
+      downloadShpBtn: document.getElementById("downloadShpBtn"),
+      downloadGpxBtn: document.getElementById("downloadGpxBtn"),
+      downloadPdfBtn: document.getElementById("downloadPdfBtn"),
+      // CSV table export elements
+      csvModeSelect: document.getElementById("csvModeSelect"),
+      csvSeparatorSelect: document.getElementById("csvSeparatorSelect"),
+      csvDecimalCommaCheckbox: document.getElementById(
+        "csvDecimalCommaCheckbox"
+      ),
+      csvColumns: document.getElementById("csvColumns"),
+      downloadCsvBtn: document.getElementById("downloadCsvBtn"),
       status: document.getElementById("status"),
       stats: document.getElementById("stats"),
       parcelCount: document.getElementById("parcelCount"),
       pointCount: document.getElementById("pointCount"),
       totalArea: document.getElementById("totalArea"),
+      totalPerimeter: document.getElementById("totalPerimeter"),
       coordinatesBadge: document.querySelector(
         ".search-type-badge.coordinates"
       ),
@@ -100,6 +337,16 @@ class App {
     mapService.onMapClick((latlng) => {
       this._handleMapClick(latlng);
     });
+
+    // Import GeoJSON/KML/GeoPackage files dropped onto the map
+    mapService.onFileDrop((files) => {
+      this._handleGeoFiles(files);
+    });
+
+    // Map extent is part of the saved project state
+    mapService.onViewChange(() => {
+      this._scheduleSave();
+    });
   }
 
   /**
@@ -107,6 +354,34 @@ class App {
    * @private
    */
   _bindEventListeners() {
+    // Projects
+    this._elements.projectSelect.addEventListener("change", (e) => {
+      this._switchProject(e.target.value);
+    });
+
+    this._elements.newProjectBtn.addEventListener("click", () => {
+      this._createProject();
+    });
+
+    this._elements.renameProjectBtn.addEventListener("click", () => {
+      this._renameProject();
+    });
+
+    this._elements.duplicateProjectBtn.addEventListener("click", () => {
+      this._duplicateProject();
+    });
+
+    this._elements.deleteProjectBtn.addEventListener("click", () => {
+      this._deleteProject();
+    });
+
+    // Save pending changes when the tab is closed
+    window.addEventListener("beforeunload", () => {
+      if (this._saveTimer) {
+        this._saveProjectState();
+      }
+    });
+
     // Search input
     this._elements.searchInput.addEventListener("input", (e) => {
       this._handleSearchInput(e.target.value);
@@ -134,10 +409,174 @@ class App {
       this._processQueue();
     });
 
+    this._elements.cancelQueueBtn.addEventListener("click", () => {
+      this._queueAbortController?.abort();
+    });
+
     this._elements.clearQueueBtn.addEventListener("click", () => {
       this._clearQueue();
     });
 
+    // Bulk import
+    this._elements.bulkImportFile.addEventListener("change", (e) => {
+      this._handleBulkImportFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    this._elements.bulkImportBtn.addEventListener("click", () => {
+      this._handleBulkImport();
+    });
+
+    this._elements.bulkImportCancelBtn.addEventListener("click", () => {
+      this._bulkImportAbortController?.abort();
+    });
+
+    this._elements.bulkImportReportBtn.addEventListener("click", () => {
+      this._downloadBulkImportReport();
+    });
+
+    // GeoJSON/KML/GeoPackage import
+    this._elements.geoFileInput.addEventListener("change", (e) => {
+      this._handleGeoFiles(Array.from(e.target.files));
+      e.target.value = "";
+    });
+
+    this._elements.recheckCancelBtn.addEventListener("click", () => {
+      this._recheckAbortController?.abort();
+    });
+
+    // Spatial selection
+    this._elements.drawModeButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        const mode = button.dataset.drawMode;
+        this._startDrawing(button, mode, (points) =>
+          this._handleSpatialSelection(mode, points)
+        );
+      });
+    });
+
+    this._elements.spatialSelectionCancelBtn.addEventListener("click", () => {
+      this._spatialSelectionAbortController?.abort();
+    });
+
+    this._elements.neighboursCancelBtn.addEventListener("click", () => {
+      this._neighboursAbortController?.abort();
+    });
+
+    // Shared link
+    this._elements.permalinkCancelBtn.addEventListener("click", () => {
+      this._permalinkAbortController?.abort();
+    });
+
+    // Route corridor
+    this._elements.drawRouteBtn.addEventListener("click", (e) => {
+      this._startDrawing(e.currentTarget, DrawMode.POLYLINE, (points) =>
+        this._handleCorridor([points])
+      );
+    });
+
+    this._elements.routeFileInput.addEventListener("change", (e) => {
+      this._handleRouteFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    this._elements.corridorCancelBtn.addEventListener("click", () => {
+      this._corridorAbortController?.abort();
+    });
+
+    this._elements.corridorCsvBtn.addEventListener("click", () => {
+      this._downloadCorridorReport();
+    });
+
+    this._elements.clearCorridorBtn.addEventListener("click", () => {
+      this._clearCorridor();
+    });
+
+    // Overlay
+    this._elements.overlayFileInput.addEventListener("change", (e) => {
+      this._handleOverlayFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    this._elements.overlayCsvBtn.addEventListener("click", () => {
+      this._downloadOverlayReport();
+    });
+
+    this._elements.fitOverlayBtn.addEventListener("click", () => {
+      mapService.fitToOverlay();
+    });
+
+    this._elements.clearOverlayBtn.addEventListener("click", () => {
+      this._clearOverlay();
+    });
+
+    // Dissolve
+    this._elements.dissolveBtn.addEventListener("click", () => {
+      this._handleDissolve();
+    });
+
+    this._elements.fitOutlineBtn.addEventListener("click", () => {
+      mapService.fitToOutline();
+    });
+
+    this._elements.clearOutlineBtn.addEventListener("click", () => {
+      this._clearOutline();
+    });
+
+    // Register area comparison
+    this._elements.registerAreaFileInput.addEventListener("change", (e) => {
+      this._handleRegisterAreaFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    this._elements.areaToleranceInput.addEventListener("change", () => {
+      this._updateParcelListUI();
+      this._scheduleSave();
+    });
+
+    this._elements.areaComparisonCsvBtn.addEventListener("click", () => {
+      this._downloadAreaComparison();
+    });
+
+    // Boundary point register - rendered only while the section is expanded
+    this._elements.boundaryPointsSectionHeader.addEventListener("click", () => {
+      this._updateBoundaryPoints();
+    });
+
+    this._elements.boundaryPointsCsvBtn.addEventListener("click", () => {
+      this._downloadBoundaryPoints("csv");
+    });
+
+    this._elements.boundaryPointsTxtBtn.addEventListener("click", () => {
+      this._downloadBoundaryPoints("txt");
+    });
+
+    // Topology - analyzed only while the section is expanded
+    this._elements.topologySectionHeader.addEventListener("click", () => {
+      this._updateTopology();
+    });
+
+    this._elements.topologyBoundariesCsvBtn.addEventListener("click", () => {
+      this._downloadTopology("granice_wspolne", generateSharedBoundaryCsv);
+    });
+
+    this._elements.topologyGroupsCsvBtn.addEventListener("click", () => {
+      this._downloadTopology("grupy_dzialek", generateTopologyGroupsCsv);
+    });
+
+    // Cache panel - refresh whenever the section is expanded
+    this._elements.cacheSectionHeader.addEventListener("click", () => {
+      this._updateCachePanel();
+    });
+
+    this._elements.refreshCacheBtn.addEventListener("click", () => {
+      this._updateCachePanel();
+    });
+
+    this._elements.clearCacheBtn.addEventListener("click", () => {
+      this._clearCache();
+    });
+
     // Queue mode toggle
     this._elements.queueModeCheckbox.addEventListener("change", (e) => {
       analyticsService.trackQueueModeToggle(e.target.checked);
@@ -146,6 +585,20 @@ class App {
     // Utilities layer toggle
     this._elements.utilitiesLayerCheckbox.addEventListener("change", (e) => {
       mapService.toggleUtilitiesLayer(e.target.checked);
+      this._scheduleSave();
+    });
+
+    // Coordinate system of exports, vertex tooltips and planar search input
+    this._elements.coordinateSystemSelect.addEventListener("change", () => {
+      mapService.setCoordinateSystem(this._getCoordinateSystem());
+      this._redrawMap();
+      this._updateBoundaryPoints();
+      this._scheduleSave();
+    });
+
+    // Shareable link
+    this._elements.shareLinkBtn.addEventListener("click", () => {
+      this._copyPermalink();
     });
 
     // Close search results when clicking outside
@@ -178,6 +631,30 @@ class App {
     this._elements.downloadGeojsonBtn.addEventListener("click", () => {
       this._handleDownloadGeojson();
     });
+
+    this._elements.downloadDxfBtn.addEventListener("click", () => {
+      this._handleDownloadDxf();
+    });
+
+    this._elements.downloadShpBtn.addEventListener("click", () => {
+      this._handleDownloadShapefile();
+    });
+
+    this._elements.downloadGpxBtn.addEventListener("click", () => {
+      this._handleDownloadGpx();
+    });
+
+    this._elements.downloadPdfBtn.addEventListener("click", () => {
+      this._handleDownloadReport();
+    });
+
+    this._elements.csvModeSelect.addEventListener("change", () => {
+      this._updateCsvColumnsState();
+    });
+
+    this._elements.downloadCsvBtn.addEventListener("click", () => {
+      this._handleDownloadCsv();
+    });
   }
 
   /**
@@ -243,26 +720,59 @@ class App {
     return this._elements.queueModeCheckbox?.checked ?? false;
   }
 
+  /**
+   * Get ULDK object type chosen next to the search input
+   * @private
+   */
+  _getSelectedObjectType() {
+    return this._elements.objectTypeSelect?.value ?? ObjectType.PARCEL;
+  }
+
+  /**
+   * Get configuration of an object type (label, color, layer names)
+   * @private
+   */
+  _getObjectDefinition(objectType = ObjectType.PARCEL) {
+    return (
+      CONFIG.OBJECT_TYPES[objectType] ?? CONFIG.OBJECT_TYPES[ObjectType.PARCEL]
+    );
+  }
+
+  /**
+   * Get loading message for a lookup of given object type
+   * @private
+   */
+  _getSearchingMessage(objectType = this._getSelectedObjectType()) {
+    const { label } = this._getObjectDefinition(objectType);
+    return `Szukam: ${label.toLowerCase()}...`;
+  }
+
   /**
    * Add coordinates - either to queue or directly fetch parcel
    * @private
    */
   async _addParcelByCoordinates(query) {
-    const coords = searchService.parseCoordinates(query);
+    const coords = searchService.parseCoordinates(
+      query,
+      this._getCoordinateSystem()
+    );
 
     if (!coords) {
-      throw new Error("Nieprawidłowy format współrzędnych");
+      throw new Error(
+        "Nie rozpoznano współrzędnych - dla wartości w metrach wybierz układ współrzędnych"
+      );
     }
 
     if (this._isQueueMode()) {
       this._addToQueue(coords.lat, coords.lng, "Współrzędne", { flyTo: true });
       this._elements.searchInput.value = "";
     } else {
-      // Direct mode - fetch parcel immediately
-      this._showStatus("Szukam działki...", "loading");
+      // Direct mode - fetch object immediately
+      this._showStatus(this._getSearchingMessage(), "loading");
       this._setAddButtonLoading(true);
       try {
-        const result = await uldkService.getParcelByCoordinates(
+        const result = await uldkService.getObjectByCoordinates(
+          this._getSelectedObjectType(),
           coords.lng,
           coords.lat
         );
@@ -277,15 +787,18 @@ class App {
   }
 
   /**
-   * Add parcel by ID
+   * Add parcel (or other ULDK object) by ID - object type is taken from the ID shape
    * @private
    */
   async _addParcelById(parcelId) {
-    this._showStatus("Szukam działki...", "loading");
+    const objectType =
+      searchService.detectObjectType(parcelId) ?? ObjectType.PARCEL;
+
+    this._showStatus(this._getSearchingMessage(objectType), "loading");
     this._setAddButtonLoading(true);
 
     try {
-      const result = await uldkService.getParcelById(parcelId);
+      const result = await uldkService.getObjectById(objectType, parcelId);
       await this._addParcelToList(result, { method: "parcel_id" });
     } catch (error) {
       this._showStatus(error.message, "error");
@@ -315,11 +828,12 @@ class App {
         { flyTo: true }
       );
     } else {
-      // Direct mode - fetch parcel immediately
-      this._showStatus("Szukam działki...", "loading");
+      // Direct mode - fetch object immediately
+      this._showStatus(this._getSearchingMessage(), "loading");
       this._setAddButtonLoading(true);
       try {
-        const result = await uldkService.getParcelByCoordinates(
+        const result = await uldkService.getObjectByCoordinates(
+          this._getSelectedObjectType(),
           Number.parseFloat(lng),
           Number.parseFloat(lat)
         );
@@ -345,11 +859,15 @@ class App {
     if (this._isQueueMode()) {
       this._addToQueue(lat, lng, "Klik na mapę");
     } else {
-      // Direct mode - fetch parcel immediately
-      this._showStatus("Szukam działki...", "loading");
+      // Direct mode - fetch object immediately
+      this._showStatus(this._getSearchingMessage(), "loading");
       this._setAddButtonLoading(true);
       try {
-        const result = await uldkService.getParcelByCoordinates(lng, lat);
+        const result = await uldkService.getObjectByCoordinates(
+          this._getSelectedObjectType(),
+          lng,
+          lat
+        );
         await this._addParcelToList(result, {
           fitBounds: false,
           method: "map_click",
@@ -374,23 +892,19 @@ class App {
     { fitBounds = true, method = "unknown" } = {}
   ) {
     try {
-      // Check if parcel already in list
+      const objectType = result.objectType ?? ObjectType.PARCEL;
+      const definition = this._getObjectDefinition(objectType);
+
+      // Check if object already in list
       if (this._parcels.some((p) => p.id === result.id)) {
-        this._showStatus(`Działka ${result.id} jest już na liście`, "error");
+        this._showStatus(
+          `${definition.label} ${result.id} jest już na liście`,
+          "error"
+        );
         return;
       }
 
-      // Parse WKT geometry
-      const geometry = parseWkt(result.wkt);
-      const vertices = extractVertices(geometry);
-
-      // Create parcel object
-      const parcel = {
-        id: result.id,
-        wkt: result.wkt,
-        geometry,
-        vertices,
-      };
+      const parcel = this._createParcel(result);
 
       // Add to list
       this._parcels.push(parcel);
@@ -398,19 +912,18 @@ class App {
       // Clear input
       this._elements.searchInput.value = "";
 
-      // Redraw map
-      this._redrawMap();
+      // Redraw map and update UI
+      this._refreshParcelViews();
 
       // Fit bounds to the newly added parcel if requested
       if (fitBounds) {
         mapService.fitToCoordinates(parcel.vertices);
       }
 
-      // Update UI
-      this._updateParcelListUI();
-      this._updateUI();
-      this._updateStats();
-      this._showStatus(`Dodano działkę: ${result.id}`, "success");
+      this._showStatus(
+        `Dodano ${definition.accusative}: ${result.id}`,
+        "success"
+      );
 
       // Track analytics
       analyticsService.trackParcelAdd(method, result.id);
@@ -421,34 +934,1778 @@ class App {
   }
 
   /**
-   * Remove parcel from list by ID
+   * Create parcel object from ULDK result (parses WKT geometry)
+   * @param {Object} result - ULDK API result
+   * @returns {Object} Parcel object stored in the list
    * @private
    */
-  _removeParcel(parcelId) {
-    this._parcels = this._parcels.filter((p) => p.id !== parcelId);
+  _createParcel(result) {
+    const geometry = parseWkt(result.wkt);
+    const vertices = extractVertices(geometry);
+
+    return {
+      id: result.id,
+      objectType: result.objectType ?? ObjectType.PARCEL,
+      wkt: result.wkt,
+      geometry,
+      vertices,
+      neighbourOf: result.neighbourOf ?? null,
+      attributes: {
+        voivodeship: result.voivodeship,
+        county: result.county,
+        commune: result.commune,
+        region: result.region,
+        parcel: result.parcel,
+        teryt: result.teryt,
+      },
+    };
+  }
+
+  /**
+   * Redraw map and refresh all views depending on the parcel list
+   * @private
+   */
+  _refreshParcelViews() {
     this._redrawMap();
     this._updateParcelListUI();
     this._updateUI();
     this._updateStats();
+    this._scheduleSave();
+  }
+
+  /**
+   * Remove parcel from list by ID
+   * @private
+   */
+  _removeParcel(parcelId) {
+    const removed = this._parcels.find((p) => p.id === parcelId);
+    this._parcels = this._parcels.filter((p) => p.id !== parcelId);
+    this._refreshParcelViews();
 
     if (this._parcels.length === 0) {
       this._hideStatus();
     } else {
-      this._showStatus(`Usunięto działkę: ${parcelId}`, "success");
+      const { accusative } = this._getObjectDefinition(removed?.objectType);
+      this._showStatus(`Usunięto ${accusative}: ${parcelId}`, "success");
+    }
+  }
+
+  /**
+   * Clear all parcels
+   * @private
+   */
+  _clearAllParcels() {
+    this._parcels = [];
+    mapService.clearAll();
+    this._clearOutline();
+    this._updateParcelListUI();
+    this._updateUI();
+    this._updateStats();
+    this._scheduleSave();
+    this._hideStatus();
+  }
+
+  // ==================== PROJECTS ====================
+
+  /**
+   * Collect working state of the active project
+   * @returns {Object} ProjectState
+   * @private
+   */
+  _getProjectState() {
+    return {
+      parcels: this._parcels.map((parcel) => ({
+        ...parcel.attributes,
+        objectType: parcel.objectType,
+        id: parcel.id,
+        wkt: parcel.wkt,
+        neighbourOf: parcel.neighbourOf,
+      })),
+      queue: this._coordinateQueue.map(({ lat, lng, label, objectType }) => ({
+        lat,
+        lng,
+        label,
+        objectType,
+      })),
+      showingPolygons: this._showingPolygons,
+      showingPoints: this._showingPoints,
+      showingUtilities: this._elements.utilitiesLayerCheckbox.checked,
+      baseLayer: mapService.getBaseLayerKey(),
+      view: mapService.getView(),
+      crs: this._getCoordinateSystem(),
+      registerAreas: Object.fromEntries(this._registerAreas),
+      areaTolerance: this._getAreaTolerance(),
+    };
+  }
+
+  /**
+   * Replace parcels, queue and view with saved project state
+   * @param {Object|null} state - ProjectState (null for a new project)
+   * @private
+   */
+  _applyProjectState(state) {
+    this._parcels = [];
+    this._coordinateQueue = [];
+    mapService.clearAll();
+    mapService.clearQueueMarkers();
+    this._clearOutline();
+
+    this._showingPolygons = state?.showingPolygons ?? true;
+    this._showingPoints = state?.showingPoints ?? false;
+
+    const showingUtilities = state?.showingUtilities ?? false;
+    this._elements.utilitiesLayerCheckbox.checked = showingUtilities;
+    mapService.toggleUtilitiesLayer(showingUtilities);
+    mapService.setBaseLayer(state?.baseLayer ?? "OSM");
+    // Projects saved before PL-2000/1965 support keep the choice as exportCrs
+    this._elements.coordinateSystemSelect.value = String(
+      state?.crs ?? state?.exportCrs ?? CoordinateSystem.WGS84
+    );
+    mapService.setCoordinateSystem(this._getCoordinateSystem());
+    this._registerAreas = new Map(Object.entries(state?.registerAreas ?? {}));
+    this._elements.areaToleranceInput.value =
+      state?.areaTolerance ?? CONFIG.AREA_COMPARISON.TOLERANCE_PERCENT;
+
+    (state?.parcels ?? []).forEach((result) => {
+      try {
+        this._parcels.push(this._createParcel(result));
+      } catch (error) {
+        console.warn(`Skipping saved parcel ${result.id}:`, error.message);
+      }
+    });
+
+    // Saved queue keeps its order (newest first)
+    (state?.queue ?? []).forEach((item) => {
+      const id = this._nextQueueId++;
+      mapService.addQueueMarker(item.lat, item.lng, id);
+      this._coordinateQueue.push({ ...item, id });
+    });
+
+    this._refreshParcelViews();
+    this._updateQueueUI();
+
+    if (state?.view) {
+      mapService.setView(state.view.lat, state.view.lng, state.view.zoom);
+    } else if (this._parcels.length > 0) {
+      mapService.fitToPolygons();
+    }
+  }
+
+  /**
+   * Save active project after a short delay (batches rapid changes)
+   * @private
+   */
+  _scheduleSave() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(
+      () => this._saveProjectState(),
+      CONFIG.PROJECTS.AUTOSAVE_DELAY
+    );
+  }
+
+  /**
+   * Save active project immediately
+   * @private
+   */
+  _saveProjectState() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+
+    try {
+      projectService.saveState(this._getProjectState());
+    } catch (error) {
+      console.error("Project save error:", error);
+      this._showStatus(error.message, "error");
     }
   }
 
   /**
-   * Clear all parcels
+   * Render project selector
+   * @private
+   */
+  _updateProjectUI() {
+    const activeProject = projectService.getActiveProject();
+    const projects = projectService.getProjects();
+
+    this._elements.projectSelect.innerHTML = "";
+    projects.forEach((project) => {
+      const option = document.createElement("option");
+      option.value = project.id;
+      option.textContent = project.name;
+      option.selected = project.id === activeProject.id;
+      this._elements.projectSelect.appendChild(option);
+    });
+
+    this._updateProjectControls();
+  }
+
+  /**
+   * Lock opening, creating, copying and deleting projects while objects are
+   * being fetched - results would be added to the project opened meanwhile
+   * @private
+   */
+  _updateProjectControls() {
+    const locked = Boolean(
+      this._queueAbortController ||
+        this._bulkImportAbortController ||
+        this._spatialSelectionAbortController ||
+        this._neighboursAbortController ||
+        this._permalinkAbortController ||
+        this._recheckAbortController ||
+        this._corridorAbortController
+    );
+
+    this._elements.projectSelect.disabled = locked;
+    this._elements.newProjectBtn.disabled = locked;
+    this._elements.duplicateProjectBtn.disabled = locked;
+    this._elements.deleteProjectBtn.disabled =
+      locked || projectService.getProjects().length <= 1;
+  }
+
+  /**
+   * Save current project and open another one
+   * @param {string} projectId - Project to open
+   * @private
+   */
+  _switchProject(projectId) {
+    this._saveProjectState();
+    this._applyProjectState(projectService.switchProject(projectId));
+    this._updateProjectUI();
+    this._showStatus(
+      `Otwarto projekt "${projectService.getActiveProject().name}"`,
+      "success"
+    );
+  }
+
+  /**
+   * Create empty project and open it
+   * @private
+   */
+  _createProject() {
+    const name = window.prompt("Nazwa nowego projektu:");
+    if (name === null) return;
+
+    this._switchProject(projectService.createProject(name).id);
+  }
+
+  /**
+   * Rename the active project
+   * @private
+   */
+  _renameProject() {
+    const project = projectService.getActiveProject();
+    const name = window.prompt("Nowa nazwa projektu:", project.name);
+    if (name === null) return;
+
+    projectService.renameProject(project.id, name);
+    this._updateProjectUI();
+  }
+
+  /**
+   * Copy the active project (with its current state) and open the copy
+   * @private
+   */
+  _duplicateProject() {
+    const project = projectService.getActiveProject();
+    const name = window.prompt(
+      "Nazwa kopii projektu:",
+      `${project.name} (kopia)`
+    );
+    if (name === null) return;
+
+    this._saveProjectState();
+    this._switchProject(projectService.duplicateProject(project.id, name).id);
+  }
+
+  /**
+   * Delete the active project and open the next one
+   * @private
+   */
+  _deleteProject() {
+    const project = projectService.getActiveProject();
+    if (!window.confirm(`Usunąć projekt "${project.name}" wraz z działkami?`)) {
+      return;
+    }
+
+    try {
+      // Drop pending autosave - it would recreate the deleted project state
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+
+      projectService.deleteProject(project.id);
+      this._applyProjectState(projectService.loadState());
+      this._updateProjectUI();
+      this._showStatus(`Usunięto projekt "${project.name}"`, "success");
+    } catch (error) {
+      this._showStatus(error.message, "error");
+    }
+  }
+
+  // ==================== PERMALINK ====================
+
+  /**
+   * Build shareable URL of the current parcel list and map view
+   * @returns {string} Absolute URL with permalink hash
+   * @private
+   */
+  _getPermalink() {
+    const hash = encodePermalink({
+      view: mapService.getView(),
+      baseLayer: mapService.getBaseLayerKey(),
+      layers: {
+        polygons: this._showingPolygons,
+        points: this._showingPoints,
+        utilities: this._elements.utilitiesLayerCheckbox.checked,
+      },
+      parcelIds: this._parcels.map((parcel) => parcel.id),
+    });
+
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${hash}`;
+  }
+
+  /**
+   * Copy permalink to clipboard (prompt with the link as a fallback)
+   * @private
+   */
+  async _copyPermalink() {
+    const url = this._getPermalink();
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this._showStatus("Skopiowano link do schowka", "success");
+    } catch (error) {
+      console.warn("Clipboard unavailable:", error);
+      window.prompt("Skopiuj link:", url);
+    }
+  }
+
+  /**
+   * Rebuild view encoded in URL hash - opens it as a new project and
+   * re-fetches all objects from ULDK
+   * @param {string} hash - location.hash
+   * @private
+   */
+  async _openPermalink(hash) {
+    const link = decodePermalink(hash);
+    if (!link) return;
+
+    // Drop hash so reloading the page does not open the link again
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", `${pathname}${search}`);
+
+    // Shared view gets its own project - current work stays intact
+    this._saveProjectState();
+    const project = projectService.createProject(
+      `Link z ${new Date().toLocaleString("pl-PL")}`
+    );
+    projectService.switchProject(project.id);
+
+    this._applyProjectState({
+      showingPolygons: link.layers.polygons,
+      showingPoints: link.layers.points,
+      showingUtilities: link.layers.utilities,
+      baseLayer: link.baseLayer,
+      view: link.view,
+    });
+    this._updateProjectUI();
+
+    if (link.parcelIds.length === 0) return;
+
+    const total = link.parcelIds.length;
+    this._permalinkAbortController = new AbortController();
+    const { signal } = this._permalinkAbortController;
+
+    this._setPermalinkRunning(true);
+    this._updatePermalinkProgress(0, total);
+    this._hideStatus();
+
+    let completedCount = 0;
+    let failedCount = 0;
+    let cancelled = false;
+
+    const parcels = await Promise.all(
+      link.parcelIds.map(async (id) => {
+        try {
+          const objectType =
+            searchService.detectObjectType(id) ?? ObjectType.PARCEL;
+          const result = await uldkService.getObjectById(objectType, id, {
+            signal,
+          });
+          return this._createParcel(result);
+        } catch (error) {
+          if (isAbortError(error)) {
+            cancelled = true;
+          } else {
+            failedCount++;
+            console.warn(`Permalink object ${id} not loaded:`, error.message);
+          }
+          return null;
+        } finally {
+          completedCount++;
+          this._updatePermalinkProgress(completedCount, total);
+        }
+      })
+    );
+
+    this._permalinkAbortController = null;
+    this._setPermalinkRunning(false);
+
+    // Keep the shared map view, fit to parcels only when the link has none
+    const addedCount = this._addParcelsBatch(parcels.filter(Boolean), {
+      fitBounds: !link.view,
+    });
+
+    const parts = [`Wczytano ${addedCount} obiektów z linku`];
+    if (failedCount > 0) parts.push(`${failedCount} błędów`);
+    if (cancelled) parts.push("przerwano");
+    this._showStatus(
+      parts.join(", "),
+      addedCount === 0 && failedCount > 0 ? "error" : "success"
+    );
+  }
+
+  /**
+   * Toggle shared link progress while its objects are being fetched
+   * @private
+   */
+  _setPermalinkRunning(running) {
+    this._elements.permalinkProgress.style.display = running ? "block" : "none";
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update shared link progress bar
+   * @private
+   */
+  _updatePermalinkProgress(completed, total) {
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 100;
+    this._elements.permalinkProgressFill.style.width = `${percent}%`;
+    this._elements.permalinkProgressLabel.textContent = `Pobieram obiekty z linku... (${completed}/${total})`;
+  }
+
+  // ==================== FILE IMPORT ====================
+
+  /**
+   * Import parcels from GeoJSON/KML/GeoPackage files (selected or dropped)
+   * @param {Array<File>} files - Files to import
+   * @private
+   */
+  async _handleGeoFiles(files) {
+    if (this._recheckAbortController) {
+      this._showStatus("Trwa sprawdzanie zgodności z ULDK", "error");
+      return;
+    }
+
+    const supportedFiles = files.filter(isSupportedFile);
+
+    if (supportedFiles.length === 0) {
+      this._showStatus(
+        `Nieobsługiwany format pliku. Dozwolone: ${IMPORT_EXTENSIONS.join(
+          ", "
+        )}`,
+        "error"
+      );
+      return;
+    }
+
+    this._showStatus("Wczytuję pliki...", "loading");
+
+    const parcels = [];
+    const errors = [];
+    let skippedCount = 0;
+
+    for (const file of supportedFiles) {
+      try {
+        const { results, skippedCount: skipped } = await importFile(file);
+        const fileParcels = results.map((result) =>
+          this._createParcel({
+            ...result,
+            objectType:
+              result.objectType ??
+              searchService.detectObjectType(result.id) ??
+              ObjectType.PARCEL,
+          })
+        );
+
+        parcels.push(...fileParcels);
+        skippedCount += skipped;
+        analyticsService.trackFileImport(
+          file.name.split(".").pop().toLowerCase(),
+          fileParcels.length
+        );
+      } catch (error) {
+        console.error(`File import error (${file.name}):`, error);
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    const addedCount = this._addParcelsBatch(parcels);
+    const addedParcels = parcels.filter((parcel) =>
+      this._parcels.includes(parcel)
+    );
+
+    const parts = [`Wczytano ${addedCount} obiektów`];
+    if (parcels.length > addedCount) {
+      parts.push(`${parcels.length - addedCount} już na liście`);
+    }
+    if (skippedCount > 0) {
+      parts.push(`${skippedCount} bez poprawnego identyfikatora pominięto`);
+    }
+    parts.push(...errors);
+    this._showStatus(parts.join(", "), addedCount > 0 ? "success" : "error");
+
+    if (this._elements.importRecheckCheckbox.checked && addedCount > 0) {
+      await this._recheckParcels(addedParcels);
+    }
+  }
+
+  /**
+   * Compare imported geometries with current ULDK data and flag changes
+   * @param {Array<Object>} parcels - Imported parcels from the list
+   * @private
+   */
+  async _recheckParcels(parcels) {
+    const total = parcels.length;
+    let completedCount = 0;
+    let cancelled = false;
+
+    this._recheckAbortController = new AbortController();
+    const { signal } = this._recheckAbortController;
+
+    this._setRecheckRunning(true);
+    this._updateRecheckProgress(0, total);
+
+    await Promise.all(
+      parcels.map(async (parcel) => {
+        try {
+          const result = await uldkService.getObjectById(
+            parcel.objectType,
+            parcel.id,
+            { skipCache: true, signal }
+          );
+          parcel.geometryCheck = isSameGeometry(
+            parcel.geometry,
+            parseWkt(result.wkt),
+            CONFIG.FILE_IMPORT.GEOMETRY_TOLERANCE
+          )
+            ? GeometryCheck.UNCHANGED
+            : GeometryCheck.CHANGED;
+        } catch (error) {
+          // Cancelled parcels stay unchecked
+          if (isAbortError(error)) {
+            cancelled = true;
+          } else {
+            console.warn(
+              `ULDK re-check of ${parcel.id} failed:`,
+              error.message
+            );
+            parcel.geometryCheck = GeometryCheck.UNAVAILABLE;
+          }
+        } finally {
+          completedCount++;
+          this._updateRecheckProgress(completedCount, total);
+        }
+      })
+    );
+
+    this._recheckAbortController = null;
+    this._setRecheckRunning(false);
+    this._updateParcelListUI();
+
+    const count = (check) =>
+      parcels.filter((parcel) => parcel.geometryCheck === check).length;
+    const changedCount = count(GeometryCheck.CHANGED);
+    const unavailableCount = count(GeometryCheck.UNAVAILABLE);
+
+    const parts = [`Zgodne z ULDK: ${count(GeometryCheck.UNCHANGED)}`];
+    if (changedCount > 0) parts.push(`zmienione: ${changedCount}`);
+    if (unavailableCount > 0) parts.push(`brak w ULDK: ${unavailableCount}`);
+    if (cancelled) parts.push("przerwano");
+
+    this._showStatus(parts.join(", "), "success");
+  }
+
+  /**
+   * Toggle ULDK re-check controls while requests are running
+   * @private
+   */
+  _setRecheckRunning(running) {
+    this._elements.geoFileInput.disabled = running;
+    this._elements.recheckProgress.style.display = running ? "block" : "none";
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update ULDK re-check progress bar
+   * @private
+   */
+  _updateRecheckProgress(completed, total) {
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 100;
+    this._elements.recheckProgressFill.style.width = `${percent}%`;
+    this._elements.recheckProgressLabel.textContent = `Sprawdzam zgodność z ULDK... (${completed}/${total})`;
+  }
+
+  // ==================== BULK IMPORT ====================
+
+  /**
+   * Load CSV/TXT file content into the bulk import text area
+   * @param {File} file - Selected file
+   * @private
+   */
+  async _handleBulkImportFile(file) {
+    if (!file) return;
+
+    try {
+      this._elements.bulkImportInput.value = await file.text();
+      const count = parseParcelIdList(
+        this._elements.bulkImportInput.value
+      ).length;
+      this._showStatus(
+        `Wczytano plik ${file.name} (${count} pozycji)`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Bulk import file error:", error);
+      this._showStatus("Nie udało się odczytać pliku", "error");
+    }
+  }
+
+  /**
+   * Validate pasted identifiers and fetch parcels
+   * Requests are throttled by the ULDK request scheduler.
+   * @private
+   */
+  async _handleBulkImport() {
+    const entries = parseParcelIdList(this._elements.bulkImportInput.value);
+
+    if (entries.length === 0) {
+      this._showStatus(
+        "Wklej identyfikatory działek lub wczytaj plik CSV/TXT",
+        "error"
+      );
+      return;
+    }
+
+    entries
+      .filter((entry) => entry.status === ImportStatus.PENDING)
+      .filter((entry) => this._parcels.some((p) => p.id === entry.id))
+      .forEach((entry) => {
+        entry.status = ImportStatus.EXISTING;
+        entry.message = "Działka jest już na liście";
+      });
+
+    const pending = entries.filter(
+      (entry) => entry.status === ImportStatus.PENDING
+    );
+
+    this._bulkImportAbortController = new AbortController();
+    const { signal } = this._bulkImportAbortController;
+
+    this._setBulkImportRunning(true);
+    this._updateBulkImportProgress(0, pending.length);
+
+    let completedCount = 0;
+
+    const parcels = await Promise.all(
+      pending.map(async (entry) => {
+        try {
+          const result = await uldkService.getParcelById(entry.id, { signal });
+          const parcel = this._createParcel(result);
+          entry.status = ImportStatus.SUCCESS;
+          return parcel;
+        } catch (error) {
+          entry.status = isAbortError(error)
+            ? ImportStatus.CANCELLED
+            : ImportStatus.ERROR;
+          entry.message = error.message;
+          return null;
+        } finally {
+          completedCount++;
+          this._updateBulkImportProgress(completedCount, pending.length);
+        }
+      })
+    );
+
+    // Objects added to the list meanwhile (e.g. from the map) are skipped
+    pending
+      .filter((entry) => entry.status === ImportStatus.SUCCESS)
+      .filter((entry) => this._parcels.some((p) => p.id === entry.id))
+      .forEach((entry) => {
+        entry.status = ImportStatus.EXISTING;
+        entry.message = "Działka jest już na liście";
+      });
+
+    // Add in source order and refresh views once for the whole batch
+    const addedCount = this._addParcelsBatch(parcels.filter(Boolean));
+
+    this._bulkImportEntries = entries;
+    this._bulkImportAbortController = null;
+    this._setBulkImportRunning(false);
+    this._showBulkImportSummary(entries, addedCount);
+
+    const failedCount = entries.filter(
+      (entry) => entry.status === ImportStatus.ERROR
+    ).length;
+    analyticsService.trackBulkImport(entries.length, addedCount, failedCount);
+  }
+
+  /**
+   * Add many parcels at once, skipping ones already in the list
+   * @param {Array<Object>} parcels - Parcel objects created by _createParcel
+   * @param {Object} options - Options
+   * @param {boolean} options.fitBounds - Fit map to all parcels afterwards (default true)
+   * @returns {number} Number of parcels added
+   * @private
+   */
+  _addParcelsBatch(parcels, { fitBounds = true } = {}) {
+    const newParcels = parcels.filter(
+      (parcel) => !this._parcels.some((p) => p.id === parcel.id)
+    );
+
+    if (newParcels.length === 0) return 0;
+
+    this._parcels.push(...newParcels);
+    this._refreshParcelViews();
+
+    if (fitBounds) {
+      mapService.fitToPolygons();
+    }
+
+    return newParcels.length;
+  }
+
+  /**
+   * Toggle bulk import controls while requests are running
+   * @private
+   */
+  _setBulkImportRunning(running) {
+    this._elements.bulkImportBtn.disabled = running;
+    this._elements.bulkImportProgress.style.display = running
+      ? "block"
+      : "none";
+
+    if (running) {
+      this._elements.bulkImportSummary.style.display = "none";
+    }
+
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update bulk import progress bar
+   * @private
+   */
+  _updateBulkImportProgress(completed, total) {
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 100;
+    this._elements.bulkImportProgressFill.style.width = `${percent}%`;
+    this._elements.bulkImportProgressLabel.textContent = `Pobieram działki... (${completed}/${total})`;
+  }
+
+  /**
+   * Show bulk import result with counts per outcome
+   * @private
+   */
+  _showBulkImportSummary(entries, addedCount) {
+    const count = (status) =>
+      entries.filter((entry) => entry.status === status).length;
+
+    const failed =
+      count(ImportStatus.ERROR) +
+      count(ImportStatus.INVALID) +
+      count(ImportStatus.DUPLICATE);
+    const skipped = count(ImportStatus.EXISTING);
+    const cancelled = count(ImportStatus.CANCELLED);
+
+    const parts = [`Dodano ${addedCount} z ${entries.length}`];
+    if (failed > 0) parts.push(`błędy: ${failed}`);
+    if (skipped > 0) parts.push(`pominięte: ${skipped}`);
+    if (cancelled > 0) parts.push(`anulowane: ${cancelled}`);
+
+    this._elements.bulkImportSummaryText.textContent = parts.join(", ");
+    this._elements.bulkImportSummary.style.display = "flex";
+
+    this._showStatus(
+      parts.join(", "),
+      addedCount === 0 && failed > 0 ? "error" : "success"
+    );
+  }
+
+  /**
+   * Download CSV report of the last bulk import
+   * @private
+   */
+  _downloadBulkImportReport() {
+    if (this._bulkImportEntries.length === 0) return;
+
+    downloadFile(
+      generateImportReportCsv(this._bulkImportEntries),
+      getTimestampedFilename("raport_importu", "csv"),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  // ==================== SPATIAL SELECTION ====================
+
+  /**
+   * Start drawing a shape with a tool button (second click on the same button cancels)
+   * @private
+   */
+  _startDrawing(button, mode, onComplete) {
+    if (
+      this._spatialSelectionAbortController ||
+      this._corridorAbortController
+    ) {
+      return;
+    }
+
+    const wasActive = this._activeDrawButton === button;
+    mapService.cancelDrawing();
+    mapService.clearDrawing();
+
+    if (wasActive) return;
+
+    this._setActiveDrawButton(button);
+    mapService.startDrawing(
+      mode,
+      (points) => {
+        this._setActiveDrawButton(null);
+        onComplete(points);
+      },
+      () => this._setActiveDrawButton(null)
+    );
+
+    this._showStatus(
+      mode === DrawMode.RECTANGLE
+        ? "Kliknij dwa przeciwległe narożniki prostokąta"
+        : "Klikaj kolejne wierzchołki, zakończ dwuklikiem",
+      "success"
+    );
+  }
+
+  /**
+   * Highlight the button of the drawing tool in use
+   * @private
+   */
+  _setActiveDrawButton(activeButton) {
+    this._activeDrawButton = activeButton;
+    [...this._elements.drawModeButtons, this._elements.drawRouteBtn].forEach(
+      (button) => {
+        button.classList.toggle("active", button === activeButton);
+      }
+    );
+  }
+
+  /**
+   * Fetch all objects under the drawn shape and add them at once
+   * @private
+   */
+  async _handleSpatialSelection(mode, points) {
+    const objectType = this._getSelectedObjectType();
+    const { layerName } = this._getObjectDefinition(objectType);
+    const isLine = mode === DrawMode.POLYLINE;
+    const bufferMeters = this._readPositiveNumber(
+      this._elements.selectionBufferInput,
+      CONFIG.SPATIAL_SELECTION.LINE_BUFFER
+    );
+    const spacing = this._readPositiveNumber(
+      this._elements.selectionSpacingInput,
+      CONFIG.SPATIAL_SELECTION.GRID_SPACING
+    );
+
+    this._spatialSelectionAbortController = new AbortController();
+    this._setSpatialSelectionRunning(true);
+    this._updateSpatialSelectionProgress({ checked: 0, total: 0, found: 0 });
+    this._hideStatus();
+
+    const { results, errorCount, cancelled } =
+      await spatialSelectionService.findObjects(
+        { points, isLine, bufferMeters },
+        {
+          objectType,
+          spacing,
+          knownGeometries: this._parcels
+            .filter((parcel) => parcel.objectType === objectType)
+            .map((parcel) => parcel.geometry),
+          signal: this._spatialSelectionAbortController.signal,
+          onProgress: (progress) =>
+            this._updateSpatialSelectionProgress(progress),
+        }
+      );
+
+    const addedCount = this._addParcelsBatch(
+      results.map((result) => this._createParcel(result))
+    );
+
+    this._spatialSelectionAbortController = null;
+    this._setSpatialSelectionRunning(false);
+    mapService.clearDrawing();
+
+    const parts = [
+      `${layerName}: znaleziono ${results.length}`,
+      `dodano ${addedCount}`,
+    ];
+    if (cancelled) parts.push("przerwano");
+    this._showStatus(
+      parts.join(", "),
+      results.length === 0 && errorCount > 0 ? "error" : "success"
+    );
+
+    analyticsService.trackSpatialSelection(mode, objectType, results.length);
+  }
+
+  /**
+   * Read positive number from input, falling back to default
+   * @private
+   */
+  _readPositiveNumber(input, defaultValue) {
+    const value = parseFloat(input.value.replace(",", "."));
+    return value > 0 ? value : defaultValue;
+  }
+
+  /**
+   * Toggle spatial selection controls while requests are running
+   * @private
+   */
+  _setSpatialSelectionRunning(running) {
+    this._elements.drawModeButtons.forEach((button) => {
+      button.disabled = running;
+    });
+    this._elements.spatialSelectionProgress.style.display = running
+      ? "block"
+      : "none";
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update spatial selection progress bar
+   * @private
+   */
+  _updateSpatialSelectionProgress({ checked, total, found }) {
+    const percent = total > 0 ? Math.round((checked / total) * 100) : 0;
+    this._elements.spatialSelectionProgressFill.style.width = `${percent}%`;
+    this._elements.spatialSelectionProgressLabel.textContent = `Sprawdzam obszar... (${checked}/${total}, znaleziono: ${found})`;
+  }
+
+  // ==================== NEIGHBOURS ====================
+
+  /**
+   * Fetch parcels adjacent to a parcel and add them tagged as its neighbours
+   * @private
+   */
+  async _handleNeighbours(parcel) {
+    if (this._neighboursAbortController) return;
+
+    this._neighboursAbortController = new AbortController();
+    this._setNeighboursRunning(true);
+    this._updateNeighboursProgress(parcel, { checked: 0, total: 0, found: 0 });
+    this._hideStatus();
+
+    const { results, errorCount, cancelled } =
+      await spatialSelectionService.findNeighbours(parcel, {
+        signal: this._neighboursAbortController.signal,
+        onProgress: (progress) =>
+          this._updateNeighboursProgress(parcel, progress),
+      });
+
+    this._neighboursAbortController = null;
+    const addedCount = this._addParcelsBatch(
+      results.map((result) =>
+        this._createParcel({ ...result, neighbourOf: parcel.id })
+      ),
+      { fitBounds: false }
+    );
+    this._setNeighboursRunning(false);
+
+    if (addedCount > 0) {
+      mapService.fitToCoordinates([
+        ...parcel.vertices,
+        ...this._parcels
+          .filter((p) => p.neighbourOf === parcel.id)
+          .flatMap((p) => p.vertices),
+      ]);
+    }
+
+    const parts = [
+      `Sąsiedzi działki ${parcel.id}: znaleziono ${results.length}`,
+      `dodano ${addedCount}`,
+    ];
+    if (cancelled) parts.push("przerwano");
+    this._showStatus(
+      parts.join(", "),
+      results.length === 0 && errorCount > 0 ? "error" : "success"
+    );
+
+    analyticsService.trackNeighbours(results.length, addedCount);
+  }
+
+  /**
+   * Disable neighbour buttons of the list while a search is running
+   * @private
+   */
+  _setNeighboursRunning(running) {
+    this._elements.parcelListItems
+      .querySelectorAll(".btn-neighbours")
+      .forEach((button) => {
+        button.disabled = running;
+      });
+    this._elements.neighboursProgress.style.display = running
+      ? "block"
+      : "none";
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update neighbour search progress bar
+   * @private
+   */
+  _updateNeighboursProgress(parcel, { checked, total, found }) {
+    const percent = total > 0 ? Math.round((checked / total) * 100) : 0;
+    this._elements.neighboursProgressFill.style.width = `${percent}%`;
+    this._elements.neighboursProgressLabel.textContent = `Sąsiedzi działki ${parcel.id}... (${checked}/${total}, znaleziono: ${found})`;
+  }
+
+  // ==================== ROUTE CORRIDOR ====================
+
+  /**
+   * Read route lines from a GeoJSON/KML file and run corridor analysis
+   * @private
+   */
+  async _handleRouteFile(file) {
+    if (!file) return;
+
+    try {
+      const routes = await importRoute(file);
+      mapService.cancelDrawing();
+      mapService.clearDrawing();
+      await this._handleCorridor(routes);
+    } catch (error) {
+      console.error("Route import error:", error);
+      this._showStatus(`${file.name}: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Find parcels within the buffer of the route and measure the corridor
+   * @private
+   */
+  async _handleCorridor(routes) {
+    if (this._corridorAbortController) return;
+
+    const bufferMeters = this._readPositiveNumber(
+      this._elements.corridorBufferInput,
+      CONFIG.CORRIDOR.BUFFER
+    );
+    // Denser sampling than the corridor width, so narrow corridors are not missed
+    const spacing = Math.min(
+      CONFIG.SPATIAL_SELECTION.GRID_SPACING,
+      bufferMeters
+    );
+
+    this._corridorAbortController = new AbortController();
+    this._setCorridorRunning(true);
+    this._hideStatus();
+
+    const found = [];
+    let cancelled = false;
+
+    for (const [index, route] of routes.entries()) {
+      const selection = await spatialSelectionService.findObjects(
+        { points: route, isLine: true, bufferMeters },
+        {
+          objectType: ObjectType.PARCEL,
+          spacing,
+          knownGeometries: [
+            ...this._parcels
+              .filter((parcel) => parcel.objectType === ObjectType.PARCEL)
+              .map((parcel) => parcel.geometry),
+            ...found.map((result) => parseWkt(result.wkt)),
+          ],
+          signal: this._corridorAbortController.signal,
+          onProgress: (progress) =>
+            this._updateCorridorProgress(progress, index, routes.length),
+        }
+      );
+
+      found.push(...selection.results);
+
+      if (selection.cancelled) {
+        cancelled = true;
+        break;
+      }
+    }
+
+    const addedCount = this._addParcelsBatch(
+      found.map((result) => this._createParcel(result)),
+      { fitBounds: false }
+    );
+
+    this._corridorAbortController = null;
+    this._setCorridorRunning(false);
+    mapService.clearDrawing();
+
+    const analysis = analyzeCorridor(
+      routes,
+      bufferMeters,
+      this._parcels.filter((parcel) => parcel.objectType === ObjectType.PARCEL)
+    );
+
+    this._corridor = { routes, bufferMeters, analysis };
+    mapService.showCorridor(routes, analysis.corridorPolygons);
+    mapService.fitToCorridor();
+    this._updateCorridorResults();
+
+    const parts = [
+      `Działki w korytarzu: ${analysis.parcels.length}`,
+      `dodano ${addedCount}`,
+    ];
+    if (cancelled) parts.push("przerwano - wyniki niepełne");
+    this._showStatus(parts.join(", "), "success");
+  }
+
+  /**
+   * Toggle corridor controls while requests are running
+   * @private
+   */
+  _setCorridorRunning(running) {
+    this._elements.drawRouteBtn.disabled = running;
+    this._elements.corridorProgress.style.display = running ? "block" : "none";
+    this._updateProjectControls();
+  }
+
+  /**
+   * Update corridor progress bar
+   * @private
+   */
+  _updateCorridorProgress({ checked, total, found }, routeIndex, routeCount) {
+    const percent = total > 0 ? Math.round((checked / total) * 100) : 0;
+    const route =
+      routeCount > 1 ? `trasa ${routeIndex + 1}/${routeCount}, ` : "";
+
+    this._elements.corridorProgressFill.style.width = `${percent}%`;
+    this._elements.corridorProgressLabel.textContent = `Szukam działek... (${route}${checked}/${total}, znaleziono: ${found})`;
+  }
+
+  /**
+   * Render corridor summary and per-parcel table
+   * @private
+   */
+  _updateCorridorResults() {
+    if (!this._corridor) {
+      this._elements.corridorResults.style.display = "none";
+      return;
+    }
+
+    const { analysis, bufferMeters } = this._corridor;
+
+    this._elements.corridorSummary.textContent = `Długość trasy: ${this._formatLength(
+      analysis.routeLength
+    )}, korytarz ±${bufferMeters} m: ${this._formatArea(
+      analysis.corridorArea
+    )}`;
+
+    this._elements.corridorTableBody.innerHTML = analysis.parcels
+      .map(
+        (parcel) => `
+        <tr>
+          <td>${this._escapeHtml(parcel.id)}</td>
+          <td>${this._formatLength(parcel.routeLength)}</td>
+          <td>${this._formatArea(parcel.corridorArea)}</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    this._elements.corridorResults.style.display = "block";
+  }
+
+  /**
+   * Download CSV report of the last corridor
+   * @private
+   */
+  _downloadCorridorReport() {
+    if (!this._corridor) return;
+
+    downloadFile(
+      generateCorridorReportCsv(
+        this._corridor.analysis,
+        this._corridor.bufferMeters
+      ),
+      getTimestampedFilename("korytarz", "csv"),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  /**
+   * Remove corridor from the map and hide its results
+   * @private
+   */
+  _clearCorridor() {
+    this._corridor = null;
+    mapService.clearCorridor();
+    this._updateCorridorResults();
+  }
+
+  // ==================== OVERLAY ====================
+
+  /**
+   * Load zone layer (GeoJSON/KML/GeoPackage polygons) and intersect it with the list
+   * @private
+   */
+  async _handleOverlayFile(file) {
+    if (!file) return;
+
+    try {
+      const zones = createOverlayZones(await importOverlay(file));
+
+      this._overlay = {
+        name: file.name,
+        zones,
+        analysis: null,
+        cache: new Map(),
+      };
+      mapService.showOverlay(zones);
+      mapService.fitToOverlay();
+      this._updateParcelListUI();
+
+      this._showStatus(
+        `Wczytano strefy: ${zones.length}, działki w strefach: ${this._overlay.analysis.parcels.size}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Overlay import error:", error);
+      this._showStatus(`${file.name}: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Intersect listed parcels with the overlay and render the results table
+   * (results are stored on parcels, so exports include them)
+   * @private
+   */
+  _updateOverlay() {
+    if (!this._overlay) {
+      this._parcels.forEach((parcel) => {
+        parcel.overlay = null;
+      });
+      this._elements.overlayResults.style.display = "none";
+      return;
+    }
+
+    const analysis = analyzeOverlay(
+      this._parcels,
+      this._overlay.zones,
+      this._overlay.cache
+    );
+    this._overlay.analysis = analysis;
+
+    this._parcels.forEach((parcel) => {
+      parcel.overlay = analysis.parcels.get(parcel.id) ?? {
+        area: 0,
+        percent: 0,
+        zones: [],
+      };
+    });
+
+    this._elements.overlaySummary.textContent = `${this._overlay.name}: strefy ${this._overlay.zones.length}, działki w strefach ${analysis.parcels.size} z ${this._parcels.length}`;
+    this._elements.overlayCsvBtn.disabled = analysis.intersections.length === 0;
+
+    // Zone labels come from the uploaded file - cells are set as plain text
+    this._elements.overlayTableBody.innerHTML = "";
+    analysis.intersections.forEach(({ parcelId, zone, area, percent }) => {
+      const row = document.createElement("tr");
+      [parcelId, zone, area.toFixed(2), percent.toFixed(2)].forEach(
+        (value, index) => {
+          const cell = row.insertCell();
+          cell.textContent = value;
+          if (index < 2) cell.title = value;
+        }
+      );
+      this._elements.overlayTableBody.appendChild(row);
+    });
+
+    this._elements.overlayResults.style.display = "block";
+  }
+
+  /**
+   * Download CSV report of parcel/zone intersections
+   * @private
+   */
+  _downloadOverlayReport() {
+    if (!this._overlay?.analysis) return;
+
+    downloadFile(
+      generateOverlayCsv(this._overlay.analysis, this._overlay.name),
+      getTimestampedFilename("nakladka", "csv"),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  /**
+   * Remove overlay layer from the map and its results from parcels
+   * @private
+   */
+  _clearOverlay() {
+    this._overlay = null;
+    mapService.clearOverlay();
+    this._updateParcelListUI();
+  }
+
+  // ==================== DISSOLVE ====================
+
+  /**
+   * Dissolve ticked list items (all items when none is ticked) into one outline
+   * @private
+   */
+  _handleDissolve() {
+    const parcels = this._getSelectedOrAllParcels();
+    if (parcels.length === 0) {
+      this._showStatus("Najpierw dodaj działki do listy", "error");
+      return;
+    }
+
+    try {
+      const outline = dissolveParcels(parcels);
+
+      this._outline = outline;
+      mapService.showOutline(
+        outline.geometry,
+        `${CONFIG.DISSOLVE.LAYER_NAME}: ${this._formatArea(outline.area)}`
+      );
+      mapService.fitToOutline();
+      this._updateDissolveResults();
+
+      this._showStatus(
+        `Scalono obiekty: ${parcels.length}, ${this._formatArea(outline.area)}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Dissolve error:", error);
+      this._showStatus(`Błąd scalania obrysów: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * List items to dissolve or report - ticked ones, or all when none is ticked
+   * @private
+   */
+  _getSelectedOrAllParcels() {
+    return this._selectedParcelIds.size > 0
+      ? this._parcels.filter((parcel) => this._selectedParcelIds.has(parcel.id))
+      : this._parcels;
+  }
+
+  /**
+   * Show number of items the dissolve button will use
+   * @private
+   */
+  _updateDissolveButton() {
+    const count = this._selectedParcelIds.size;
+    this._elements.dissolveBtn.textContent =
+      count > 0 ? `Scal zaznaczone (${count})` : "Scal wszystkie";
+  }
+
+  /**
+   * Render summary of the dissolved outline
+   * @private
+   */
+  _updateDissolveResults() {
+    if (!this._outline) {
+      this._elements.dissolveResults.style.display = "none";
+      return;
+    }
+
+    const { parcelIds, geometry, area, perimeter, holeCount } = this._outline;
+    const partCount =
+      geometry.type === "MULTIPOLYGON" ? geometry.coordinates.length : 1;
+
+    this._elements.dissolveSummary.textContent = `Obiekty: ${
+      parcelIds.length
+    }, powierzchnia: ${this._formatArea(area)}, obwód: ${this._formatLength(
+      perimeter
+    )}, części: ${partCount}, otwory: ${holeCount}`;
+    this._elements.dissolveResults.style.display = "block";
+  }
+
+  /**
+   * Remove dissolved outline from the map and exports
+   * @private
+   */
+  _clearOutline() {
+    this._outline = null;
+    mapService.clearOutline();
+    this._updateDissolveResults();
+  }
+
+  // ==================== REGISTER AREA ====================
+
+  /**
+   * Load register areas from CSV/TXT file (parcel ID and area per row)
+   * @private
+   */
+  async _handleRegisterAreaFile(file) {
+    if (!file) return;
+
+    try {
+      const { areas, invalidLines } = parseRegisterAreaCsv(await file.text());
+      if (areas.size === 0) {
+        throw new Error(
+          "Plik nie zawiera identyfikatorów działek z powierzchnią"
+        );
+      }
+
+      areas.forEach((area, id) => this._registerAreas.set(id, area));
+      this._updateParcelListUI();
+      this._scheduleSave();
+
+      const listed = this._parcels.filter((parcel) => areas.has(parcel.id));
+      const parts = [
+        `Wczytano powierzchnie ewidencyjne: ${areas.size}`,
+        `na liście: ${listed.length}`,
+      ];
+      if (invalidLines.length > 0) {
+        parts.push(`pominięte wiersze: ${invalidLines.length}`);
+      }
+      this._showStatus(parts.join(", "), "success");
+    } catch (error) {
+      console.error("Register area import error:", error);
+      this._showStatus(`${file.name}: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Render comparison table of listed parcels (register area is editable)
+   * @private
+   */
+  _updateAreaComparison() {
+    const parcels = this._getComparableParcels();
+    this._elements.areaComparison.style.display =
+      parcels.length > 0 ? "block" : "none";
+
+    const tolerance = this._getAreaTolerance();
+    let exceededCount = 0;
+
+    this._elements.areaComparisonTableBody.innerHTML = "";
+    parcels.forEach((parcel) => {
+      const calculatedArea = calculateArea(parcel.geometry);
+      const registerArea = this._registerAreas.get(parcel.id);
+      const comparison = registerArea
+        ? compareAreas(calculatedArea, registerArea, tolerance)
+        : null;
+      if (comparison?.exceedsTolerance) exceededCount++;
+
+      const row = document.createElement("tr");
+      row.className = comparison?.exceedsTolerance ? "exceeded" : "";
+      row.innerHTML = `
+        <td title="${parcel.id}">${parcel.id}</td>
+        <td><input type="number" min="0" step="0.01" value="${
+          registerArea ?? ""
+        }" title="Powierzchnia ewidencyjna (m²)"></td>
+        <td>${calculatedArea.toFixed(2)}</td>
+        <td>${
+          comparison ? this._formatSignedNumber(comparison.difference, 2) : ""
+        }</td>
+        <td>${
+          comparison
+            ? this._formatSignedNumber(comparison.differencePercent, 2)
+            : ""
+        }</td>
+      `;
+
+      row.querySelector("input").addEventListener("change", (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) {
+          this._registerAreas.set(parcel.id, value);
+        } else {
+          this._registerAreas.delete(parcel.id);
+        }
+        this._updateParcelListUI();
+        this._scheduleSave();
+      });
+
+      this._elements.areaComparisonTableBody.appendChild(row);
+    });
+
+    const comparedCount = parcels.filter((parcel) =>
+      this._registerAreas.has(parcel.id)
+    ).length;
+    this._elements.areaComparisonSummary.textContent = `Porównano: ${comparedCount} z ${parcels.length}, poza tolerancją ±${tolerance}%: ${exceededCount}`;
+  }
+
+  /**
+   * Download comparison table as CSV
+   * @private
+   */
+  _downloadAreaComparison() {
+    const rows = this._getComparableParcels().map((parcel) => ({
+      id: parcel.id,
+      calculatedArea: calculateArea(parcel.geometry),
+      registerArea: this._registerAreas.get(parcel.id),
+    }));
+
+    downloadFile(
+      generateAreaComparisonCsv(rows, this._getAreaTolerance()),
+      getTimestampedFilename("powierzchnie", "csv"),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  /**
+   * Listed parcels (register areas exist only for parcels, not other objects)
+   * @private
+   */
+  _getComparableParcels() {
+    return this._parcels.filter(
+      (parcel) => parcel.objectType === ObjectType.PARCEL
+    );
+  }
+
+  /**
+   * Get accepted area difference (%)
+   * @private
+   */
+  _getAreaTolerance() {
+    return this._readPositiveNumber(
+      this._elements.areaToleranceInput,
+      CONFIG.AREA_COMPARISON.TOLERANCE_PERCENT
+    );
+  }
+
+  /**
+   * Format number with explicit sign and Polish decimal comma
+   * @private
+   */
+  _formatSignedNumber(value, digits) {
+    return `${value < 0 ? "−" : "+"}${this._formatNumber(
+      Math.abs(value),
+      digits
+    )}`;
+  }
+
+  // ==================== BOUNDARY POINTS ====================
+
+  /**
+   * Render boundary point register table (skipped while the section is collapsed)
+   * @private
+   */
+  _updateBoundaryPoints() {
+    const section = this._elements.boundaryPointsSection;
+    if (section.classList.contains("collapsed")) return;
+
+    const register = this._buildBoundaryPointRegister();
+    const sharedCount = register.points.filter(
+      (point) => point.parcelIds.length > 1
+    ).length;
+
+    this._elements.boundaryPointsSummary.textContent =
+      this._parcels.length > 0
+        ? `Punktów: ${register.points.length}, wspólnych: ${sharedCount}, układ EPSG:${register.crs}`
+        : "Brak obiektów na liście";
+    this._elements.boundaryPointsCsvBtn.disabled = this._parcels.length === 0;
+    this._elements.boundaryPointsTxtBtn.disabled = this._parcels.length === 0;
+
+    let previousParcelId = null;
+    this._elements.boundaryPointsTableBody.innerHTML = register.rows
+      .map(({ parcelId, number, distanceToNext }) => {
+        const point = register.points[number - 1];
+        const header =
+          parcelId !== previousParcelId
+            ? `<tr class="group"><td colspan="4">${this._escapeHtml(
+                parcelId
+              )}</td></tr>`
+            : "";
+        previousParcelId = parcelId;
+
+        return `${header}
+        <tr class="${point.parcelIds.length > 1 ? "shared" : ""}">
+          <td>${number}</td>
+          <td>${point.x.toFixed(2)}<br><small>${point.lat.toFixed(
+          6
+        )}</small></td>
+          <td>${point.y.toFixed(2)}<br><small>${point.lng.toFixed(
+          6
+        )}</small></td>
+          <td>${distanceToNext.toFixed(2)}</td>
+        </tr>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Download boundary point register as CSV or geodetic TXT ("nr X Y")
+   * @private
+   */
+  _downloadBoundaryPoints(format) {
+    if (this._parcels.length === 0) return;
+
+    const register = this._buildBoundaryPointRegister();
+    const content =
+      format === "txt"
+        ? generateBoundaryPointTxt(register)
+        : generateBoundaryPointCsv(register);
+
+    downloadFile(
+      content,
+      getTimestampedFilename("punkty_graniczne", format),
+      format === "txt" ? "text/plain;charset=utf-8" : "text/csv;charset=utf-8"
+    );
+  }
+
+  /**
+   * Register in the selected planar system
+   * @private
+   */
+  _buildBoundaryPointRegister() {
+    return buildBoundaryPointRegister(
+      this._parcels,
+      this._getPlanarCoordinateSystem()
+    );
+  }
+
+  // ==================== TOPOLOGY ====================
+
+  /**
+   * Render connected groups and shared boundaries (skipped while the section is collapsed)
+   * @private
+   */
+  _updateTopology() {
+    if (this._elements.topologySection.classList.contains("collapsed")) return;
+
+    const topology = analyzeTopology(this._parcels);
+    const { groups, boundaries } = topology;
+
+    if (this._parcels.length === 0) {
+      this._elements.topologySummary.textContent = "Brak obiektów na liście";
+    } else {
+      const layout =
+        groups.length === 1
+          ? "obszar spójny"
+          : `obszary rozłączne: ${groups.length}`;
+      this._elements.topologySummary.textContent = `Granice wspólne: ${boundaries.length}, ${layout}`;
+    }
+    this._elements.topologyBoundariesCsvBtn.disabled = boundaries.length === 0;
+    this._elements.topologyGroupsCsvBtn.disabled = groups.length === 0;
+
+    this._elements.topologyGroups.innerHTML = "";
+    groups.forEach((group, index) => {
+      const parcels = this._parcels.filter((parcel) =>
+        group.includes(parcel.id)
+      );
+      const area = parcels.reduce(
+        (sum, parcel) => sum + calculateArea(parcel.geometry),
+        0
+      );
+
+      const item = document.createElement("div");
+      item.className = "topology-group";
+      item.innerHTML = `
+        <button class="btn-link" title="Pokaż grupę na mapie">Grupa ${
+          index + 1
+        }</button>
+        <span class="topology-group-meta">${
+          group.length
+        } obj., ${this._formatArea(area)}</span>
+        <div class="topology-group-ids">${this._escapeHtml(
+          group.join(", ")
+        )}</div>
+      `;
+
+      item.querySelector("button").addEventListener("click", () => {
+        mapService.fitToCoordinates(
+          parcels.flatMap((parcel) => parcel.vertices)
+        );
+      });
+
+      this._elements.topologyGroups.appendChild(item);
+    });
+
+    this._elements.topologyTableBody.innerHTML = boundaries
+      .map(
+        ({ a, b, length }) => `
+        <tr>
+          <td title="${this._escapeHtml(a)}">${this._escapeHtml(a)}</td>
+          <td title="${this._escapeHtml(b)}">${this._escapeHtml(b)}</td>
+          <td>${this._formatLength(length)}</td>
+        </tr>`
+      )
+      .join("");
+  }
+
+  /**
+   * Download topology report as CSV
+   * @param {string} prefix - File name prefix
+   * @param {function(Object): string} generate - CSV generator taking the topology
+   * @private
+   */
+  _downloadTopology(prefix, generate) {
+    if (this._parcels.length === 0) return;
+
+    downloadFile(
+      generate(analyzeTopology(this._parcels)),
+      getTimestampedFilename(prefix, "csv"),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  // ==================== CACHE ====================
+
+  /**
+   * Render cache statistics and the most recently cached objects
+   * @private
+   */
+  async _updateCachePanel() {
+    const [stats, entries] = await Promise.all([
+      cacheService.getStats(),
+      cacheService.list(CONFIG.CACHE.LIST_LIMIT),
+    ]);
+
+    const formatDate = (timestamp) =>
+      new Date(timestamp).toLocaleString("pl-PL", {
+        dateStyle: "short",
+        timeStyle: "short",
+      });
+
+    this._elements.cacheStats.textContent =
+      stats.objectCount > 0
+        ? `Obiektów: ${stats.objectCount}, punktów: ${
+            stats.coordinateCount
+          } (od ${formatDate(stats.oldest)})`
+        : "Pamięć podręczna jest pusta";
+
+    this._elements.clearCacheBtn.disabled = stats.objectCount === 0;
+
+    this._elements.cacheList.innerHTML = entries
+      .map(
+        (entry) => `
+        <div class="cache-item" data-id="${
+          entry.id
+        }" title="Kliknij, aby dodać do listy">
+          <span class="parcel-color" style="background: ${
+            this._getObjectDefinition(entry.objectType).color
+          }"></span>
+          <span class="parcel-id">${entry.id}</span>
+          <span class="cache-date">${formatDate(entry.createdAt)}</span>
+        </div>
+      `
+      )
+      .join("");
+
+    // Attach add handlers
+    this._elements.cacheList.querySelectorAll(".cache-item").forEach((item) => {
+      item.addEventListener("click", () => {
+        this._addParcelById(item.dataset.id);
+      });
+    });
+  }
+
+  /**
+   * Remove all cached ULDK results
    * @private
    */
-  _clearAllParcels() {
-    this._parcels = [];
-    mapService.clearAll();
-    this._updateParcelListUI();
-    this._updateUI();
-    this._updateStats();
-    this._hideStatus();
+  async _clearCache() {
+    await cacheService.clear();
+    await this._updateCachePanel();
+    this._showStatus("Wyczyszczono pamięć podręczną", "success");
   }
 
   // ==================== COORDINATE QUEUE ====================
@@ -464,6 +2721,7 @@ class App {
    */
   _addToQueue(lat, lng, label = "", { flyTo = false } = {}) {
     const id = this._nextQueueId++;
+    const objectType = this._getSelectedObjectType();
 
     // Add marker to map
     mapService.addQueueMarker(lat, lng, id);
@@ -474,6 +2732,7 @@ class App {
       lat,
       lng,
       label,
+      objectType,
     });
 
     // Zoom to the new point if requested
@@ -511,6 +2770,8 @@ class App {
 
   /**
    * Process all items in the queue - fetch parcels from ULDK
+   * Requests are throttled by the ULDK request scheduler and can be cancelled;
+   * points that were not processed stay in the queue.
    * @private
    */
   async _processQueue() {
@@ -522,13 +2783,12 @@ class App {
     const itemsToProcess = [...this._coordinateQueue];
     const total = itemsToProcess.length;
 
+    this._queueAbortController = new AbortController();
+    const { signal } = this._queueAbortController;
+
     this._showStatus(`Pobieram działki... (0/${total})`, "loading");
-    this._elements.processQueueBtn.disabled = true;
-    this._elements.processQueueBtn.innerHTML =
-      '<span class="loading-spinner"></span>';
+    this._setQueueProcessing(true);
 
-    let successCount = 0;
-    let errorCount = 0;
     let completedCount = 0;
 
     // Update progress display
@@ -539,65 +2799,62 @@ class App {
       );
     };
 
-    // Process all coordinates in parallel, updating progress as each completes
-    const results = await Promise.allSettled(
+    // Scheduler limits how many of these requests actually run in parallel
+    const outcomes = await Promise.all(
       itemsToProcess.map(async (item) => {
         try {
-          const result = await uldkService.getParcelByCoordinates(
+          const result = await uldkService.getObjectByCoordinates(
+            item.objectType,
             item.lng,
-            item.lat
+            item.lat,
+            { signal }
           );
-          completedCount++;
-          updateProgress();
-          return { item, result, success: true };
+          return { item, parcel: this._createParcel(result) };
         } catch (error) {
+          return { item, error };
+        } finally {
           completedCount++;
           updateProgress();
-          return { item, error: error.message, success: false };
         }
       })
     );
 
-    // Add successful parcels to list
-    for (const outcome of results) {
-      if (outcome.status === "fulfilled" && outcome.value.success) {
-        try {
-          await this._addParcelToList(outcome.value.result, {
-            fitBounds: false,
-            method: "queue",
-          });
-          successCount++;
-        } catch (error) {
-          console.warn("Failed to add parcel:", error.message);
-          errorCount++;
-        }
-      } else {
-        errorCount++;
-      }
-    }
+    this._queueAbortController = null;
+    this._setQueueProcessing(false);
 
-    // Clear queue after processing
-    this._clearQueue();
+    const parcels = outcomes
+      .filter((outcome) => outcome.parcel)
+      .map((outcome) => outcome.parcel);
+    const cancelledItems = outcomes
+      .filter((outcome) => isAbortError(outcome.error))
+      .map((outcome) => outcome.item);
 
-    // Restore button
-    this._elements.processQueueBtn.disabled = false;
-    this._elements.processQueueBtn.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <polygon points="5 3 19 12 5 21 5 3"></polygon>
-      </svg>
-      Start
-    `;
+    const successCount = parcels.length;
+    const errorCount = total - successCount - cancelledItems.length;
 
-    // Fit bounds to show all parcels
-    if (successCount > 0) {
-      mapService.fitToPolygons();
-    }
+    // Add all parcels at once (also fits bounds to show all parcels)
+    this._addParcelsBatch(parcels);
+
+    // Remove processed points, keep cancelled ones for the next run
+    const processedItems = itemsToProcess.filter(
+      (item) => !cancelledItems.includes(item)
+    );
+    processedItems.forEach((item) => mapService.removeQueueMarker(item.id));
+    this._coordinateQueue = this._coordinateQueue.filter(
+      (item) => !processedItems.includes(item)
+    );
+    this._updateQueueUI();
 
     // Track queue processing
     analyticsService.trackQueueProcess(total, successCount, errorCount);
 
     // Show final status
-    if (errorCount === 0) {
+    if (cancelledItems.length > 0) {
+      this._showStatus(
+        `Anulowano - pobrano ${successCount} działek, ${cancelledItems.length} punktów pozostało w kolejce`,
+        "success"
+      );
+    } else if (errorCount === 0) {
       this._showStatus(`Pobrano ${successCount} działek`, "success");
     } else {
       this._showStatus(
@@ -607,11 +2864,36 @@ class App {
     }
   }
 
+  /**
+   * Toggle queue controls while the queue is being processed
+   * @private
+   */
+  _setQueueProcessing(processing) {
+    const { processQueueBtn, cancelQueueBtn, clearQueueBtn } = this._elements;
+
+    processQueueBtn.disabled = processing;
+    clearQueueBtn.disabled = processing;
+    cancelQueueBtn.style.display = processing ? "flex" : "none";
+    this._updateProjectControls();
+
+    processQueueBtn.innerHTML = processing
+      ? '<span class="loading-spinner"></span>'
+      : `
+      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polygon points="5 3 19 12 5 21 5 3"></polygon>
+      </svg>
+      Start
+    `;
+  }
+
   /**
    * Update queue UI
    * @private
    */
   _updateQueueUI() {
+    // Queue is part of the saved project state
+    this._scheduleSave();
+
     const queue = this._coordinateQueue;
     const container = this._elements.queueItems;
     const queueSection = this._elements.coordinateQueue;
@@ -686,20 +2968,35 @@ class App {
     mapService.clearPoints();
     mapService.clearMarkers();
 
+    // Point tooltips show boundary point register numbers
+    const register = this._showingPoints
+      ? buildBoundaryPointRegister(this._parcels)
+      : null;
+
     // Draw all parcels
     // Fill is ALWAYS visible, stroke and points are optional
     this._parcels.forEach((parcel) => {
+      const { color } = this._getObjectDefinition(parcel.objectType);
+
       // Always draw fill, optionally with stroke
-      mapService.drawPolygonWithStyle(parcel.geometry.coordinates, {
-        color: this._showingPolygons ? this._parcelColor : "transparent",
-        fillColor: this._parcelColor,
-        fillOpacity: 0.3,
-        weight: this._showingPolygons ? 3 : 0,
-      });
+      mapService.drawPolygonWithStyle(
+        parcel.geometry.coordinates,
+        {
+          color: this._showingPolygons ? color : "transparent",
+          fillColor: color,
+          fillOpacity: 0.3,
+          weight: this._showingPolygons ? 3 : 0,
+        },
+        parcel.objectType
+      );
 
       // Draw points if enabled
       if (this._showingPoints) {
-        mapService.drawPointsWithColor(parcel.vertices, this._parcelColor);
+        mapService.drawPointsWithColor(
+          parcel.vertices,
+          color,
+          parcel.vertices.map((vertex) => getPointNumber(register, vertex))
+        );
       }
     });
   }
@@ -714,6 +3011,7 @@ class App {
     this._showingPolygons = !this._showingPolygons;
     this._redrawMap();
     this._updateToggleButtons();
+    this._scheduleSave();
   }
 
   /**
@@ -726,6 +3024,7 @@ class App {
     this._showingPoints = !this._showingPoints;
     this._redrawMap();
     this._updateToggleButtons();
+    this._scheduleSave();
   }
 
   /**
@@ -750,6 +3049,8 @@ class App {
       downloadKmlWithLayers(this._parcels, {
         includePolygons: this._showingPolygons,
         includePoints: this._showingPoints,
+        crs: this._getExportCoordinateSystem(),
+        outline: this._outline,
       });
 
       const layers = [];
@@ -765,6 +3066,46 @@ class App {
     }
   }
 
+  /**
+   * Get selected coordinate system
+   * @returns {number|string} CoordinateSystem enum value (may be PL2000_AUTO)
+   * @private
+   */
+  _getCoordinateSystem() {
+    const { value } = this._elements.coordinateSystemSelect;
+    if (value === CoordinateSystem.PL2000_AUTO) return value;
+
+    const crs = Number(value);
+    return CONFIG.COORDINATE_SYSTEMS[crs] ? crs : CoordinateSystem.WGS84;
+  }
+
+  /**
+   * Get coordinate system of file exports
+   * A file holds one system, so automatic PL-2000 takes the zone of the parcels' mean longitude.
+   * @returns {number} EPSG code
+   * @private
+   */
+  _getExportCoordinateSystem() {
+    const vertices = this._parcels.flatMap((parcel) => parcel.vertices);
+    const meanLng =
+      vertices.length > 0
+        ? vertices.reduce((sum, vertex) => sum + vertex.lng, 0) /
+          vertices.length
+        : undefined;
+
+    return coordinateTransformer.resolve(this._getCoordinateSystem(), meanLng);
+  }
+
+  /**
+   * Get planar coordinate system of exports in metres (PUWG 1992 when WGS 84 is selected)
+   * @returns {number} EPSG code
+   * @private
+   */
+  _getPlanarCoordinateSystem() {
+    const crs = this._getExportCoordinateSystem();
+    return crs === CoordinateSystem.WGS84 ? CoordinateSystem.PUWG_1992 : crs;
+  }
+
   /**
    * Handle GeoPackage download
    * @private
@@ -789,6 +3130,8 @@ class App {
       await downloadGpkgWithLayers(this._parcels, {
         includePolygons: this._showingPolygons,
         includePoints: this._showingPoints,
+        crs: this._getExportCoordinateSystem(),
+        outline: this._outline,
       });
 
       const layers = [];
@@ -829,6 +3172,8 @@ class App {
       downloadGeojsonWithLayers(this._parcels, {
         includePolygons: this._showingPolygons,
         includePoints: this._showingPoints,
+        crs: this._getExportCoordinateSystem(),
+        outline: this._outline,
       });
 
       const layers = [];
@@ -847,6 +3192,253 @@ class App {
     }
   }
 
+  /**
+   * Handle Shapefile (ZIP) download
+   * @private
+   */
+  _handleDownloadShapefile() {
+    if (!this._canExport({ requireVisibleLayers: true })) return;
+
+    this._runExport(
+      "Shapefile",
+      () =>
+        generateShapefileWithLayers(this._parcels, {
+          includePolygons: this._showingPolygons,
+          includePoints: this._showingPoints,
+          crs: this._getExportCoordinateSystem(),
+          outline: this._outline,
+        }),
+      getTimestampedFilename("dzialki_shp", "zip"),
+      "application/zip",
+      this._getVisibleLayerNames("obrysy")
+    );
+  }
+
+  /**
+   * Handle GPX download
+   * @private
+   */
+  _handleDownloadGpx() {
+    if (!this._canExport({ requireVisibleLayers: true })) return;
+
+    this._runExport(
+      "GPX",
+      () =>
+        generateGpxWithLayers(this._parcels, {
+          includePolygons: this._showingPolygons,
+          includePoints: this._showingPoints,
+          outline: this._outline,
+        }),
+      getTimestampedFilename("dzialki", "gpx"),
+      "application/gpx+xml",
+      this._getVisibleLayerNames("ślady obrysów")
+    );
+  }
+
+  /**
+   * Check that the list has objects to export (and visible layers when required)
+   * @param {Object} options - Options
+   * @param {boolean} options.requireVisibleLayers - Export follows the polygon/point toggles
+   * @returns {boolean} True when export can proceed
+   * @private
+   */
+  _canExport({ requireVisibleLayers = false } = {}) {
+    if (this._parcels.length === 0) {
+      this._showStatus("Najpierw dodaj działki do listy", "error");
+      return false;
+    }
+
+    if (
+      requireVisibleLayers &&
+      !this._showingPolygons &&
+      !this._showingPoints
+    ) {
+      this._showStatus(
+        "Brak widocznych elementów do eksportu. Włącz obrysy lub punkty.",
+        "error"
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Names of exported layers for status messages (e.g. "obrysy, punkty")
+   * @param {string} polygonsName - Name of the polygon layer in the format
+   * @private
+   */
+  _getVisibleLayerNames(polygonsName) {
+    const layers = [];
+    if (this._showingPolygons) layers.push(polygonsName);
+    if (this._showingPoints) layers.push("punkty");
+    return layers.join(", ");
+  }
+
+  /**
+   * Generate and download an export file, then report the result
+   * @param {string} formatName - Format shown in messages and analytics (e.g. "GPX")
+   * @param {function(): (string|Uint8Array)} buildFn - Generates file content
+   * @param {string} filename - Name of the downloaded file
+   * @param {string} mime - MIME type of the file
+   * @param {string} details - Shown in brackets after the success message
+   * @private
+   */
+  _runExport(formatName, buildFn, filename, mime, details) {
+    try {
+      downloadFile(buildFn(), filename, mime);
+      this._showStatus(`Pobrano plik ${formatName} (${details})`, "success");
+
+      // Track analytics
+      analyticsService.trackFileDownload(
+        formatName.toLowerCase(),
+        this._parcels.length
+      );
+    } catch (error) {
+      console.error(`${formatName} generation error:`, error);
+      this._showStatus(`Błąd generowania pliku ${formatName}`, "error");
+    }
+  }
+
+  /**
+   * Handle PDF report download (sheets of ticked items, or of all)
+   * @private
+   */
+  async _handleDownloadReport() {
+    const parcels = this._getSelectedOrAllParcels();
+    if (parcels.length === 0) {
+      this._showStatus("Najpierw dodaj działki do listy", "error");
+      return;
+    }
+
+    this._reportRunning = true;
+    this._elements.downloadPdfBtn.disabled = true;
+    this._showStatus(
+      `Generowanie raportu PDF... (0/${parcels.length})`,
+      "loading"
+    );
+
+    try {
+      await downloadParcelReport(parcels, {
+        crs: this._getPlanarCoordinateSystem(),
+        basemap: mapService.getBaseLayerKey(),
+        onProgress: (completed, total) =>
+          this._showStatus(
+            `Generowanie raportu PDF... (${completed}/${total})`,
+            "loading"
+          ),
+      });
+
+      this._showStatus(
+        `Pobrano raport PDF (obiekty: ${parcels.length})`,
+        "success"
+      );
+
+      // Track analytics
+      analyticsService.trackFileDownload("pdf", parcels.length);
+    } catch (error) {
+      console.error("PDF report error:", error);
+      this._showStatus("Błąd generowania raportu PDF", "error");
+    } finally {
+      this._reportRunning = false;
+      this._updateUI();
+    }
+  }
+
+  // ==================== CSV EXPORT ====================
+
+  /**
+   * Render separator options and column checkboxes of the CSV export
+   * @private
+   */
+  _renderCsvExportOptions() {
+    Object.entries(CONFIG.CSV_EXPORT.SEPARATORS).forEach(([key, { label }]) => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = label;
+      this._elements.csvSeparatorSelect.appendChild(option);
+    });
+
+    CSV_COLUMNS.forEach(({ key, label }) => {
+      const item = document.createElement("label");
+      item.className = "checkbox-label";
+      item.innerHTML = `
+        <input type="checkbox" value="${key}" checked>
+        <span>${label}</span>
+      `;
+      this._elements.csvColumns.appendChild(item);
+    });
+  }
+
+  /**
+   * Column choice applies to the per-object table only
+   * @private
+   */
+  _updateCsvColumnsState() {
+    const isPointMode =
+      this._elements.csvModeSelect.value === CsvExportMode.POINTS;
+
+    this._elements.csvColumns
+      .querySelectorAll("input")
+      .forEach((input) => (input.disabled = isPointMode));
+  }
+
+  /**
+   * Handle CSV table download
+   * @private
+   */
+  _handleDownloadCsv() {
+    if (!this._canExport()) return;
+
+    const mode = this._elements.csvModeSelect.value;
+    const columns = Array.from(
+      this._elements.csvColumns.querySelectorAll("input:checked"),
+      (input) => input.value
+    );
+
+    if (mode === CsvExportMode.PARCELS && columns.length === 0) {
+      this._showStatus("Zaznacz co najmniej jedną kolumnę", "error");
+      return;
+    }
+
+    const isPointMode = mode === CsvExportMode.POINTS;
+
+    this._runExport(
+      "CSV",
+      () =>
+        generateCsv(this._parcels, {
+          mode,
+          columns,
+          separator:
+            CONFIG.CSV_EXPORT.SEPARATORS[
+              this._elements.csvSeparatorSelect.value
+            ].value,
+          decimalComma: this._elements.csvDecimalCommaCheckbox.checked,
+          crs: this._getPlanarCoordinateSystem(),
+        }),
+      getTimestampedFilename(isPointMode ? "dzialki_punkty" : "dzialki", "csv"),
+      "text/csv;charset=utf-8",
+      isPointMode ? "tabela punktów granicznych" : "tabela obiektów"
+    );
+  }
+
+  /**
+   * Handle DXF download
+   * @private
+   */
+  _handleDownloadDxf() {
+    if (!this._canExport()) return;
+
+    const crs = this._getPlanarCoordinateSystem();
+    this._runExport(
+      "DXF",
+      () => generateDxf(this._parcels, { crs }),
+      getTimestampedFilename("dzialki", "dxf"),
+      "application/dxf",
+      CONFIG.COORDINATE_SYSTEMS[crs].label
+    );
+  }
+
   /**
    * Update search type badges
    * @private
@@ -952,9 +3544,13 @@ class App {
       0
     );
 
-    // Calculate total area from all parcels (using full geometry to account for holes)
+    // Area on the ellipsoid, holes excluded (same as the register)
     const totalArea = this._parcels.reduce(
-      (sum, p) => sum + this._calculateGeometryArea(p.geometry),
+      (sum, p) => sum + calculateArea(p.geometry),
+      0
+    );
+    const totalPerimeter = this._parcels.reduce(
+      (sum, p) => sum + calculatePerimeter(p.geometry),
       0
     );
 
@@ -962,95 +3558,50 @@ class App {
     this._elements.parcelCount.textContent = this._parcels.length.toString();
     this._elements.pointCount.textContent = totalPoints.toString();
     this._elements.totalArea.textContent = this._formatArea(totalArea);
+    this._elements.totalPerimeter.textContent =
+      this._formatLength(totalPerimeter);
   }
 
   /**
-   * Calculate geometry area accounting for holes in polygons
-   * Supports POLYGON and MULTIPOLYGON types
-   * @param {{type: string, coordinates: Array}} geometry - Parsed geometry object
-   * @returns {number} Area in square meters
+   * Format area for display
+   * @param {number} areaM2 - Area in square meters
+   * @returns {string} Formatted area
    * @private
    */
-  _calculateGeometryArea(geometry) {
-    if (!geometry?.coordinates) return 0;
-
-    if (geometry.type === "POLYGON") {
-      return this._calculatePolygonAreaWithHoles(geometry.coordinates);
-    } else if (geometry.type === "MULTIPOLYGON") {
-      return geometry.coordinates.reduce(
-        (sum, polygon) => sum + this._calculatePolygonAreaWithHoles(polygon),
-        0
-      );
+  _formatArea(areaM2) {
+    if (areaM2 >= 10000) {
+      // Show in hectares if >= 1 ha
+      return this._formatNumber(areaM2 / 10000, 2) + " ha";
     }
-
-    return 0;
-  }
-
-  /**
-   * Calculate polygon area with holes using Shoelace formula
-   * First ring is outer boundary (added), subsequent rings are holes (subtracted)
-   * @param {Array<Array<{lat: number, lng: number}>>} rings - Array of coordinate rings
-   * @returns {number} Area in square meters
-   * @private
-   */
-  _calculatePolygonAreaWithHoles(rings) {
-    if (!rings || rings.length === 0) return 0;
-
-    // Calculate outer ring area (first ring)
-    const outerArea = this._calculateRingArea(rings[0]);
-
-    // Subtract hole areas (subsequent rings)
-    const holesArea = rings
-      .slice(1)
-      .reduce((sum, ring) => sum + this._calculateRingArea(ring), 0);
-
-    return outerArea - holesArea;
+    return this._formatNumber(areaM2, 0) + " m²";
   }
 
   /**
-   * Calculate ring area using Shoelace formula
-   * Converts lat/lng to approximate meters first
-   * @param {Array<{lat: number, lng: number}>} vertices
-   * @returns {number} Area in square meters
+   * Format length for display
+   * @param {number} meters - Length in meters
+   * @returns {string} Formatted length
    * @private
    */
-  _calculateRingArea(vertices) {
-    if (!vertices || vertices.length < 3) return 0;
-
-    // Convert to approximate meters using center point as reference
-    const centerLat =
-      vertices.reduce((sum, v) => sum + v.lat, 0) / vertices.length;
-    const metersPerDegreeLat = 111320; // ~111km per degree latitude
-    const metersPerDegreeLng = 111320 * Math.cos((centerLat * Math.PI) / 180);
-
-    const coords = vertices.map((v) => ({
-      x: v.lng * metersPerDegreeLng,
-      y: v.lat * metersPerDegreeLat,
-    }));
-
-    // Shoelace formula
-    let area = 0;
-    for (let i = 0; i < coords.length; i++) {
-      const j = (i + 1) % coords.length;
-      area += coords[i].x * coords[j].y;
-      area -= coords[j].x * coords[i].y;
+  _formatLength(meters) {
+    if (meters >= 1000) {
+      // Show in kilometers if >= 1 km
+      return this._formatNumber(meters / 1000, 2) + " km";
     }
-
-    return Math.abs(area / 2);
+    return this._formatNumber(meters, 1) + " m";
   }
 
   /**
-   * Format area for display
-   * @param {number} areaM2 - Area in square meters
-   * @returns {string} Formatted area
+   * Format number in Polish notation (decimal comma, digit grouping)
+   * @param {number} value - Number to format
+   * @param {number} digits - Fixed number of decimal places
+   * @returns {string} Formatted number
    * @private
    */
-  _formatArea(areaM2) {
-    if (areaM2 >= 10000) {
-      // Show in hectares if >= 1 ha
-      return (areaM2 / 10000).toFixed(2) + " ha";
-    }
-    return Math.round(areaM2).toLocaleString("pl-PL") + " m²";
+  _formatNumber(value, digits) {
+    return value.toLocaleString("pl-PL", {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    });
   }
 
   /**
@@ -1065,6 +3616,11 @@ class App {
     this._elements.downloadKmlBtn.disabled = !hasParcels;
     this._elements.downloadGpkgBtn.disabled = !hasParcels;
     this._elements.downloadGeojsonBtn.disabled = !hasParcels;
+    this._elements.downloadDxfBtn.disabled = !hasParcels;
+    this._elements.downloadShpBtn.disabled = !hasParcels;
+    this._elements.downloadGpxBtn.disabled = !hasParcels;
+    this._elements.downloadPdfBtn.disabled = !hasParcels || this._reportRunning;
+    this._elements.downloadCsvBtn.disabled = !hasParcels;
 
     this._updateToggleButtons();
   }
@@ -1078,6 +3634,19 @@ class App {
     const itemsContainer = this._elements.parcelListItems;
     const countSpan = this._elements.parcelListCount;
 
+    this._updateOverlay();
+    this._updateAreaComparison();
+    this._updateBoundaryPoints();
+    this._updateTopology();
+
+    // Forget ticks of removed items
+    this._selectedParcelIds.forEach((id) => {
+      if (!this._parcels.some((parcel) => parcel.id === id)) {
+        this._selectedParcelIds.delete(id);
+      }
+    });
+    this._updateDissolveButton();
+
     if (this._parcels.length === 0) {
       listContainer.style.display = "none";
       return;
@@ -1090,12 +3659,38 @@ class App {
 
     // Display newest parcels first (reverse order)
     [...this._parcels].reverse().forEach((parcel) => {
+      const { color, label } = this._getObjectDefinition(parcel.objectType);
+      const isParcel =
+        (parcel.objectType ?? ObjectType.PARCEL) === ObjectType.PARCEL;
       const item = document.createElement("div");
       item.className = "parcel-list-item";
       item.dataset.parcelId = parcel.id;
       item.innerHTML = `
-        <span class="parcel-color" style="background: ${this._parcelColor}"></span>
-        <span class="parcel-id" title="${parcel.id}">${parcel.id}</span>
+        <input type="checkbox" class="parcel-select" title="Zaznacz do scalenia obrysów"${
+          this._selectedParcelIds.has(parcel.id) ? " checked" : ""
+        }>
+        <span class="parcel-color" style="background: ${color}" title="${label}"></span>
+        <div class="parcel-details">
+          <span class="parcel-id" title="${parcel.id}">${parcel.id}</span>
+          <span class="parcel-meta">${this._formatParcelLocation(parcel)}</span>
+          <span class="parcel-meta">${this._formatParcelMeasures(parcel)}</span>
+          ${this._formatNeighbourOf(parcel)}
+          ${this._formatOverlayShare(parcel)}
+          ${this._formatAreaDifference(parcel)}
+          ${this._formatGeometryCheck(parcel)}
+        </div>
+        ${
+          isParcel
+            ? `<button class="btn-neighbours" title="Dodaj działki sąsiednie"${
+                this._neighboursAbortController ? " disabled" : ""
+              }>
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="8" y="8" width="8" height="8"></rect>
+            <path d="M3 7V3h4M17 3h4v4M21 17v4h-4M7 21H3v-4"></path>
+          </svg>
+        </button>`
+            : ""
+        }
         <button class="btn-locate" title="Pokaż na mapie">
           <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <circle cx="12" cy="12" r="3"></circle>
@@ -1109,6 +3704,19 @@ class App {
         mapService.fitToCoordinates(parcel.vertices);
       });
 
+      item.querySelector(".parcel-select").addEventListener("change", (e) => {
+        if (e.target.checked) {
+          this._selectedParcelIds.add(parcel.id);
+        } else {
+          this._selectedParcelIds.delete(parcel.id);
+        }
+        this._updateDissolveButton();
+      });
+
+      item
+        .querySelector(".btn-neighbours")
+        ?.addEventListener("click", () => this._handleNeighbours(parcel));
+
       item.querySelector(".btn-remove").addEventListener("click", () => {
         this._removeParcel(parcel.id);
       });
@@ -1117,6 +3725,114 @@ class App {
     });
   }
 
+  /**
+   * Note on the parcel the item was added as a neighbour of
+   * @private
+   */
+  _formatNeighbourOf(parcel) {
+    if (!parcel.neighbourOf) return "";
+
+    return `<span class="parcel-meta parcel-relation">sąsiad działki ${parcel.neighbourOf}</span>`;
+  }
+
+  /**
+   * Share of the parcel inside zones of the overlay layer
+   * @private
+   */
+  _formatOverlayShare(parcel) {
+    if (!parcel.overlay?.zones.length) return "";
+
+    return `<span class="parcel-meta parcel-overlay" title="${this._escapeHtml(
+      parcel.overlay.zones.join(", ")
+    )}">w strefach nakładki: ${this._formatArea(
+      parcel.overlay.area
+    )} (${parcel.overlay.percent.toLocaleString("pl-PL", {
+      maximumFractionDigits: 1,
+    })}%)</span>`;
+  }
+
+  /**
+   * Badge with the difference between calculated and register area
+   * @private
+   */
+  _formatAreaDifference(parcel) {
+    const registerArea = this._registerAreas.get(parcel.id);
+    if (!registerArea) return "";
+
+    const { difference, differencePercent, exceedsTolerance } = compareAreas(
+      calculateArea(parcel.geometry),
+      registerArea,
+      this._getAreaTolerance()
+    );
+    const className = exceedsTolerance ? "exceeded" : "within";
+
+    return `<span class="area-check ${className}" title="Powierzchnia ewidencyjna: ${this._formatArea(
+      registerArea
+    )}">ewid. ${this._formatSignedNumber(
+      difference,
+      0
+    )} m² (${this._formatSignedNumber(differencePercent, 2)}%)</span>`;
+  }
+
+  /**
+   * Badge with the result of comparing imported geometry with ULDK
+   * @private
+   */
+  _formatGeometryCheck(parcel) {
+    switch (parcel.geometryCheck) {
+      case GeometryCheck.CHANGED:
+        return '<span class="geometry-check changed" title="Geometria z pliku różni się od aktualnej w ULDK">geometria zmieniona w ULDK</span>';
+      case GeometryCheck.UNCHANGED:
+        return '<span class="geometry-check unchanged" title="Geometria z pliku zgodna z ULDK">zgodna z ULDK</span>';
+      case GeometryCheck.UNAVAILABLE:
+        return '<span class="geometry-check unavailable" title="Nie udało się pobrać obiektu z ULDK">brak w ULDK</span>';
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Format administrative location of a parcel for the list
+   * (e.g. "nr 6509, obręb Karczew, gm. Karczew")
+   * @private
+   */
+  _formatParcelLocation(parcel) {
+    const { parcel: number, region, commune } = parcel.attributes ?? {};
+    const isParcel =
+      (parcel.objectType ?? ObjectType.PARCEL) === ObjectType.PARCEL;
+    const parts = [];
+    if (!isParcel) {
+      parts.push(this._getObjectDefinition(parcel.objectType).label);
+    }
+    if (number) parts.push(isParcel ? `nr ${number}` : `dz. ${number}`);
+    if (region) parts.push(`obręb ${region}`);
+    if (commune) parts.push(`gm. ${commune}`);
+    return this._escapeHtml(parts.join(", "));
+  }
+
+  /**
+   * Escape text for use in HTML markup
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Format area and perimeter of a parcel for the list
+   * @private
+   */
+  _formatParcelMeasures(parcel) {
+    return `${this._formatArea(
+      calculateArea(parcel.geometry)
+    )}, obwód ${this._formatLength(calculatePerimeter(parcel.geometry))}`;
+  }
+
   /**
    * Update toggle button states
    * @private
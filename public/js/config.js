@@ -9,13 +9,241 @@ export const CONFIG = {
   // ULDK API (GUGiK) - Polish Cadastral Parcel Service
   ULDK: {
     BASE_URL: "https://uldk.gugik.gov.pl/",
-    ENDPOINTS: {
-      GET_BY_ID: "GetParcelById",
-      GET_BY_XY: "GetParcelByXY",
-    },
-    RESULT_FIELDS: "geom_wkt,id",
     SRID_WGS84: "4326",
     SUCCESS_STATUS: "0",
+    // Request scheduler limits shared by all ULDK requests
+    SCHEDULER: {
+      // Maximum number of requests in flight
+      MAX_CONCURRENT: 4,
+      // Maximum number of requests started per second
+      REQUESTS_PER_SECOND: 8,
+      // First retry delay (ms), doubled on every attempt and jittered
+      BACKOFF_BASE_DELAY: 500,
+      BACKOFF_MAX_DELAY: 8000,
+      // Retries of transient ULDK errors ("brak wyników" etc.)
+      MAX_RETRIES: 2,
+    },
+  },
+
+  // Persistent cache of ULDK results (IndexedDB)
+  CACHE: {
+    DB_NAME: "parcelizator_cache",
+    DB_VERSION: 1,
+    // Entries older than this are ignored and pruned (7 days)
+    TTL_MS: 7 * 24 * 60 * 60 * 1000,
+    // Decimal places of WGS84 coordinates in lookup keys (5 ≈ 1 m)
+    COORDINATE_PRECISION: 5,
+    // Number of entries listed in the cache panel
+    LIST_LIMIT: 50,
+  },
+
+  // Import of exported GeoJSON/KML/GeoPackage files
+  FILE_IMPORT: {
+    // Maximum vertex shift (m) still treated as the same geometry as in ULDK
+    GEOMETRY_TOLERANCE: 0.05,
+  },
+
+  // Selecting all objects under a drawn shape
+  SPATIAL_SELECTION: {
+    // Default distance (m) between sampled points - smaller finds narrow parcels
+    GRID_SPACING: 10,
+    // Default half width (m) of the corridor around a drawn line
+    LINE_BUFFER: 5,
+    // Spacing is increased so that a shape never needs more samples
+    MAX_SAMPLES: 2000,
+  },
+
+  // Neighbours of a parcel - ULDK queried just outside its boundary
+  NEIGHBOURS: {
+    // Distance (m) of sample points from the boundary - less than the narrowest expected parcel
+    OFFSET: 0.5,
+    // Distance (m) between sample points along the boundary
+    SPACING: 10,
+    // Spacing is increased so that a parcel never needs more samples
+    MAX_SAMPLES: 400,
+  },
+
+  // Corridor along a planned route (utility routing)
+  CORRIDOR: {
+    // Default distance (m) from the route axis
+    BUFFER: 10,
+    // Vertices of circles approximating buffer ends and joints
+    CIRCLE_SEGMENTS: 32,
+  },
+
+  // Outline dissolved from selected parcels
+  DISSOLVE: {
+    // Layer name on the map and in exported files
+    LAYER_NAME: "Obrys scalony",
+    // Table / layer key in GeoPackage and GeoJSON
+    LAYER_KEY: "outline",
+    COLOR: "#2e7d32",
+    // Holes and parts smaller than this (m²) are slivers between parcels
+    MIN_AREA: 1,
+  },
+
+  // DXF export for CAD (drawing units: metres of a planar system)
+  DXF: {
+    // Layer name and ACI colour of outlines of every object type
+    OBJECT_LAYERS: {
+      parcel: { name: "DZIALKI", color: 1 },
+      building: { name: "BUDYNKI", color: 6 },
+      region: { name: "OBREBY", color: 5 },
+      commune: { name: "GMINY", color: 3 },
+    },
+    // Layers of labels and boundary points
+    LAYERS: {
+      PARCEL_IDS: { name: "DZIALKI_ID", color: 7 },
+      POINTS: { name: "PUNKTY", color: 30 },
+      POINT_NUMBERS: { name: "PUNKTY_NR", color: 30 },
+    },
+    // Text heights (m)
+    PARCEL_ID_HEIGHT: 1.5,
+    POINT_NUMBER_HEIGHT: 0.5,
+  },
+
+  // GPX export for handheld GPS receivers (always WGS 84)
+  GPX: {
+    CREATOR: "Parcelizator",
+    // Garmin waypoint symbol of boundary points
+    POINT_SYMBOL: "Flag, Blue",
+  },
+
+  // Printable PDF sheets of parcels (PdfReportGenerator)
+  PDF_REPORT: {
+    // TrueType font with Polish letters (jsPDF standard fonts lack them)
+    FONT_NAME: "DejaVuSans",
+    FONT_URLS: {
+      normal: "https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSans.ttf",
+      bold: "https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSans-Bold.ttf",
+    },
+    // Map image size (px) - 180 x 115 mm frame at about 220 dpi
+    MAP_WIDTH: 1560,
+    MAP_HEIGHT: 1000,
+    // Margin around the parcel as a fraction of its extent
+    MAP_PADDING: 0.25,
+    // Time limit for a single tile or WMS image (ms)
+    IMAGE_TIMEOUT: 15000,
+    OUTLINE_COLOR: "#d32f2f",
+  },
+
+  // CSV table export (CsvExporter)
+  CSV_EXPORT: {
+    // Cell separators offered in the UI (Polish Excel expects a semicolon)
+    SEPARATORS: {
+      semicolon: { label: "Średnik (;)", value: ";" },
+      comma: { label: "Przecinek (,)", value: "," },
+      tab: { label: "Tabulator", value: "\t" },
+    },
+  },
+
+  // Parcels intersected with an uploaded zone layer (zoning plan, flood zone)
+  OVERLAY: {
+    COLOR: "#f9a825",
+    // Intersections smaller than this (m²) are boundary slivers
+    MIN_AREA: 0.01,
+    // Attributes tried (case-insensitive, in order) as the zone name
+    LABEL_FIELDS: [
+      "name",
+      "nazwa",
+      "symbol",
+      "oznaczenie",
+      "przeznaczenie",
+      "opis",
+      "parcel_id",
+      "id",
+    ],
+  },
+
+  // Boundary point register
+  BOUNDARY_POINTS: {
+    // Vertices of different parcels closer than this (m) share one number
+    MERGE_TOLERANCE: 0.01,
+  },
+
+  // Shared boundaries and neighbourhood of listed parcels
+  TOPOLOGY: {
+    // Maximum distance (m) between boundaries treated as common
+    TOLERANCE: 0.05,
+  },
+
+  // Calculated area versus register (EGiB) area
+  AREA_COMPARISON: {
+    // Default accepted difference (%)
+    TOLERANCE_PERCENT: 1,
+  },
+
+  // Named projects saved in localStorage
+  PROJECTS: {
+    INDEX_KEY: "parcelizator_projects",
+    STATE_KEY_PREFIX: "parcelizator_project_",
+    DEFAULT_NAME: "Mój projekt",
+    // Delay (ms) between the last change and saving the active project
+    AUTOSAVE_DELAY: 500,
+  },
+
+  // Object types available through ULDK, keyed by ObjectType value.
+  // Result fields order matters - ULDK returns values pipe-separated in the requested order
+  OBJECT_TYPES: {
+    parcel: {
+      label: "Działka",
+      accusative: "działkę",
+      layerName: "Obrysy działek",
+      layerKey: "polygons",
+      color: "#c62828",
+      requests: { byId: "GetParcelById", byXY: "GetParcelByXY" },
+      resultFields: [
+        "geom_wkt",
+        "id",
+        "voivodeship",
+        "county",
+        "commune",
+        "region",
+        "parcel",
+      ],
+    },
+    building: {
+      label: "Budynek",
+      accusative: "budynek",
+      layerName: "Budynki",
+      layerKey: "buildings",
+      color: "#6a1b9a",
+      requests: { byId: "GetBuildingById", byXY: "GetBuildingByXY" },
+      resultFields: [
+        "geom_wkt",
+        "id",
+        "voivodeship",
+        "county",
+        "commune",
+        "region",
+        "parcel",
+      ],
+    },
+    region: {
+      label: "Obręb",
+      accusative: "obręb",
+      layerName: "Obręby ewidencyjne",
+      layerKey: "regions",
+      color: "#1565c0",
+      requests: { byId: "GetRegionById", byXY: "GetRegionByXY" },
+      resultFields: [
+        "geom_wkt",
+        "id",
+        "voivodeship",
+        "county",
+        "commune",
+        "region",
+      ],
+    },
+    commune: {
+      label: "Gmina",
+      accusative: "gminę",
+      layerName: "Gminy",
+      layerKey: "communes",
+      color: "#2e7d32",
+      requests: { byId: "GetCommuneById", byXY: "GetCommuneByXY" },
+      resultFields: ["geom_wkt", "id", "voivodeship", "county", "commune"],
+    },
   },
 
   // Nominatim (OpenStreetMap) - Geocoding Service
@@ -31,9 +259,123 @@ export const CONFIG = {
   PROJECTIONS: {
     WGS84: "EPSG:4326",
     PUWG_1992: "EPSG:2180",
-    // Proj4 definition for Polish coordinate system
-    PUWG_1992_DEF:
-      "+proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+    // PL-2000 zones 5-8 by central meridian: 15°, 18°, 21°, 24° (zone = round(lng / 3))
+    PL2000_ZONES: { 5: 2176, 6: 2177, 7: 2178, 8: 2179 },
+  },
+
+  // Polish coordinate systems keyed by EPSG code: Proj4 definition for
+  // CoordinateTransformer and OGC WKT written to gpkg_spatial_ref_sys.
+  // PUWG 1965 uses the 7-parameter datum shift (accuracy around 1 m).
+  COORDINATE_SYSTEMS: {
+    4326: {
+      label: "WGS 84 (EPSG:4326)",
+      srsName: "WGS 84",
+      description: "WGS 84 geodetic",
+      geographic: true,
+      proj4: "+proj=longlat +datum=WGS84 +no_defs +type=crs",
+      definition:
+        'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]',
+    },
+    2180: {
+      label: "PUWG 1992 (EPSG:2180)",
+      srsName: "ETRF2000-PL / CS92",
+      description: "Państwowy Układ Współrzędnych Geodezyjnych 1992",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["ETRF2000-PL / CS92",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",19],PARAMETER["scale_factor",0.9993],PARAMETER["false_easting",500000],PARAMETER["false_northing",-5300000],UNIT["metre",1],AUTHORITY["EPSG","2180"]]',
+    },
+    2176: {
+      label: "PL-2000 strefa 5 (EPSG:2176)",
+      srsName: "ETRF2000-PL / CS2000/15",
+      description: "Układ 2000, strefa 5 (południk 15°)",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=15 +k=0.999923 +x_0=5500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["ETRF2000-PL / CS2000/15",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",15],PARAMETER["scale_factor",0.999923],PARAMETER["false_easting",5500000],PARAMETER["false_northing",0],UNIT["metre",1],AUTHORITY["EPSG","2176"]]',
+    },
+    2177: {
+      label: "PL-2000 strefa 6 (EPSG:2177)",
+      srsName: "ETRF2000-PL / CS2000/18",
+      description: "Układ 2000, strefa 6 (południk 18°)",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=18 +k=0.999923 +x_0=6500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["ETRF2000-PL / CS2000/18",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",18],PARAMETER["scale_factor",0.999923],PARAMETER["false_easting",6500000],PARAMETER["false_northing",0],UNIT["metre",1],AUTHORITY["EPSG","2177"]]',
+    },
+    2178: {
+      label: "PL-2000 strefa 7 (EPSG:2178)",
+      srsName: "ETRF2000-PL / CS2000/21",
+      description: "Układ 2000, strefa 7 (południk 21°)",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=21 +k=0.999923 +x_0=7500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["ETRF2000-PL / CS2000/21",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",21],PARAMETER["scale_factor",0.999923],PARAMETER["false_easting",7500000],PARAMETER["false_northing",0],UNIT["metre",1],AUTHORITY["EPSG","2178"]]',
+    },
+    2179: {
+      label: "PL-2000 strefa 8 (EPSG:2179)",
+      srsName: "ETRF2000-PL / CS2000/24",
+      description: "Układ 2000, strefa 8 (południk 24°)",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=24 +k=0.999923 +x_0=8500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["ETRF2000-PL / CS2000/24",GEOGCS["ETRF2000-PL",DATUM["ETRF2000_Poland",SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",24],PARAMETER["scale_factor",0.999923],PARAMETER["false_easting",8500000],PARAMETER["false_northing",0],UNIT["metre",1],AUTHORITY["EPSG","2179"]]',
+    },
+    3120: {
+      label: "PUWG 1965 strefa I (EPSG:3120)",
+      srsName: "Pulkovo 1942(58) / Poland zone I",
+      description: "Układ 1965, strefa I",
+      geographic: false,
+      proj4:
+        "+proj=sterea +lat_0=50.625 +lon_0=21.08333333333333 +k=0.9998 +x_0=4637000 +y_0=5467000 +ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["Pulkovo 1942(58) / Poland zone I",GEOGCS["Pulkovo 1942(58)",DATUM["Pulkovo_1942_58",SPHEROID["Krassowsky 1940",6378245,298.3],TOWGS84[33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Oblique_Stereographic"],PARAMETER["latitude_of_origin",50.625],PARAMETER["central_meridian",21.08333333333333],PARAMETER["scale_factor",0.9998],PARAMETER["false_easting",4637000],PARAMETER["false_northing",5467000],UNIT["metre",1],AUTHORITY["EPSG","3120"]]',
+    },
+    2172: {
+      label: "PUWG 1965 strefa II (EPSG:2172)",
+      srsName: "Pulkovo 1942(58) / Poland zone II",
+      description: "Układ 1965, strefa II",
+      geographic: false,
+      proj4:
+        "+proj=sterea +lat_0=53.00194444444445 +lon_0=21.50277777777778 +k=0.9998 +x_0=4603000 +y_0=5806000 +ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["Pulkovo 1942(58) / Poland zone II",GEOGCS["Pulkovo 1942(58)",DATUM["Pulkovo_1942_58",SPHEROID["Krassowsky 1940",6378245,298.3],TOWGS84[33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Oblique_Stereographic"],PARAMETER["latitude_of_origin",53.00194444444445],PARAMETER["central_meridian",21.50277777777778],PARAMETER["scale_factor",0.9998],PARAMETER["false_easting",4603000],PARAMETER["false_northing",5806000],UNIT["metre",1],AUTHORITY["EPSG","2172"]]',
+    },
+    2173: {
+      label: "PUWG 1965 strefa III (EPSG:2173)",
+      srsName: "Pulkovo 1942(58) / Poland zone III",
+      description: "Układ 1965, strefa III",
+      geographic: false,
+      proj4:
+        "+proj=sterea +lat_0=53.58333333333334 +lon_0=17.00833333333333 +k=0.9998 +x_0=3501000 +y_0=5999000 +ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["Pulkovo 1942(58) / Poland zone III",GEOGCS["Pulkovo 1942(58)",DATUM["Pulkovo_1942_58",SPHEROID["Krassowsky 1940",6378245,298.3],TOWGS84[33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Oblique_Stereographic"],PARAMETER["latitude_of_origin",53.58333333333334],PARAMETER["central_meridian",17.00833333333333],PARAMETER["scale_factor",0.9998],PARAMETER["false_easting",3501000],PARAMETER["false_northing",5999000],UNIT["metre",1],AUTHORITY["EPSG","2173"]]',
+    },
+    2174: {
+      label: "PUWG 1965 strefa IV (EPSG:2174)",
+      srsName: "Pulkovo 1942(58) / Poland zone IV",
+      description: "Układ 1965, strefa IV",
+      geographic: false,
+      proj4:
+        "+proj=sterea +lat_0=51.67083333333333 +lon_0=16.67222222222222 +k=0.9998 +x_0=3703000 +y_0=5627000 +ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["Pulkovo 1942(58) / Poland zone IV",GEOGCS["Pulkovo 1942(58)",DATUM["Pulkovo_1942_58",SPHEROID["Krassowsky 1940",6378245,298.3],TOWGS84[33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Oblique_Stereographic"],PARAMETER["latitude_of_origin",51.67083333333333],PARAMETER["central_meridian",16.67222222222222],PARAMETER["scale_factor",0.9998],PARAMETER["false_easting",3703000],PARAMETER["false_northing",5627000],UNIT["metre",1],AUTHORITY["EPSG","2174"]]',
+    },
+    2175: {
+      label: "PUWG 1965 strefa V (EPSG:2175)",
+      srsName: "Pulkovo 1942(58) / Poland zone V",
+      description: "Układ 1965, strefa V",
+      geographic: false,
+      proj4:
+        "+proj=tmerc +lat_0=0 +lon_0=18.95833333333333 +k=0.999983 +x_0=237000 +y_0=-4700000 +ellps=krass +towgs84=33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84 +units=m +no_defs +type=crs",
+      definition:
+        'PROJCS["Pulkovo 1942(58) / Poland zone V",GEOGCS["Pulkovo 1942(58)",DATUM["Pulkovo_1942_58",SPHEROID["Krassowsky 1940",6378245,298.3],TOWGS84[33.4,-146.6,-76.3,-0.359,-0.053,0.844,-0.84]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",18.95833333333333],PARAMETER["scale_factor",0.999983],PARAMETER["false_easting",237000],PARAMETER["false_northing",-4700000],UNIT["metre",1],AUTHORITY["EPSG","2175"]]',
+    },
   },
 
   // Map defaults
@@ -96,6 +438,7 @@ export const CONFIG = {
     POINT_RADIUS: 6,
     POINT_FILL_OPACITY: 0.9,
     FIT_BOUNDS_PADDING: [50, 50],
+    DRAW_COLOR: "#d81b60",
   },
 
   // Google Analytics
@@ -114,7 +457,11 @@ export const CONFIG = {
       PARCEL_ADD_ERROR: "parcel_add_error",
       QUEUE_PROCESS: "queue_process",
       FILE_DOWNLOAD: "file_download",
+      FILE_IMPORT: "file_import",
       QUEUE_MODE_TOGGLE: "queue_mode_toggle",
+      BULK_IMPORT: "bulk_import",
+      SPATIAL_SELECTION: "spatial_selection",
+      NEIGHBOURS: "neighbours",
     },
   },
 
@@ -122,11 +469,80 @@ export const CONFIG = {
   PATTERNS: {
     // Matches: "50.1234, 19.5678" or "50.1234 19.5678" or "50,1234; 19,5678"
     COORDINATES: /^\s*(-?\d+[.,]\d+)\s*[,;\s]\s*(-?\d+[.,]\d+)\s*$/,
+    // Matches planar "5523456.12 7456789.34" or "523456;456789" (metres, no comma separator)
+    PLANAR_COORDINATES:
+      /^\s*(\d{5,7}(?:[.,]\d+)?)\s*[;\s]\s*(\d{5,7}(?:[.,]\d+)?)\s*$/,
+    // Matches labelled planar "X=5523456.12, Y=7456789.34" (either order, "=" or ":")
+    LABELED_COORDINATES:
+      /^\s*([XY])\s*[=:]\s*(\d+(?:[.,]\d+)?)\s*[,;]?\s*([XY])\s*[=:]\s*(\d+(?:[.,]\d+)?)\s*$/i,
+    // Matches DMS: 50°03'12"N 19°56'24"E (minutes, seconds and hemisphere optional)
+    DMS_COORDINATES:
+      /^\s*(\d{1,3})\s*°\s*(?:(\d{1,2}(?:[.,]\d+)?)\s*['′’]\s*)?(?:(\d{1,2}(?:[.,]\d+)?)\s*(?:"|″|”|'')\s*)?([NSEW])?\s*[,;]?\s*(\d{1,3})\s*°\s*(?:(\d{1,2}(?:[.,]\d+)?)\s*['′’]\s*)?(?:(\d{1,2}(?:[.,]\d+)?)\s*(?:"|″|”|'')\s*)?([NSEW])?\s*$/i,
     // Matches Polish parcel ID: "141201_1.0001.6509" or "141201_1.0001.6509/2"
     PARCEL_ID: /^\d{6}_\d\.\d{4}\.\d+([/]\d+)?$/,
+    // Matches building ID: "141201_1.0001.6509_BUD" or "141201_1.0001.6509/2.1_BUD"
+    BUILDING_ID: /^\d{6}_\d\.\d{4}\.[\d/.]+_BUD$/i,
+    // Matches cadastral region (obręb) ID: "141201_1.0001"
+    REGION_ID: /^\d{6}_\d\.\d{4}$/,
+    // Matches commune TERYT ID: "141201_1"
+    COMMUNE_ID: /^\d{6}_\d$/,
+    // EGiB identifier patterns by ObjectType value (keys of CONFIG.OBJECT_TYPES)
+    get OBJECT_IDS() {
+      return {
+        parcel: this.PARCEL_ID,
+        building: this.BUILDING_ID,
+        region: this.REGION_ID,
+        commune: this.COMMUNE_ID,
+      };
+    },
   },
 };
 
+// ULDK object type enum (keys of CONFIG.OBJECT_TYPES)
+export const ObjectType = Object.freeze({
+  PARCEL: "parcel",
+  BUILDING: "building",
+  REGION: "region",
+  COMMUNE: "commune",
+});
+
+// Result of comparing an imported geometry with ULDK
+export const GeometryCheck = Object.freeze({
+  UNCHANGED: "unchanged",
+  CHANGED: "changed",
+  UNAVAILABLE: "unavailable",
+});
+
+// Shape drawn on the map for spatial selection
+export const DrawMode = Object.freeze({
+  RECTANGLE: "rectangle",
+  POLYGON: "polygon",
+  POLYLINE: "polyline",
+});
+
+// Coordinate system enum (EPSG codes, keys of CONFIG.COORDINATE_SYSTEMS).
+// PL2000_AUTO picks the PL-2000 zone from longitude (CoordinateTransformer.resolve).
+export const CoordinateSystem = Object.freeze({
+  WGS84: 4326,
+  PUWG_1992: 2180,
+  PL2000_ZONE_5: 2176,
+  PL2000_ZONE_6: 2177,
+  PL2000_ZONE_7: 2178,
+  PL2000_ZONE_8: 2179,
+  PUWG_1965_ZONE_1: 3120,
+  PUWG_1965_ZONE_2: 2172,
+  PUWG_1965_ZONE_3: 2173,
+  PUWG_1965_ZONE_4: 2174,
+  PUWG_1965_ZONE_5: 2175,
+  PL2000_AUTO: "pl2000",
+});
+
+// Rows of the CSV table export
+export const CsvExportMode = Object.freeze({
+  PARCELS: "parcels",
+  POINTS: "points",
+});
+
 // Search type enum
 export const SearchType = Object.freeze({
   COORDINATES: "coordinates",
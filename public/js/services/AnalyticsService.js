@@ -192,6 +192,18 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Track import of a GeoJSON/KML/GeoPackage file
+   * @param {string} format - File extension (geojson, kml, gpkg)
+   * @param {number} parcelCount - Number of parcels added to the list
+   */
+  trackFileImport(format, parcelCount) {
+    this.trackEvent(CONFIG.ANALYTICS.EVENTS.FILE_IMPORT, {
+      format,
+      parcel_count: parcelCount,
+    });
+  }
+
   /**
    * Track queue mode toggle
    * @param {boolean} enabled - Whether queue mode is now enabled
@@ -201,6 +213,46 @@ class AnalyticsService {
       enabled,
     });
   }
+
+  /**
+   * Track bulk import of parcel IDs
+   * @param {number} totalCount - Total entries in the imported list
+   * @param {number} successCount - Parcels added to the list
+   * @param {number} errorCount - Invalid, duplicated or failed entries
+   */
+  trackBulkImport(totalCount, successCount, errorCount) {
+    this.trackEvent(CONFIG.ANALYTICS.EVENTS.BULK_IMPORT, {
+      total_count: totalCount,
+      success_count: successCount,
+      error_count: errorCount,
+    });
+  }
+
+  /**
+   * Track selection of objects under a drawn shape
+   * @param {string} drawMode - DrawMode enum value
+   * @param {string} objectType - ObjectType enum value
+   * @param {number} foundCount - Objects found under the shape
+   */
+  trackSpatialSelection(drawMode, objectType, foundCount) {
+    this.trackEvent(CONFIG.ANALYTICS.EVENTS.SPATIAL_SELECTION, {
+      draw_mode: drawMode,
+      object_type: objectType,
+      found_count: foundCount,
+    });
+  }
+
+  /**
+   * Track search for neighbours of a parcel
+   * @param {number} foundCount - Neighbouring parcels found
+   * @param {number} addedCount - Neighbours added to the list
+   */
+  trackNeighbours(foundCount, addedCount) {
+    this.trackEvent(CONFIG.ANALYTICS.EVENTS.NEIGHBOURS, {
+      found_count: foundCount,
+      added_count: addedCount,
+    });
+  }
 }
 
 // Export singleton instance
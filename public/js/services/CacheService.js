@@ -0,0 +1,294 @@
+/**
+ * CacheService - Persistent cache of ULDK results in IndexedDB
+ *
+ * @description Stores fetched objects keyed by identifier and by rounded
+ * coordinates, so repeated lookups (also after page reload) skip the network.
+ * Entries expire after CONFIG.CACHE.TTL_MS. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Object store names
+const OBJECTS_STORE = "objects";
+const COORDINATES_STORE = "coordinates";
+
+/**
+ * Cached ULDK object
+ * @typedef {Object} CacheEntry
+ * @property {string} key - "<objectType>:<id>"
+ * @property {string} objectType - ObjectType enum value
+ * @property {string} id - Object identifier
+ * @property {Object} result - ParcelResult returned by UldkService
+ * @property {number} createdAt - Timestamp of caching (ms)
+ */
+
+/**
+ * Cache statistics shown in the UI
+ * @typedef {Object} CacheStats
+ * @property {number} objectCount - Number of cached objects
+ * @property {number} coordinateCount - Number of cached coordinate lookups
+ * @property {number|null} oldest - Timestamp of the oldest entry
+ * @property {number|null} newest - Timestamp of the newest entry
+ */
+
+class CacheService {
+  // Promise of the opened database (null when IndexedDB is unavailable)
+  _dbPromise = null;
+
+  /**
+   * Get cached object by identifier
+   *
+   * @param {string} objectType - ObjectType enum value
+   * @param {string} id - Object identifier
+   * @returns {Promise<Object|null>} Cached ParcelResult or null
+   */
+  async get(objectType, id) {
+    const entry = await this._read(
+      OBJECTS_STORE,
+      this._getObjectKey(objectType, id)
+    );
+
+    return this._isValid(entry) ? entry.result : null;
+  }
+
+  /**
+   * Get cached object found earlier at (nearly) the same coordinates
+   *
+   * @param {string} objectType - ObjectType enum value
+   * @param {number} lng - Longitude (WGS84)
+   * @param {number} lat - Latitude (WGS84)
+   * @returns {Promise<Object|null>} Cached ParcelResult or null
+   */
+  async getByCoordinates(objectType, lng, lat) {
+    const link = await this._read(
+      COORDINATES_STORE,
+      this._getCoordinateKey(objectType, lng, lat)
+    );
+
+    if (!this._isValid(link)) return null;
+
+    return this.get(objectType, link.id);
+  }
+
+  /**
+   * Store fetched object, optionally linked with the queried coordinates
+   *
+   * @param {Object} result - ParcelResult returned by UldkService
+   * @param {Object} [coordinates] - Coordinates used for the lookup
+   * @param {number} coordinates.lng - Longitude (WGS84)
+   * @param {number} coordinates.lat - Latitude (WGS84)
+   * @returns {Promise<void>}
+   */
+  async put(result, coordinates = null) {
+    const createdAt = Date.now();
+    const { objectType, id } = result;
+
+    await this._write(OBJECTS_STORE, (store) => {
+      store.put({
+        key: this._getObjectKey(objectType, id),
+        objectType,
+        id,
+        result,
+        createdAt,
+      });
+    });
+
+    if (coordinates) {
+      await this._write(COORDINATES_STORE, (store) => {
+        store.put({
+          key: this._getCoordinateKey(
+            objectType,
+            coordinates.lng,
+            coordinates.lat
+          ),
+          objectType,
+          id,
+          createdAt,
+        });
+      });
+    }
+  }
+
+  /**
+   * List cached objects, newest first
+   *
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<CacheEntry>>} Cached entries
+   */
+  async list(limit = 50) {
+    const entries = await this._readAll(OBJECTS_STORE);
+
+    return entries
+      .filter((entry) => this._isValid(entry))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<CacheStats>} Statistics of valid entries
+   */
+  async getStats() {
+    const objects = (await this._readAll(OBJECTS_STORE)).filter((entry) =>
+      this._isValid(entry)
+    );
+    const coordinates = (await this._readAll(COORDINATES_STORE)).filter(
+      (entry) => this._isValid(entry)
+    );
+    const timestamps = objects.map((entry) => entry.createdAt);
+
+    return {
+      objectCount: objects.length,
+      coordinateCount: coordinates.length,
+      oldest: timestamps.length > 0 ? Math.min(...timestamps) : null,
+      newest: timestamps.length > 0 ? Math.max(...timestamps) : null,
+    };
+  }
+
+  /**
+   * Remove all cached entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._write(OBJECTS_STORE, (store) => store.clear());
+    await this._write(COORDINATES_STORE, (store) => store.clear());
+  }
+
+  /**
+   * Remove expired entries from both stores
+   * @returns {Promise<void>}
+   */
+  async pruneExpired() {
+    for (const storeName of [OBJECTS_STORE, COORDINATES_STORE]) {
+      const expired = (await this._readAll(storeName)).filter(
+        (entry) => !this._isValid(entry)
+      );
+
+      if (expired.length > 0) {
+        await this._write(storeName, (store) => {
+          expired.forEach((entry) => store.delete(entry.key));
+        });
+      }
+    }
+  }
+
+  /**
+   * Build object store key
+   * @private
+   */
+  _getObjectKey(objectType, id) {
+    return `${objectType}:${id}`;
+  }
+
+  /**
+   * Build coordinate store key from rounded WGS84 coordinates
+   * @private
+   */
+  _getCoordinateKey(objectType, lng, lat) {
+    const precision = CONFIG.CACHE.COORDINATE_PRECISION;
+    return `${objectType}@${lat.toFixed(precision)},${lng.toFixed(precision)}`;
+  }
+
+  /**
+   * Check that entry exists and has not expired
+   * @private
+   */
+  _isValid(entry) {
+    return Boolean(entry) && Date.now() - entry.createdAt < CONFIG.CACHE.TTL_MS;
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   * @private
+   * @returns {Promise<IDBDatabase|null>} Database or null when unavailable
+   */
+  _openDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(
+          CONFIG.CACHE.DB_NAME,
+          CONFIG.CACHE.DB_VERSION
+        );
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          [OBJECTS_STORE, COORDINATES_STORE]
+            .filter((name) => !db.objectStoreNames.contains(name))
+            .forEach((name) => db.createObjectStore(name, { keyPath: "key" }));
+        };
+
+        request.onsuccess = () => resolve(request.result);
+
+        // Cache is optional - e.g. private browsing may block IndexedDB
+        request.onerror = () => {
+          console.warn("IndexedDB cache unavailable:", request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Read single record by key (null on any error)
+   * @private
+   */
+  async _read(storeName, key) {
+    return this._withStore(storeName, "readonly", (store) => store.get(key));
+  }
+
+  /**
+   * Read all records of a store
+   * @private
+   */
+  async _readAll(storeName) {
+    return (
+      (await this._withStore(storeName, "readonly", (store) =>
+        store.getAll()
+      )) ?? []
+    );
+  }
+
+  /**
+   * Run write operations in a single transaction
+   * @private
+   */
+  async _write(storeName, callback) {
+    await this._withStore(storeName, "readwrite", callback);
+  }
+
+  /**
+   * Run callback on an object store and wait for the transaction to finish
+   * Errors are logged and swallowed - the cache must never break lookups.
+   * @private
+   * @returns {Promise<*>} Result of the request returned by callback, or null
+   */
+  async _withStore(storeName, mode, callback) {
+    const db = await this._openDatabase();
+    if (!db) return null;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request?.result ?? null);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn("IndexedDB cache error:", error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export const cacheService = new CacheService();
+export default cacheService;
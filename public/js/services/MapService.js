@@ -5,11 +5,13 @@
  * polygon/point rendering, and map controls. Single Responsibility Principle.
  */
 
-import { CONFIG } from "../config.js";
+import { CONFIG, ObjectType, DrawMode, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "../utils/CoordinateTransformer.js";
 
 class MapService {
   _map = null;
   _polygonLayer = null;
+  _objectLayers = {}; // Map of ObjectType -> featureGroup (parcels use _polygonLayer)
   _pointsLayer = null;
   _markerLayer = null;
   _queueMarkersLayer = null;
@@ -17,12 +19,22 @@ class MapService {
   _wmsLayer = null;
   _wmsUtilitiesLayer = null;
   _onMapClickCallback = null;
+  _onViewChangeCallback = null;
+  _onFileDropCallback = null;
   _locationMarker = null;
   _locationCircle = null;
   _baseLayer = null;
+  _baseLayerKey = "OSM";
   _baseLayers = {};
+  _layerSwitcherDropdown = null;
   _loadingLayers = new Set(); // Track layers currently loading tiles
   _loadingSpinner = null;
+  _drawLayer = null;
+  _corridorLayer = null;
+  _outlineLayer = null;
+  _overlayLayer = null;
+  _drawing = null; // Active drawing: {mode, points, onComplete, onCancel}
+  _coordinateSystem = CoordinateSystem.WGS84; // Used in vertex tooltips
 
   /**
    * Initialize Leaflet map
@@ -48,10 +60,20 @@ class MapService {
     this._initBaseLayers();
 
     // Initialize feature groups (featureGroup supports getBounds, layerGroup doesn't)
+    // Object layers are stacked from the largest (communes) to the smallest (buildings),
+    // all above the uploaded zone overlay
+    this._overlayLayer = L.featureGroup().addTo(this._map);
+    this._objectLayers[ObjectType.COMMUNE] = L.featureGroup().addTo(this._map);
+    this._objectLayers[ObjectType.REGION] = L.featureGroup().addTo(this._map);
     this._polygonLayer = L.featureGroup().addTo(this._map);
+    this._objectLayers[ObjectType.PARCEL] = this._polygonLayer;
+    this._objectLayers[ObjectType.BUILDING] = L.featureGroup().addTo(this._map);
+    this._outlineLayer = L.featureGroup().addTo(this._map);
     this._pointsLayer = L.featureGroup().addTo(this._map);
     this._markerLayer = L.featureGroup().addTo(this._map);
     this._queueMarkersLayer = L.featureGroup().addTo(this._map);
+    this._corridorLayer = L.featureGroup().addTo(this._map);
+    this._drawLayer = L.featureGroup().addTo(this._map);
 
     // Initialize WMS cadastral layer (GUGiK KIEG)
     this._initWmsLayer();
@@ -64,11 +86,26 @@ class MapService {
 
     // Set up click handler
     this._map.on("click", (e) => {
-      if (this._onMapClickCallback) {
+      if (this._drawing) {
+        this._addDrawingPoint(e.latlng);
+      } else if (this._onMapClickCallback) {
         this._onMapClickCallback(e.latlng);
       }
     });
 
+    // Accept files dragged onto the map
+    this._initFileDrop();
+
+    // Drawing tools (spatial selection)
+    this._initDrawing();
+
+    // Notify about pan/zoom once the movement ends
+    this._map.on("moveend", () => {
+      if (this._onViewChangeCallback) {
+        this._onViewChangeCallback(this.getView());
+      }
+    });
+
     return this;
   }
 
@@ -150,6 +187,7 @@ class MapService {
 
         const dropdown = L.DomUtil.create("div", "layers-dropdown", container);
         dropdown.style.display = "none";
+        self._layerSwitcherDropdown = dropdown;
 
         const basemaps = CONFIG.BASEMAPS;
         const layers = [
@@ -170,10 +208,6 @@ class MapService {
             e.preventDefault();
             e.stopPropagation();
             self._switchBaseLayer(layer.key);
-            dropdown
-              .querySelectorAll(".layer-item")
-              .forEach((el) => el.classList.remove("active"));
-            item.classList.add("active");
             dropdown.style.display = "none";
           });
         });
@@ -210,6 +244,24 @@ class MapService {
     new LayerSwitcher().addTo(this._map);
   }
 
+  /**
+   * Get key of the active base layer
+   *
+   * @returns {string} Key from CONFIG.BASEMAPS (OSM, GOOGLE_SATELLITE, ORTO)
+   */
+  getBaseLayerKey() {
+    return this._baseLayerKey;
+  }
+
+  /**
+   * Switch base layer (also updates the layer switcher control)
+   *
+   * @param {string} layerKey - Key from CONFIG.BASEMAPS (OSM, GOOGLE_SATELLITE, ORTO)
+   */
+  setBaseLayer(layerKey) {
+    this._switchBaseLayer(layerKey);
+  }
+
   /**
    * Switch to a different base layer
    * @param {string} layerKey - Key from CONFIG.BASEMAPS (OSM, GOOGLE_SATELLITE, ORTO)
@@ -231,9 +283,17 @@ class MapService {
 
     // Add new base layer (at the bottom)
     this._baseLayer = this._baseLayers[layerKey];
+    this._baseLayerKey = layerKey;
     this._baseLayer.addTo(this._map);
     this._baseLayer.bringToBack();
 
+    // Mark active item in the layer switcher
+    this._layerSwitcherDropdown
+      ?.querySelectorAll(".layer-item")
+      .forEach((el) =>
+        el.classList.toggle("active", el.dataset.layer === layerKey)
+      );
+
     // Restore view position and zoom (use setView with no animation to avoid glitches)
     this._map.setView(currentCenter, currentZoom, { animate: false });
   }
@@ -333,6 +393,408 @@ class MapService {
     this._onMapClickCallback = callback;
   }
 
+  /**
+   * Register callback for map view changes (pan, zoom)
+   *
+   * @param {Function} callback - Function to call with {lat, lng, zoom} after the map moved
+   */
+  onViewChange(callback) {
+    this._onViewChangeCallback = callback;
+  }
+
+  /**
+   * Register callback for files dropped onto the map
+   *
+   * @param {Function} callback - Function to call with an array of dropped File objects
+   */
+  onFileDrop(callback) {
+    this._onFileDropCallback = callback;
+  }
+
+  /**
+   * Set up drag-and-drop of files on the map container
+   * @private
+   */
+  _initFileDrop() {
+    const container = this._map.getContainer();
+    const hasFiles = (e) => e.dataTransfer?.types.includes("Files");
+
+    container.addEventListener("dragover", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+      container.classList.add("file-drop-active");
+    });
+
+    container.addEventListener("dragleave", (e) => {
+      if (!container.contains(e.relatedTarget)) {
+        container.classList.remove("file-drop-active");
+      }
+    });
+
+    container.addEventListener("drop", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      container.classList.remove("file-drop-active");
+
+      if (this._onFileDropCallback) {
+        this._onFileDropCallback(Array.from(e.dataTransfer.files));
+      }
+    });
+  }
+
+  /**
+   * Start drawing a shape on the map
+   * Rectangle needs two corner clicks, polygon and polyline are finished
+   * with a double click (polygon also by clicking its first vertex).
+   * Esc cancels drawing. The finished shape stays visible until clearDrawing().
+   *
+   * @param {string} mode - DrawMode enum value
+   * @param {Function} onComplete - Function to call with an array of {lat, lng} vertices
+   * @param {Function} [onCancel] - Function to call when drawing is cancelled
+   */
+  startDrawing(mode, onComplete, onCancel = null) {
+    this.cancelDrawing();
+    this.clearDrawing();
+
+    this._drawing = { mode, points: [], onComplete, onCancel };
+    this._map.doubleClickZoom.disable();
+    this._map.getContainer().classList.add("drawing-active");
+  }
+
+  /**
+   * Stop drawing without calling the completion callback
+   */
+  cancelDrawing() {
+    if (!this._drawing) return;
+
+    const { onCancel } = this._drawing;
+    this._stopDrawing();
+    this._drawLayer.clearLayers();
+
+    if (onCancel) {
+      onCancel();
+    }
+  }
+
+  /**
+   * Remove the drawn shape from the map
+   */
+  clearDrawing() {
+    if (this._drawLayer) {
+      this._drawLayer.clearLayers();
+    }
+  }
+
+  /**
+   * Check if a shape is being drawn
+   *
+   * @returns {boolean} True while drawing
+   */
+  isDrawing() {
+    return this._drawing !== null;
+  }
+
+  /**
+   * Show route corridor (buffer outline and route axis)
+   *
+   * @param {Array<Array<{lat: number, lng: number}>>} routes - Route polylines
+   * @param {Array<Array<Array<{lat: number, lng: number}>>>} polygons - Corridor polygons (rings)
+   */
+  showCorridor(routes, polygons) {
+    this.clearCorridor();
+
+    const toLatLngs = (points) => points.map((point) => [point.lat, point.lng]);
+
+    polygons.forEach((rings) => {
+      this._corridorLayer.addLayer(
+        L.polygon(rings.map(toLatLngs), {
+          color: CONFIG.UI.DRAW_COLOR,
+          weight: 1,
+          fillOpacity: 0.15,
+          interactive: false,
+        })
+      );
+    });
+
+    routes.forEach((route) => {
+      this._corridorLayer.addLayer(
+        L.polyline(toLatLngs(route), {
+          color: CONFIG.UI.DRAW_COLOR,
+          weight: 3,
+          interactive: false,
+        })
+      );
+    });
+  }
+
+  /**
+   * Remove route corridor from the map
+   */
+  clearCorridor() {
+    if (this._corridorLayer) {
+      this._corridorLayer.clearLayers();
+    }
+  }
+
+  /**
+   * Fit map view to route corridor
+   */
+  fitToCorridor() {
+    if (this._corridorLayer.getLayers().length === 0) return;
+
+    this._map.fitBounds(this._corridorLayer.getBounds(), {
+      padding: CONFIG.UI.FIT_BOUNDS_PADDING,
+    });
+  }
+
+  /**
+   * Show dissolved outline of parcels (replaces the previous one)
+   *
+   * @param {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format
+   * @param {string} [tooltip] - Tooltip text (e.g. area)
+   */
+  showOutline(geometry, tooltip) {
+    this.clearOutline();
+
+    const polygons =
+      geometry.type === "MULTIPOLYGON"
+        ? geometry.coordinates
+        : [geometry.coordinates];
+
+    polygons.forEach((rings) => {
+      const polygon = L.polygon(
+        rings.map((ring) => ring.map((point) => [point.lat, point.lng])),
+        {
+          color: CONFIG.DISSOLVE.COLOR,
+          weight: 4,
+          fillOpacity: 0.1,
+          dashArray: "8 4",
+        }
+      );
+
+      if (tooltip) polygon.bindTooltip(tooltip, { sticky: true });
+      this._outlineLayer.addLayer(polygon);
+    });
+  }
+
+  /**
+   * Remove dissolved outline from the map
+   */
+  clearOutline() {
+    if (this._outlineLayer) {
+      this._outlineLayer.clearLayers();
+    }
+  }
+
+  /**
+   * Fit map view to dissolved outline
+   */
+  fitToOutline() {
+    if (this._outlineLayer.getLayers().length === 0) return;
+
+    this._map.fitBounds(this._outlineLayer.getBounds(), {
+      padding: CONFIG.UI.FIT_BOUNDS_PADDING,
+    });
+  }
+
+  /**
+   * Show zones of an uploaded overlay layer (replaces the previous one)
+   *
+   * @param {Array<{label: string, geometry: Object}>} zones - Zones (geometry in parseWkt format)
+   */
+  showOverlay(zones) {
+    this.clearOverlay();
+
+    zones.forEach(({ label, geometry }) => {
+      const polygons =
+        geometry.type === "MULTIPOLYGON"
+          ? geometry.coordinates
+          : [geometry.coordinates];
+
+      polygons.forEach((rings) => {
+        this._overlayLayer.addLayer(
+          L.polygon(
+            rings.map((ring) => ring.map((point) => [point.lat, point.lng])),
+            {
+              color: CONFIG.OVERLAY.COLOR,
+              weight: 2,
+              fillOpacity: 0.25,
+            }
+          ).bindTooltip(label, { sticky: true })
+        );
+      });
+    });
+  }
+
+  /**
+   * Remove overlay layer from the map
+   */
+  clearOverlay() {
+    if (this._overlayLayer) {
+      this._overlayLayer.clearLayers();
+    }
+  }
+
+  /**
+   * Fit map view to overlay layer
+   */
+  fitToOverlay() {
+    if (this._overlayLayer.getLayers().length === 0) return;
+
+    this._map.fitBounds(this._overlayLayer.getBounds(), {
+      padding: CONFIG.UI.FIT_BOUNDS_PADDING,
+    });
+  }
+
+  /**
+   * Set up mouse and keyboard handlers of the drawing tools
+   * @private
+   */
+  _initDrawing() {
+    this._map.on("mousemove", (e) => {
+      if (this._drawing?.points.length > 0) {
+        this._renderDrawing(e.latlng);
+      }
+    });
+
+    this._map.on("dblclick", () => {
+      if (this._drawing && this._drawing.mode !== DrawMode.RECTANGLE) {
+        this._finishDrawing();
+      }
+    });
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this._drawing) {
+        this.cancelDrawing();
+      }
+    });
+  }
+
+  /**
+   * Leave drawing mode and restore map interactions
+   * @private
+   */
+  _stopDrawing() {
+    this._drawing = null;
+    this._map.doubleClickZoom.enable();
+    this._map.getContainer().classList.remove("drawing-active");
+  }
+
+  /**
+   * Handle a click while drawing
+   * @private
+   */
+  _addDrawingPoint(latlng) {
+    const { mode, points } = this._drawing;
+    const point = { lat: latlng.lat, lng: latlng.lng };
+    const last = points[points.length - 1];
+
+    // Double click fires two clicks on the same spot
+    if (last && last.lat === point.lat && last.lng === point.lng) return;
+
+    // Clicking near the first vertex closes the polygon
+    if (mode === DrawMode.POLYGON && points.length >= 3) {
+      const first = this._map.latLngToContainerPoint([
+        points[0].lat,
+        points[0].lng,
+      ]);
+      if (first.distanceTo(this._map.latLngToContainerPoint(latlng)) < 10) {
+        this._finishDrawing();
+        return;
+      }
+    }
+
+    points.push(point);
+
+    if (mode === DrawMode.RECTANGLE && points.length === 2) {
+      this._finishDrawing();
+      return;
+    }
+
+    this._renderDrawing();
+  }
+
+  /**
+   * Complete the shape and pass its vertices to the callback
+   * @private
+   */
+  _finishDrawing() {
+    const { mode, points, onComplete } = this._drawing;
+    const minPoints = mode === DrawMode.POLYGON ? 3 : 2;
+
+    if (points.length < minPoints) return;
+
+    const vertices =
+      mode === DrawMode.RECTANGLE ? this._getRectangleVertices(points) : points;
+
+    this._stopDrawing();
+    this._renderShape(mode, vertices);
+    onComplete(vertices);
+  }
+
+  /**
+   * Draw the shape under construction (with a rubber band to the cursor)
+   * @private
+   */
+  _renderDrawing(cursor = null) {
+    const { mode, points } = this._drawing;
+    const preview = cursor
+      ? [...points, { lat: cursor.lat, lng: cursor.lng }]
+      : points;
+
+    this._drawLayer.clearLayers();
+
+    if (mode === DrawMode.RECTANGLE) {
+      if (preview.length === 2) {
+        this._renderShape(mode, this._getRectangleVertices(preview));
+      }
+      return;
+    }
+
+    this._renderShape(
+      mode === DrawMode.POLYGON && preview.length > 2
+        ? mode
+        : DrawMode.POLYLINE,
+      preview
+    );
+  }
+
+  /**
+   * Draw shape vertices on the drawing layer
+   * @private
+   */
+  _renderShape(mode, vertices) {
+    const latLngs = vertices.map((point) => [point.lat, point.lng]);
+    const style = {
+      color: CONFIG.UI.DRAW_COLOR,
+      weight: 2,
+      dashArray: "6 4",
+      fillOpacity: 0.1,
+      interactive: false,
+    };
+
+    this._drawLayer.clearLayers();
+    this._drawLayer.addLayer(
+      mode === DrawMode.POLYLINE
+        ? L.polyline(latLngs, style)
+        : L.polygon(latLngs, style)
+    );
+  }
+
+  /**
+   * Corners of a rectangle spanned by two opposite points
+   * @private
+   */
+  _getRectangleVertices([a, b]) {
+    return [
+      { lat: a.lat, lng: a.lng },
+      { lat: a.lat, lng: b.lng },
+      { lat: b.lat, lng: b.lng },
+      { lat: b.lat, lng: a.lng },
+    ];
+  }
+
   /**
    * Draw polygon on map from coordinates
    *
@@ -391,15 +853,17 @@ class MapService {
    *
    * @param {Array<Array<{lat: number, lng: number}>>} rings - Array of coordinate rings
    * @param {Object} styleOptions - Leaflet polygon style options
+   * @param {string} objectType - ObjectType deciding the target layer (default: parcel)
    */
-  drawPolygonWithStyle(rings, styleOptions) {
+  drawPolygonWithStyle(rings, styleOptions, objectType = ObjectType.PARCEL) {
     // Convert to Leaflet format [lat, lng]
     const leafletRings = rings.map((ring) =>
       ring.map((coord) => [coord.lat, coord.lng])
     );
 
     const polygon = L.polygon(leafletRings, styleOptions);
-    this._polygonLayer.addLayer(polygon);
+    const layer = this._objectLayers[objectType] ?? this._polygonLayer;
+    layer.addLayer(polygon);
 
     return polygon;
   }
@@ -426,15 +890,10 @@ class MapService {
     points.forEach((point, index) => {
       const marker = L.circleMarker([point.lat, point.lng], mergedOptions);
 
-      marker.bindTooltip(
-        `Punkt ${index + 1}<br>Lat: ${point.lat.toFixed(
-          6
-        )}<br>Lng: ${point.lng.toFixed(6)}`,
-        {
-          permanent: false,
-          direction: "top",
-        }
-      );
+      marker.bindTooltip(this._formatPointTooltip(point, index + 1), {
+        permanent: false,
+        direction: "top",
+      });
 
       this._pointsLayer.addLayer(marker);
     });
@@ -445,8 +904,9 @@ class MapService {
    *
    * @param {Array<{lat: number, lng: number}>} points - Array of coordinates
    * @param {string} color - Point color
+   * @param {Array<number|null>} [numbers] - Boundary point numbers shown in tooltips (position in the list by default)
    */
-  drawPointsWithColor(points, color) {
+  drawPointsWithColor(points, color, numbers = null) {
     const options = {
       color: color,
       fillColor: color,
@@ -459,9 +919,7 @@ class MapService {
       const marker = L.circleMarker([point.lat, point.lng], options);
 
       marker.bindTooltip(
-        `Punkt ${index + 1}<br>Lat: ${point.lat.toFixed(
-          6
-        )}<br>Lng: ${point.lng.toFixed(6)}`,
+        this._formatPointTooltip(point, numbers?.[index] ?? index + 1),
         {
           permanent: false,
           direction: "top",
@@ -472,6 +930,38 @@ class MapService {
     });
   }
 
+  /**
+   * Set coordinate system of vertex tooltips (applies to points drawn afterwards)
+   *
+   * @param {number|string} crs - CoordinateSystem enum value
+   */
+  setCoordinateSystem(crs) {
+    this._coordinateSystem = crs;
+  }
+
+  /**
+   * Vertex tooltip with coordinates in the selected system
+   * Planar systems use geodetic axes: X northing, Y easting.
+   * @private
+   */
+  _formatPointTooltip(point, number) {
+    const epsg = coordinateTransformer.resolve(
+      this._coordinateSystem,
+      point.lng
+    );
+
+    if (epsg === CoordinateSystem.WGS84) {
+      return `Punkt ${number}<br>Lat: ${point.lat.toFixed(
+        6
+      )}<br>Lng: ${point.lng.toFixed(6)}`;
+    }
+
+    const [easting, northing] = coordinateTransformer.project(point, epsg);
+    return `Punkt ${number}<br>X: ${northing.toFixed(
+      2
+    )}<br>Y: ${easting.toFixed(2)}<br>EPSG:${epsg}`;
+  }
+
   /**
    * Add a marker at specified location
    *
@@ -493,12 +983,10 @@ class MapService {
   }
 
   /**
-   * Clear polygon layer
+   * Clear polygon layers of all object types
    */
   clearPolygons() {
-    if (this._polygonLayer) {
-      this._polygonLayer.clearLayers();
-    }
+    Object.values(this._objectLayers).forEach((layer) => layer.clearLayers());
   }
 
   /**
@@ -569,15 +1057,19 @@ class MapService {
   }
 
   /**
-   * Fit map bounds to show all content in polygon layer
+   * Fit map bounds to show all content in polygon layers
    */
   fitToPolygons() {
-    if (this._polygonLayer && this._polygonLayer.getLayers().length > 0) {
-      const bounds = this._polygonLayer.getBounds();
-      this._map.fitBounds(bounds, {
-        padding: CONFIG.UI.FIT_BOUNDS_PADDING,
-      });
-    }
+    if (!this.hasPolygons()) return;
+
+    const bounds = L.latLngBounds([]);
+    Object.values(this._objectLayers)
+      .filter((layer) => layer.getLayers().length > 0)
+      .forEach((layer) => bounds.extend(layer.getBounds()));
+
+    this._map.fitBounds(bounds, {
+      padding: CONFIG.UI.FIT_BOUNDS_PADDING,
+    });
   }
 
   /**
@@ -616,6 +1108,16 @@ class MapService {
     this._map.setView([lat, lng], zoom);
   }
 
+  /**
+   * Get current map center and zoom
+   *
+   * @returns {{lat: number, lng: number, zoom: number}} Current view
+   */
+  getView() {
+    const center = this._map.getCenter();
+    return { lat: center.lat, lng: center.lng, zoom: this._map.getZoom() };
+  }
+
   /**
    * Get current map bounds
    *
@@ -631,7 +1133,9 @@ class MapService {
    * @returns {boolean} True if polygons are drawn
    */
   hasPolygons() {
-    return this._polygonLayer && this._polygonLayer.getLayers().length > 0;
+    return Object.values(this._objectLayers).some(
+      (layer) => layer.getLayers().length > 0
+    );
   }
 
   /**
@@ -649,11 +1153,13 @@ class MapService {
    * @param {boolean} visible - Whether to show polygons
    */
   setPolygonsVisible(visible) {
-    if (visible) {
-      this._map.addLayer(this._polygonLayer);
-    } else {
-      this._map.removeLayer(this._polygonLayer);
-    }
+    Object.values(this._objectLayers).forEach((layer) => {
+      if (visible) {
+        this._map.addLayer(layer);
+      } else {
+        this._map.removeLayer(layer);
+      }
+    });
   }
 
   /**
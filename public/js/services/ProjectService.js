@@ -0,0 +1,256 @@
+/**
+ * ProjectService - Named projects persisted in localStorage
+ *
+ * @description Keeps the list of projects and the working state of each one
+ * (parcels, coordinate queue, view toggles, map extent), so a session
+ * survives closing the tab. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+
+/**
+ * Project metadata
+ * @typedef {Object} Project
+ * @property {string} id - Unique project identifier
+ * @property {string} name - Project name shown in the UI
+ * @property {number} createdAt - Creation timestamp (ms)
+ * @property {number} updatedAt - Last save timestamp (ms)
+ */
+
+/**
+ * Saved working state of a project
+ * @typedef {Object} ProjectState
+ * @property {Array<Object>} parcels - Raw ULDK results (ParcelResult) in list order
+ * @property {Array<{lat: number, lng: number, label: string, objectType: string}>} queue - Coordinate queue
+ * @property {boolean} showingPolygons - Outline layer toggle
+ * @property {boolean} showingPoints - Boundary points layer toggle
+ * @property {boolean} showingUtilities - Utilities WMS overlay toggle
+ * @property {string} baseLayer - Basemap key from CONFIG.BASEMAPS
+ * @property {{lat: number, lng: number, zoom: number}|null} view - Map extent
+ * @property {number|string} crs - CoordinateSystem enum value of exports, vertex tooltips and planar search
+ * @property {Object<string, number>} registerAreas - Register areas (m²) by parcel ID
+ * @property {number} areaTolerance - Accepted area difference (%)
+ */
+
+class ProjectService {
+  // Project metadata keyed by ID
+  _projects = {};
+
+  // ID of the project the app works on
+  _activeProjectId = null;
+
+  /**
+   * Load project index from localStorage, creating the first project if needed
+   */
+  initialize() {
+    const index = this._readJson(CONFIG.PROJECTS.INDEX_KEY);
+
+    this._projects = index?.projects ?? {};
+    this._activeProjectId = index?.activeProjectId ?? null;
+
+    if (!this._projects[this._activeProjectId]) {
+      const [firstProject] = this.getProjects();
+      this._activeProjectId =
+        firstProject?.id ?? this.createProject(CONFIG.PROJECTS.DEFAULT_NAME).id;
+      this._saveIndex();
+    }
+  }
+
+  /**
+   * Get all projects sorted by name
+   * @returns {Array<Project>} Projects
+   */
+  getProjects() {
+    return Object.values(this._projects).sort((a, b) =>
+      a.name.localeCompare(b.name, "pl")
+    );
+  }
+
+  /**
+   * Get the active project
+   * @returns {Project} Active project
+   */
+  getActiveProject() {
+    return this._projects[this._activeProjectId];
+  }
+
+  /**
+   * Make another project active
+   * @param {string} projectId - Project ID
+   * @returns {ProjectState|null} Saved state of the project
+   */
+  switchProject(projectId) {
+    if (!this._projects[projectId]) {
+      throw new Error("Projekt nie istnieje");
+    }
+
+    this._activeProjectId = projectId;
+    this._saveIndex();
+
+    return this.loadState();
+  }
+
+  /**
+   * Create empty project
+   * @param {string} name - Project name
+   * @returns {Project} Created project
+   */
+  createProject(name) {
+    const now = Date.now();
+    const project = {
+      id: this._generateId(),
+      name: this._normalizeName(name),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this._projects[project.id] = project;
+    this._saveIndex();
+
+    return project;
+  }
+
+  /**
+   * Rename project
+   * @param {string} projectId - Project ID
+   * @param {string} name - New name
+   */
+  renameProject(projectId, name) {
+    const project = this._projects[projectId];
+    if (!project) return;
+
+    project.name = this._normalizeName(name);
+    this._saveIndex();
+  }
+
+  /**
+   * Copy project together with its saved state
+   * @param {string} projectId - Source project ID
+   * @param {string} name - Name of the copy
+   * @returns {Project} Created copy
+   */
+  duplicateProject(projectId, name) {
+    const copy = this.createProject(name);
+    const state = this._readJson(this._getStateKey(projectId));
+
+    if (state) {
+      this._writeJson(this._getStateKey(copy.id), state);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Delete project and its saved state
+   * The last remaining project cannot be deleted.
+   *
+   * @param {string} projectId - Project ID
+   * @returns {Project} Project that is active afterwards
+   */
+  deleteProject(projectId) {
+    if (Object.keys(this._projects).length <= 1) {
+      throw new Error("Nie można usunąć jedynego projektu");
+    }
+
+    delete this._projects[projectId];
+    localStorage.removeItem(this._getStateKey(projectId));
+
+    if (this._activeProjectId === projectId) {
+      this._activeProjectId = this.getProjects()[0].id;
+    }
+
+    this._saveIndex();
+    return this.getActiveProject();
+  }
+
+  /**
+   * Load saved state of the active project
+   * @returns {ProjectState|null} Saved state or null for a new project
+   */
+  loadState() {
+    return this._readJson(this._getStateKey(this._activeProjectId));
+  }
+
+  /**
+   * Save state of the active project
+   * @param {ProjectState} state - Working state
+   * @throws {Error} When localStorage is full
+   */
+  saveState(state) {
+    this._writeJson(this._getStateKey(this._activeProjectId), state);
+
+    this.getActiveProject().updatedAt = Date.now();
+    this._saveIndex();
+  }
+
+  /**
+   * Persist project index
+   * @private
+   */
+  _saveIndex() {
+    this._writeJson(CONFIG.PROJECTS.INDEX_KEY, {
+      activeProjectId: this._activeProjectId,
+      projects: this._projects,
+    });
+  }
+
+  /**
+   * localStorage key of a project state
+   * @private
+   */
+  _getStateKey(projectId) {
+    return `${CONFIG.PROJECTS.STATE_KEY_PREFIX}${projectId}`;
+  }
+
+  /**
+   * Generate unique project ID
+   * @private
+   */
+  _generateId() {
+    return `${Date.now().toString(36)}${Math.random()
+      .toString(36)
+      .slice(2, 6)}`;
+  }
+
+  /**
+   * Trim project name, falling back to the default one
+   * @private
+   */
+  _normalizeName(name) {
+    return name?.trim() || CONFIG.PROJECTS.DEFAULT_NAME;
+  }
+
+  /**
+   * Read JSON value (null when missing or corrupted)
+   * @private
+   */
+  _readJson(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      console.warn(`Invalid saved data under ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write JSON value, translating quota errors to a user-friendly message
+   * @private
+   */
+  _writeJson(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      if (error.name === "QuotaExceededError") {
+        throw new Error(
+          "Brak miejsca w pamięci przeglądarki - projekt nie został zapisany"
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const projectService = new ProjectService();
+export default projectService;
@@ -0,0 +1,213 @@
+/**
+ * RequestScheduler - Bounded-concurrency, rate-limited task queue
+ *
+ * @description Keeps the number of parallel ULDK requests and the request
+ * rate within configured limits, provides jittered backoff for retries and
+ * cancellation through AbortSignal. Single Responsibility Principle.
+ */
+
+/**
+ * Create error thrown for cancelled tasks
+ * @returns {Error} Error with name "AbortError"
+ */
+export function createAbortError() {
+  const error = new Error("Anulowano pobieranie");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Check whether error comes from a cancelled task or aborted fetch
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for cancellations
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+export class RequestScheduler {
+  // Tasks waiting for a free slot: {task, signal, resolve, reject, onAbort}
+  _queue = [];
+
+  // Number of tasks currently running
+  _activeCount = 0;
+
+  // Start timestamps of tasks within the last rate window
+  _startTimes = [];
+
+  // Pending timer that wakes the queue when the rate window frees up
+  _rateTimer = null;
+
+  /**
+   * @param {Object} options - Scheduler limits
+   * @param {number} options.maxConcurrent - Maximum number of tasks running at once
+   * @param {number} options.requestsPerSecond - Maximum number of task starts per second
+   * @param {number} options.backoffBaseDelay - Base delay of the first retry in ms
+   * @param {number} options.backoffMaxDelay - Upper limit of a single retry delay in ms
+   */
+  constructor({
+    maxConcurrent = 4,
+    requestsPerSecond = 8,
+    backoffBaseDelay = 500,
+    backoffMaxDelay = 8000,
+  } = {}) {
+    this._maxConcurrent = maxConcurrent;
+    this._requestsPerSecond = requestsPerSecond;
+    this._backoffBaseDelay = backoffBaseDelay;
+    this._backoffMaxDelay = backoffMaxDelay;
+  }
+
+  /**
+   * Schedule task for execution
+   * Task receives the AbortSignal so it can pass it on to fetch().
+   *
+   * @param {function(AbortSignal=): Promise<*>} task - Async task to run
+   * @param {Object} options - Task options
+   * @param {AbortSignal} [options.signal] - Cancels the task while queued or running
+   * @returns {Promise<*>} Task result
+   */
+  schedule(task, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, signal, resolve, reject, onAbort: null };
+
+      // Drop queued task as soon as its signal is aborted
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this._queue.indexOf(entry);
+          if (index !== -1) {
+            this._queue.splice(index, 1);
+            reject(createAbortError());
+          }
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+
+      this._queue.push(entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Wait before the next retry: exponential backoff with equal jitter
+   * (random delay between half and full exponential value)
+   *
+   * @param {number} attempt - Zero-based number of the failed attempt
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  backoff(attempt, signal) {
+    const exponential = Math.min(
+      this._backoffBaseDelay * 2 ** attempt,
+      this._backoffMaxDelay
+    );
+    const delay = Math.round(exponential * (0.5 + Math.random() / 2));
+
+    return this._delay(delay, signal);
+  }
+
+  /**
+   * Number of tasks waiting or running
+   * @returns {number} Pending task count
+   */
+  get pendingCount() {
+    return this._queue.length + this._activeCount;
+  }
+
+  /**
+   * Start queued tasks while concurrency and rate limits allow
+   * @private
+   */
+  _drain() {
+    while (this._queue.length > 0 && this._activeCount < this._maxConcurrent) {
+      const waitTime = this._getRateLimitWait();
+      if (waitTime > 0) {
+        this._scheduleDrain(waitTime);
+        return;
+      }
+
+      this._run(this._queue.shift());
+    }
+  }
+
+  /**
+   * Run single task and release its slot afterwards
+   * @private
+   */
+  async _run(entry) {
+    const { task, signal, resolve, reject, onAbort } = entry;
+
+    if (onAbort) {
+      signal.removeEventListener("abort", onAbort);
+    }
+
+    this._activeCount++;
+    this._startTimes.push(Date.now());
+
+    try {
+      resolve(await task(signal));
+    } catch (error) {
+      reject(error);
+    } finally {
+      this._activeCount--;
+      this._drain();
+    }
+  }
+
+  /**
+   * Milliseconds until the next task may start under the rate limit
+   * @private
+   */
+  _getRateLimitWait() {
+    const now = Date.now();
+    this._startTimes = this._startTimes.filter((time) => now - time < 1000);
+
+    if (this._startTimes.length < this._requestsPerSecond) {
+      return 0;
+    }
+
+    return 1000 - (now - this._startTimes[0]);
+  }
+
+  /**
+   * Wake the queue once the rate window frees up
+   * @private
+   */
+  _scheduleDrain(waitTime) {
+    if (this._rateTimer) return;
+
+    this._rateTimer = setTimeout(() => {
+      this._rateTimer = null;
+      this._drain();
+    }, waitTime);
+  }
+
+  /**
+   * Abortable delay helper
+   * @private
+   */
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
+
+export default RequestScheduler;
@@ -5,7 +5,28 @@
  * and performs geocoding via Nominatim. Single Responsibility Principle.
  */
 
-import { CONFIG, SearchType } from "../config.js";
+import { CONFIG, SearchType, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "../utils/CoordinateTransformer.js";
+
+/**
+ * Patterns recognised as a coordinate query
+ */
+const COORDINATE_PATTERNS = Object.freeze([
+  CONFIG.PATTERNS.COORDINATES,
+  CONFIG.PATTERNS.PLANAR_COORDINATES,
+  CONFIG.PATTERNS.LABELED_COORDINATES,
+  CONFIG.PATTERNS.DMS_COORDINATES,
+]);
+
+/**
+ * Approximate WGS84 bounds of Poland
+ */
+const POLAND_BOUNDS = Object.freeze({
+  MIN_LAT: 49,
+  MAX_LAT: 55,
+  MIN_LNG: 14,
+  MAX_LNG: 24.2,
+});
 
 class SearchService {
   _debounceTimer = null;
@@ -24,12 +45,12 @@ class SearchService {
     const trimmed = query.trim();
 
     // Check for coordinates pattern first
-    if (CONFIG.PATTERNS.COORDINATES.test(trimmed)) {
+    if (COORDINATE_PATTERNS.some((pattern) => pattern.test(trimmed))) {
       return SearchType.COORDINATES;
     }
 
-    // Check for parcel ID pattern
-    if (CONFIG.PATTERNS.PARCEL_ID.test(trimmed)) {
+    // Check for EGiB identifier of any object type (parcel, building, ...)
+    if (this.detectObjectType(trimmed)) {
       return SearchType.PARCEL_ID;
     }
 
@@ -37,24 +58,119 @@ class SearchService {
     return SearchType.ADDRESS;
   }
 
+  /**
+   * Detect ULDK object type from the shape of an EGiB identifier
+   *
+   * @param {string} query - Identifier (e.g., "141201_1.0001" for a region)
+   * @returns {string|null} ObjectType enum value or null if not an identifier
+   */
+  detectObjectType(query) {
+    const trimmed = query?.trim() ?? "";
+
+    const match = Object.entries(CONFIG.PATTERNS.OBJECT_IDS).find(
+      ([, pattern]) => pattern.test(trimmed)
+    );
+
+    return match ? match[0] : null;
+  }
+
   /**
    * Parse coordinates from string
+   * Accepts decimal degrees, DMS and planar values in metres ("X Y" or
+   * "X=..., Y=..."). Planar values are geodetic X (northing) and Y (easting);
+   * the swapped order is accepted when only it lies in Poland. Their system is
+   * the one picked by the user or, for WGS84, detected from the magnitude.
    *
-   * @param {string} query - Coordinate string (e.g., "50.1234, 19.5678")
-   * @returns {{lat: number, lng: number} | null} Parsed coordinates or null
+   * @param {string} query - Coordinate string (e.g., "50.1234, 19.5678", "5523456.12 7456789.34" or 50°03'12"N 19°56'24"E)
+   * @param {number|string} [crs] - CoordinateSystem enum value picked by the user
+   * @returns {{lat: number, lng: number} | null} Parsed coordinates (WGS84) or null
    */
-  parseCoordinates(query) {
-    const match = query.match(CONFIG.PATTERNS.COORDINATES);
+  parseCoordinates(query, crs = CoordinateSystem.WGS84) {
+    const dms = query.match(CONFIG.PATTERNS.DMS_COORDINATES);
+    if (dms) {
+      return this._parseDmsCoordinates(dms);
+    }
+
+    const labeled = query.match(CONFIG.PATTERNS.LABELED_COORDINATES);
+    if (labeled) {
+      const values = {
+        [labeled[1].toUpperCase()]: parseNumber(labeled[2]),
+        [labeled[3].toUpperCase()]: parseNumber(labeled[4]),
+      };
+      if (values.X === undefined || values.Y === undefined) return null;
+
+      return this._parsePlanarCoordinates(values.X, values.Y, crs);
+    }
+
+    const match =
+      query.match(CONFIG.PATTERNS.COORDINATES) ??
+      query.match(CONFIG.PATTERNS.PLANAR_COORDINATES);
 
     if (!match) {
       return null;
     }
 
-    // Normalize decimal separator (Polish uses comma)
-    const first = parseFloat(match[1].replace(",", "."));
-    const second = parseFloat(match[2].replace(",", "."));
+    const first = parseNumber(match[1]);
+    const second = parseNumber(match[2]);
+
+    if (Math.abs(first) > 180 || Math.abs(second) > 180) {
+      return this._parsePlanarCoordinates(first, second, crs);
+    }
+
+    return this._orderLatLng(first, second);
+  }
+
+  /**
+   * Detect planar coordinate system from the magnitude of the values
+   * PL-2000 values are both above 5 000 000 (the easting starts with the zone
+   * number), EPSG:2180 values are below 1 000 000. Anything else (e.g. 1965)
+   * needs the system picked by the user.
+   *
+   * @param {number} first - First value (m)
+   * @param {number} second - Second value (m)
+   * @returns {number|string|null} CoordinateSystem enum value or null if unknown
+   */
+  detectPlanarSystem(first, second) {
+    if (Math.min(first, second) >= 5000000) {
+      return CoordinateSystem.PL2000_AUTO;
+    }
+    if (Math.max(first, second) < 1000000) {
+      return CoordinateSystem.PUWG_1992;
+    }
+    return null;
+  }
+
+  /**
+   * Convert DMS match to WGS84 - hemisphere letters decide which value is latitude
+   * @private
+   */
+  _parseDmsCoordinates(match) {
+    const toDegrees = (degrees, minutes, seconds, hemisphere) => {
+      const value =
+        parseNumber(degrees) +
+        parseNumber(minutes ?? "0") / 60 +
+        parseNumber(seconds ?? "0") / 3600;
+      return /[SW]/i.test(hemisphere ?? "") ? -value : value;
+    };
+
+    const first = toDegrees(match[1], match[2], match[3], match[4]);
+    const second = toDegrees(match[5], match[6], match[7], match[8]);
 
-    // Determine which is lat and which is lng based on Poland's bounds
+    if (/[NS]/i.test(match[4] ?? "") || /[EW]/i.test(match[8] ?? "")) {
+      return { lat: first, lng: second };
+    }
+    if (/[EW]/i.test(match[4] ?? "") || /[NS]/i.test(match[8] ?? "")) {
+      return { lat: second, lng: first };
+    }
+
+    return this._orderLatLng(first, second);
+  }
+
+  /**
+   * Determine which value is lat and which is lng based on Poland's bounds
+   * @private
+   */
+  _orderLatLng(first, second) {
     // Poland: lat 49-55, lng 14-24
     const isFirstLat = first >= 49 && first <= 55;
     const isSecondLat = second >= 49 && second <= 55;
@@ -69,6 +185,63 @@ class SearchService {
     return { lat: first, lng: second };
   }
 
+  /**
+   * Convert planar "X Y" pair (either order) to WGS84
+   * @private
+   */
+  _parsePlanarCoordinates(first, second, crs) {
+    const system =
+      crs === CoordinateSystem.WGS84
+        ? this.detectPlanarSystem(first, second)
+        : crs;
+
+    if (system === null) {
+      return null;
+    }
+
+    // Geodetic order (X northing, Y easting) first, then the GIS order
+    const candidates = [
+      { easting: second, northing: first },
+      { easting: first, northing: second },
+    ].map(({ easting, northing }) =>
+      coordinateTransformer.unproject(
+        easting,
+        northing,
+        this._resolvePlanarSystem(system, easting)
+      )
+    );
+
+    return candidates.find(this._isInPoland) ?? candidates[0];
+  }
+
+  /**
+   * PL-2000 zone of automatic input comes from the easting prefix (5-8 million)
+   * @private
+   */
+  _resolvePlanarSystem(crs, easting) {
+    if (crs !== CoordinateSystem.PL2000_AUTO) {
+      return crs;
+    }
+
+    const zone = Math.floor(easting / 1000000);
+    return (
+      CONFIG.PROJECTIONS.PL2000_ZONES[zone] ?? CoordinateSystem.PL2000_ZONE_6
+    );
+  }
+
+  /**
+   * Check if WGS84 point lies within Poland's bounds
+   * @private
+   */
+  _isInPoland({ lat, lng }) {
+    return (
+      lat >= POLAND_BOUNDS.MIN_LAT &&
+      lat <= POLAND_BOUNDS.MAX_LAT &&
+      lng >= POLAND_BOUNDS.MIN_LNG &&
+      lng <= POLAND_BOUNDS.MAX_LNG
+    );
+  }
+
   /**
    * Geocode an address using Nominatim API
    *
@@ -139,6 +312,14 @@ class SearchService {
   }
 }
 
+/**
+ * Parse number with dot or comma decimal separator (Polish uses comma)
+ * @private
+ */
+function parseNumber(text) {
+  return parseFloat(text.replace(",", "."));
+}
+
 // Export singleton instance
 export const searchService = new SearchService();
 export default searchService;
@@ -0,0 +1,281 @@
+/**
+ * SpatialSelectionService - Finds all ULDK objects under a drawn shape
+ *
+ * @description Samples the shape with a regular grid in EPSG:2180 and asks
+ * ULDK (GetParcelByXY etc.) only for points not covered by objects that are
+ * already known, so every object is fetched once. Neighbours of a parcel are
+ * found the same way from points sampled just outside its boundary.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { uldkService } from "./UldkService.js";
+import { isAbortError } from "./RequestScheduler.js";
+import { parseWkt } from "../utils/WktParser.js";
+import {
+  toPlanar,
+  toGeographic,
+  toPlanarPolygons,
+  isPointInRing,
+  isPointInPolygons,
+  distanceToPolyline,
+  getPlanarBounds,
+  generateGrid,
+} from "../utils/GeometryUtils.js";
+
+/**
+ * Shape drawn on the map
+ * @typedef {Object} SelectionShape
+ * @property {Array<{lat: number, lng: number}>} points - Shape vertices (WGS84)
+ * @property {boolean} isLine - True for a polyline selected with a buffer
+ * @property {number} [bufferMeters] - Half width of the corridor around a polyline
+ */
+
+/**
+ * Progress of a running selection
+ * @typedef {Object} SelectionProgress
+ * @property {number} checked - Sample points handled (fetched or skipped)
+ * @property {number} total - All sample points
+ * @property {number} found - Objects found so far
+ */
+
+class SpatialSelectionService {
+  /**
+   * Find all objects of given type under the shape
+   *
+   * @param {SelectionShape} shape - Drawn shape
+   * @param {Object} options - Selection options
+   * @param {string} options.objectType - ObjectType enum value
+   * @param {number} options.spacing - Sampling grid spacing (m)
+   * @param {Array<Object>} options.knownGeometries - Geometries (parseWkt format) already in the list - their area is not sampled
+   * @param {AbortSignal} [options.signal] - Cancels remaining requests
+   * @param {function(SelectionProgress)} [options.onProgress] - Progress callback
+   * @returns {Promise<{results: Array<Object>, errorCount: number, cancelled: boolean}>} Found ULDK results
+   */
+  async findObjects(
+    shape,
+    { objectType, spacing, knownGeometries = [], signal, onProgress }
+  ) {
+    return this._fetchAtPoints(
+      this._getSamplePoints(shape, spacing),
+      (lng, lat) =>
+        uldkService.getObjectByCoordinates(objectType, lng, lat, { signal }),
+      { knownGeometries, onProgress }
+    );
+  }
+
+  /**
+   * Find parcels adjacent to a parcel (sharing a boundary or a corner)
+   *
+   * @param {{id: string, geometry: Object}} parcel - Parcel (geometry in parseWkt format)
+   * @param {Object} [options] - Search options
+   * @param {number} [options.offset] - Distance of sample points from the boundary (m)
+   * @param {number} [options.spacing] - Distance between sample points along the boundary (m)
+   * @param {AbortSignal} [options.signal] - Cancels remaining requests
+   * @param {function(SelectionProgress)} [options.onProgress] - Progress callback
+   * @returns {Promise<{results: Array<Object>, errorCount: number, cancelled: boolean}>} Neighbouring ULDK parcels
+   */
+  async findNeighbours(
+    parcel,
+    {
+      offset = CONFIG.NEIGHBOURS.OFFSET,
+      spacing = CONFIG.NEIGHBOURS.SPACING,
+      signal,
+      onProgress,
+    } = {}
+  ) {
+    const selection = await this._fetchAtPoints(
+      this._getBoundarySamplePoints(parcel.geometry, offset, spacing),
+      (lng, lat) => uldkService.getParcelByCoordinates(lng, lat, { signal }),
+      { onProgress }
+    );
+
+    // Samples near a vertex may still hit the parcel itself
+    return {
+      ...selection,
+      results: selection.results.filter((result) => result.id !== parcel.id),
+    };
+  }
+
+  /**
+   * Fetch objects at sample points in waves, skipping points covered by known objects
+   * @private
+   */
+  async _fetchAtPoints(
+    samples,
+    fetchObject,
+    { knownGeometries = [], onProgress }
+  ) {
+    const coveredAreas = knownGeometries.map(toPlanarPolygons);
+    const results = new Map();
+    const progress = { checked: 0, total: samples.length, found: 0 };
+    let errorCount = 0;
+    let cancelled = false;
+
+    const isCovered = (point) =>
+      coveredAreas.some((polygons) => isPointInPolygons(point, polygons));
+
+    // Waves of parallel requests - each wave skips points inside objects found before
+    const waveSize = CONFIG.ULDK.SCHEDULER.MAX_CONCURRENT;
+    let index = 0;
+
+    while (index < samples.length && !cancelled) {
+      const wave = [];
+
+      while (wave.length < waveSize && index < samples.length) {
+        const point = samples[index++];
+        if (isCovered(point)) {
+          progress.checked++;
+        } else {
+          wave.push(point);
+        }
+      }
+
+      await Promise.all(
+        wave.map(async (point) => {
+          // An object found earlier in this wave may already cover the point
+          if (isCovered(point)) return;
+
+          try {
+            const { lat, lng } = toGeographic(point);
+            const result = await fetchObject(lng, lat);
+
+            if (!results.has(result.id)) {
+              results.set(result.id, result);
+              coveredAreas.push(toPlanarPolygons(parseWkt(result.wkt)));
+            }
+          } catch (error) {
+            if (isAbortError(error)) {
+              cancelled = true;
+            } else {
+              // Points outside any object (roads without EGiB, water) are expected
+              errorCount++;
+            }
+          }
+        })
+      );
+
+      progress.checked += wave.length;
+      progress.found = results.size;
+      onProgress?.({ ...progress });
+    }
+
+    return { results: [...results.values()], errorCount, cancelled };
+  }
+
+  /**
+   * Grid points inside the polygon or within the buffer of the polyline
+   * Spacing grows automatically when the shape would need too many samples.
+   * @private
+   */
+  _getSamplePoints(shape, spacing) {
+    const vertices = shape.points.map(toPlanar);
+    const buffer = shape.isLine ? shape.bufferMeters : 0;
+    const bounds = getPlanarBounds(vertices);
+    const expanded = {
+      minX: bounds.minX - buffer,
+      minY: bounds.minY - buffer,
+      maxX: bounds.maxX + buffer,
+      maxY: bounds.maxY + buffer,
+    };
+
+    const isInside = shape.isLine
+      ? (point) => distanceToPolyline(point, vertices) <= buffer
+      : (point) => isPointInRing(point, vertices);
+
+    // Bounding box area is an upper limit of the sampled area
+    const area =
+      (expanded.maxX - expanded.minX) * (expanded.maxY - expanded.minY);
+    const effectiveSpacing = Math.max(
+      spacing,
+      Math.sqrt(area / CONFIG.SPATIAL_SELECTION.MAX_SAMPLES)
+    );
+
+    const samples = generateGrid(expanded, effectiveSpacing).filter(isInside);
+
+    // Shapes smaller than one grid cell - sample their vertices instead
+    return samples.length > 0 ? samples : vertices;
+  }
+
+  /**
+   * Points at a distance from every ring (outer and holes) on the side outside the parcel
+   * Segments are sampled at their middle and every spacing, vertices along the bisector
+   * (which reaches parcels touching only at the corner).
+   * @private
+   */
+  _getBoundarySamplePoints(geometry, offset, spacing) {
+    const polygons = toPlanarPolygons(geometry);
+    const rings = polygons.flat();
+    const perimeter = rings.reduce(
+      (sum, ring) =>
+        sum +
+        ring
+          .slice(1)
+          .reduce(
+            (length, point, i) =>
+              length + Math.hypot(point.x - ring[i].x, point.y - ring[i].y),
+            0
+          ),
+      0
+    );
+    const effectiveSpacing = Math.max(
+      spacing,
+      perimeter / CONFIG.NEIGHBOURS.MAX_SAMPLES
+    );
+
+    const samples = [];
+    const addBothSides = (point, nx, ny) => {
+      [1, -1].forEach((side) => {
+        const sample = {
+          x: point.x + nx * offset * side,
+          y: point.y + ny * offset * side,
+        };
+        if (!isPointInPolygons(sample, polygons)) samples.push(sample);
+      });
+    };
+
+    rings.forEach((ring) => {
+      const normals = ring.slice(1).map((end, i) => {
+        const length = Math.hypot(end.x - ring[i].x, end.y - ring[i].y) || 1;
+        return {
+          nx: -(end.y - ring[i].y) / length,
+          ny: (end.x - ring[i].x) / length,
+          length,
+        };
+      });
+
+      normals.forEach(({ nx, ny, length }, i) => {
+        const start = ring[i];
+        const end = ring[i + 1];
+        const count = Math.max(1, Math.round(length / effectiveSpacing));
+
+        for (let k = 0; k < count; k++) {
+          const t = (k + 0.5) / count;
+          addBothSides(
+            {
+              x: start.x + (end.x - start.x) * t,
+              y: start.y + (end.y - start.y) * t,
+            },
+            nx,
+            ny
+          );
+        }
+
+        // Bisector at the end vertex (rings are closed - the next segment wraps around)
+        const next = normals[(i + 1) % normals.length];
+        const bx = nx + next.nx;
+        const by = ny + next.ny;
+        const bisectorLength = Math.hypot(bx, by);
+        if (bisectorLength > 1e-9) {
+          addBothSides(end, bx / bisectorLength, by / bisectorLength);
+        }
+      });
+    });
+
+    return samples;
+  }
+}
+
+// Export singleton instance
+export const spatialSelectionService = new SpatialSelectionService();
+export default spatialSelectionService;
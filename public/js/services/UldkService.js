@@ -2,27 +2,82 @@
  * UldkService - ULDK API client for fetching parcel geometry
  *
  * @description Communicates with GUGiK ULDK API to retrieve
- * cadastral parcel data. Single Responsibility Principle.
+ * cadastral parcels, buildings, regions and communes.
+ * Single Responsibility Principle.
  */
 
-import { CONFIG } from "../config.js";
+import { CONFIG, ObjectType } from "../config.js";
+import { RequestScheduler, isAbortError } from "./RequestScheduler.js";
+import { cacheService } from "./CacheService.js";
+import { parseWkt } from "../utils/WktParser.js";
+import {
+  isPointInPolygons,
+  toPlanar,
+  toPlanarPolygons,
+} from "../utils/GeometryUtils.js";
 
 /**
  * Result object from ULDK API
  * @typedef {Object} ParcelResult
- * @property {string} id - Parcel identifier
+ * @property {string} objectType - ObjectType enum value (parcel, building, ...)
+ * @property {string} id - Object identifier
  * @property {string} wkt - WKT geometry string
+ * @property {string} voivodeship - Voivodeship name (województwo)
+ * @property {string} county - County name (powiat)
+ * @property {string} commune - Commune name (gmina)
+ * @property {string} [region] - Cadastral region name (obręb), missing for communes
+ * @property {string} [parcel] - Parcel number within the region (parcels, buildings)
+ * @property {string} teryt - TERYT code of the commune (e.g. "141201_1")
+ */
+
+/**
+ * Options accepted by all fetch methods
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request (queued or in flight)
+ * @property {boolean} [skipCache] - Always ask ULDK (result still refreshes the cache)
  */
 
 class UldkService {
+  /**
+   * @param {RequestScheduler} scheduler - Scheduler shared by all ULDK requests
+   * @param {Object} cache - Result cache (CacheService interface)
+   */
+  constructor(
+    scheduler = UldkService._createDefaultScheduler(),
+    cache = cacheService
+  ) {
+    this._scheduler = scheduler;
+    this._cache = cache;
+  }
+
+  /**
+   * Create scheduler configured from CONFIG.ULDK.SCHEDULER
+   * @private
+   */
+  static _createDefaultScheduler() {
+    const {
+      MAX_CONCURRENT,
+      REQUESTS_PER_SECOND,
+      BACKOFF_BASE_DELAY,
+      BACKOFF_MAX_DELAY,
+    } = CONFIG.ULDK.SCHEDULER;
+
+    return new RequestScheduler({
+      maxConcurrent: MAX_CONCURRENT,
+      requestsPerSecond: REQUESTS_PER_SECOND,
+      backoffBaseDelay: BACKOFF_BASE_DELAY,
+      backoffMaxDelay: BACKOFF_MAX_DELAY,
+    });
+  }
+
   /**
    * Build ULDK API URL with parameters
    * @private
    */
-  _buildUrl(request, params) {
+  _buildUrl(request, resultFields, params) {
     const url = new URL(CONFIG.ULDK.BASE_URL);
     url.searchParams.set("request", request);
-    url.searchParams.set("result", CONFIG.ULDK.RESULT_FIELDS);
+    url.searchParams.set("result", resultFields.join(","));
 
     Object.entries(params).forEach(([key, value]) => {
       url.searchParams.set(key, value);
@@ -33,10 +88,12 @@ class UldkService {
 
   /**
    * Parse ULDK API response
-   * Response format: "status\ndata|id" or "status\nerror_message"
+   * Response format: "status\nwkt|id|voivodeship|..." or "status\nerror_message"
    * @private
+   * @param {string} responseText - Raw response body
+   * @param {string} objectType - ObjectType the request was made for
    */
-  _parseResponse(responseText) {
+  _parseResponse(responseText, objectType) {
     const lines = responseText.trim().split("\n");
 
     if (lines.length < 2) {
@@ -50,26 +107,47 @@ class UldkService {
       throw new Error(this._getErrorMessage(status, data));
     }
 
-    // Parse WKT and ID from response (format: "wkt|id")
-    const separatorIndex = data.lastIndexOf("|");
+    // Values come pipe-separated in the order of requested result fields
+    const { resultFields } = CONFIG.OBJECT_TYPES[objectType];
+    const values = data.split("|");
 
-    if (separatorIndex === -1) {
+    if (values.length < resultFields.length) {
       throw new Error("Nieprawidłowy format danych z ULDK");
     }
 
+    const fields = Object.fromEntries(
+      resultFields.map((field, index) => [field, values[index].trim()])
+    );
+
     return {
-      wkt: data.substring(0, separatorIndex),
-      id: data.substring(separatorIndex + 1),
+      objectType,
+      id: fields.id,
+      wkt: fields.geom_wkt,
+      voivodeship: fields.voivodeship,
+      county: fields.county,
+      commune: fields.commune,
+      region: fields.region,
+      parcel: fields.parcel,
+      teryt: this._extractTeryt(fields.id),
     };
   }
 
+  /**
+   * Extract commune TERYT code from an EGiB identifier
+   * ("141201_1.0001.6509" -> "141201_1")
+   * @private
+   */
+  _extractTeryt(id) {
+    return id?.split(".")[0] ?? "";
+  }
+
   /**
    * Get user-friendly error message
    * @private
    */
   _getErrorMessage(status, data) {
     const errorMessages = {
-      "-1": "Nie znaleziono działki o podanych parametrach",
+      "-1": "Nie znaleziono obiektu o podanych parametrach",
       1: "Błąd w zapytaniu do serwera ULDK",
     };
 
@@ -77,115 +155,252 @@ class UldkService {
   }
 
   /**
-   * Check if error is retryable (transient ULDK errors)
+   * Check if error is transient: no connection, timeout or server error (5xx).
+   * Answers parsed from ULDK (including status -1 "not found") are final.
    * @private
    */
   _isRetryableError(error) {
-    const retryableMessages = [
-      "brak wyników",
-      "błędny format odpowiedzi XML",
-      "usługa zwróciła odpowiedź",
-      "Nie znaleziono działki", // Sometimes transient
-    ];
+    if (this._isNetworkError(error)) return true;
 
-    const message = error.message?.toLowerCase() || "";
-    return retryableMessages.some((msg) => message.includes(msg.toLowerCase()));
+    return error.status === 408 || error.status >= 500;
   }
 
   /**
-   * Delay helper for retry logic
+   * Check if fetch failed before getting any response
    * @private
    */
-  _delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  _isNetworkError(error) {
+    return (
+      error.name === "TypeError" && error.message.includes("Failed to fetch")
+    );
   }
 
   /**
-   * Fetch parcel geometry by coordinates (WGS84)
+   * Check that a cached object really covers the point - rounded cache keys
+   * near a boundary may point to the neighbouring object
+   * @private
+   */
+  _containsPoint(result, lng, lat) {
+    return isPointInPolygons(
+      toPlanar({ lat, lng }),
+      toPlanarPolygons(parseWkt(result.wkt))
+    );
+  }
+
+  /**
+   * Fetch geometry of any ULDK object type by coordinates (WGS84)
+   * Results are served from the persistent cache when available.
    *
+   * @param {string} objectType - ObjectType enum value
    * @param {number} lng - Longitude (WGS84)
    * @param {number} lat - Latitude (WGS84)
-   * @returns {Promise<ParcelResult>} Parcel data with WKT geometry
-   * @throws {Error} If parcel not found or API error
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Object data with WKT geometry
+   * @throws {Error} If object not found or API error
    */
-  async getParcelByCoordinates(lng, lat) {
+  async getObjectByCoordinates(objectType, lng, lat, options = {}) {
+    if (!options.skipCache) {
+      const cached = await this._cache.getByCoordinates(objectType, lng, lat);
+      if (cached && this._containsPoint(cached, lng, lat)) return cached;
+    }
+
+    const { requests, resultFields } = CONFIG.OBJECT_TYPES[objectType];
+
     // ULDK expects xy=X,Y,SRID format (lon,lat,srid for WGS84)
-    const url = this._buildUrl(CONFIG.ULDK.ENDPOINTS.GET_BY_XY, {
+    const url = this._buildUrl(requests.byXY, resultFields, {
       xy: `${lng},${lat},${CONFIG.ULDK.SRID_WGS84}`,
     });
 
-    return this._fetchAndParse(url);
+    const result = await this._fetchAndParse(url, objectType, options);
+    await this._cache.put(result, { lng, lat });
+
+    return result;
+  }
+
+  /**
+   * Fetch geometry of any ULDK object type by its identifier
+   * Results are served from the persistent cache when available.
+   *
+   * @param {string} objectType - ObjectType enum value
+   * @param {string} id - EGiB identifier of the object
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Object data with WKT geometry
+   * @throws {Error} If object not found or API error
+   */
+  async getObjectById(objectType, id, options = {}) {
+    if (!options.skipCache) {
+      const cached = await this._cache.get(objectType, id);
+      if (cached) return cached;
+    }
+
+    const { requests, resultFields } = CONFIG.OBJECT_TYPES[objectType];
+
+    const url = this._buildUrl(requests.byId, resultFields, { id });
+
+    const result = await this._fetchAndParse(url, objectType, options);
+    await this._cache.put(result);
+
+    return result;
+  }
+
+  /**
+   * Fetch parcel geometry by coordinates (WGS84)
+   *
+   * @param {number} lng - Longitude (WGS84)
+   * @param {number} lat - Latitude (WGS84)
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Parcel data with WKT geometry
+   * @throws {Error} If parcel not found or API error
+   */
+  async getParcelByCoordinates(lng, lat, options = {}) {
+    return this.getObjectByCoordinates(ObjectType.PARCEL, lng, lat, options);
   }
 
   /**
    * Fetch parcel geometry by parcel ID
    *
    * @param {string} parcelId - Polish parcel identifier (e.g., "141201_1.0001.6509")
+   * @param {RequestOptions} options - Request options
    * @returns {Promise<ParcelResult>} Parcel data with WKT geometry
    * @throws {Error} If parcel not found or API error
    */
-  async getParcelById(parcelId) {
-    const url = this._buildUrl(CONFIG.ULDK.ENDPOINTS.GET_BY_ID, {
-      id: parcelId,
-    });
+  async getParcelById(parcelId, options = {}) {
+    return this.getObjectById(ObjectType.PARCEL, parcelId, options);
+  }
 
-    return this._fetchAndParse(url);
+  /**
+   * Fetch building outline by coordinates (WGS84)
+   *
+   * @param {number} lng - Longitude (WGS84)
+   * @param {number} lat - Latitude (WGS84)
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Building data with WKT geometry
+   */
+  async getBuildingByCoordinates(lng, lat, options = {}) {
+    return this.getObjectByCoordinates(ObjectType.BUILDING, lng, lat, options);
+  }
+
+  /**
+   * Fetch building outline by building ID
+   *
+   * @param {string} buildingId - Building identifier (e.g., "141201_1.0001.6509_BUD")
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Building data with WKT geometry
+   */
+  async getBuildingById(buildingId, options = {}) {
+    return this.getObjectById(ObjectType.BUILDING, buildingId, options);
+  }
+
+  /**
+   * Fetch cadastral region (obręb) boundary by coordinates (WGS84)
+   *
+   * @param {number} lng - Longitude (WGS84)
+   * @param {number} lat - Latitude (WGS84)
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Region data with WKT geometry
+   */
+  async getRegionByCoordinates(lng, lat, options = {}) {
+    return this.getObjectByCoordinates(ObjectType.REGION, lng, lat, options);
+  }
+
+  /**
+   * Fetch cadastral region (obręb) boundary by region ID
+   *
+   * @param {string} regionId - Region identifier (e.g., "141201_1.0001")
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Region data with WKT geometry
+   */
+  async getRegionById(regionId, options = {}) {
+    return this.getObjectById(ObjectType.REGION, regionId, options);
+  }
+
+  /**
+   * Fetch commune boundary by coordinates (WGS84)
+   *
+   * @param {number} lng - Longitude (WGS84)
+   * @param {number} lat - Latitude (WGS84)
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Commune data with WKT geometry
+   */
+  async getCommuneByCoordinates(lng, lat, options = {}) {
+    return this.getObjectByCoordinates(ObjectType.COMMUNE, lng, lat, options);
+  }
+
+  /**
+   * Fetch commune boundary by TERYT ID
+   *
+   * @param {string} communeId - Commune identifier (e.g., "141201_1")
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<ParcelResult>} Commune data with WKT geometry
+   */
+  async getCommuneById(communeId, options = {}) {
+    return this.getObjectById(ObjectType.COMMUNE, communeId, options);
   }
 
   /**
    * Common fetch and parse logic with retry for transient errors
+   * Every attempt goes through the request scheduler, so retries also respect
+   * the concurrency and rate limits.
    * @private
    * @param {string} url - URL to fetch
-   * @param {number} maxRetries - Maximum number of retry attempts
-   * @param {number} retryDelay - Initial delay between retries in ms
+   * @param {string} objectType - ObjectType the request was made for
+   * @param {RequestOptions} options - Request options
    */
-  async _fetchAndParse(url, maxRetries = 2, retryDelay = 500) {
-    let lastError;
+  async _fetchAndParse(url, objectType, { signal } = {}) {
+    const { MAX_RETRIES } = CONFIG.ULDK.SCHEDULER;
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
       try {
-        const response = await fetch(url);
-
-        if (!response.ok) {
-          throw new Error(
-            `Błąd sieci: ${response.status} ${response.statusText}`
-          );
-        }
-
-        const text = await response.text();
-        return this._parseResponse(text);
+        const text = await this._scheduler.schedule(
+          (taskSignal) => this._fetchText(url, taskSignal),
+          { signal }
+        );
+        return this._parseResponse(text, objectType);
       } catch (error) {
-        lastError = error;
-
-        // Check if it's a network error (no connection)
-        if (
-          error.name === "TypeError" &&
-          error.message.includes("Failed to fetch")
-        ) {
-          throw new Error(
-            "Brak połączenia z serwerem ULDK. Sprawdź połączenie internetowe."
-          );
+        // Cancelled by the caller - never retry
+        if (isAbortError(error)) {
+          throw error;
         }
 
         // Check if error is retryable and we have retries left
-        if (this._isRetryableError(error) && attempt < maxRetries) {
+        if (this._isRetryableError(error) && attempt < MAX_RETRIES) {
           console.warn(
             `ULDK request failed (attempt ${attempt + 1}/${
-              maxRetries + 1
-            }), retrying in ${retryDelay}ms...`,
+              MAX_RETRIES + 1
+            }), retrying...`,
             error.message
           );
-          await this._delay(retryDelay);
-          // Exponential backoff
-          retryDelay *= 2;
+          await this._scheduler.backoff(attempt, signal);
           continue;
         }
 
+        if (this._isNetworkError(error)) {
+          throw new Error(
+            "Brak połączenia z serwerem ULDK. Sprawdź połączenie internetowe."
+          );
+        }
+
         throw error;
       }
     }
+  }
+
+  /**
+   * Fetch raw response body
+   * @private
+   */
+  async _fetchText(url, signal) {
+    const response = await fetch(url, { signal });
+
+    if (!response.ok) {
+      const error = new Error(
+        `Błąd sieci: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
 
-    throw lastError;
+    return response.text();
   }
 }
 
@@ -0,0 +1,120 @@
+/**
+ * AreaCalculator - Parcel area, perimeter and boundary distances
+ *
+ * @description Measures geometry in EPSG:2180 and reduces the result to the
+ * GRS80 ellipsoid with the scale factor of the projection, the way register
+ * (EGiB) areas are computed. Holes are subtracted from the area and added to
+ * the perimeter. Single Responsibility Principle.
+ */
+
+import { toPlanar, toPlanarPolygons } from "./GeometryUtils.js";
+
+/**
+ * EPSG:2180 projection parameters (see CONFIG.COORDINATE_SYSTEMS)
+ */
+const PUWG_1992 = Object.freeze({
+  SCALE_FACTOR: 0.9993,
+  FALSE_EASTING: 500000,
+  // Gaussian mean radius of GRS80 at Poland's latitude (m)
+  EARTH_RADIUS: 6382000,
+});
+
+/**
+ * Area of geometry on the ellipsoid
+ *
+ * @param {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format
+ * @returns {number} Area in square meters (holes excluded)
+ */
+export function calculateArea(geometry) {
+  if (!geometry?.coordinates) return 0;
+
+  return toPlanarPolygons(geometry).reduce(
+    (sum, [outerRing, ...holes]) =>
+      sum +
+      getRingArea(outerRing) -
+      holes.reduce((holeSum, hole) => holeSum + getRingArea(hole), 0),
+    0
+  );
+}
+
+/**
+ * Perimeter of geometry on the ellipsoid
+ *
+ * @param {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format
+ * @returns {number} Total length of all rings (outer and holes) in meters
+ */
+export function calculatePerimeter(geometry) {
+  if (!geometry?.coordinates) return 0;
+
+  return toPlanarPolygons(geometry)
+    .flat()
+    .reduce((sum, ring) => sum + getRingLength(ring), 0);
+}
+
+/**
+ * Distance between two vertices on the ellipsoid
+ *
+ * @param {{lat?: number, lng?: number, x?: number, y?: number}} a - Vertex (WGS84 and/or EPSG:2180 x, y)
+ * @param {{lat?: number, lng?: number, x?: number, y?: number}} b - Vertex
+ * @returns {number} Distance in meters
+ */
+export function calculateDistance(a, b) {
+  const start = toPlanar(a);
+  const end = toPlanar(b);
+
+  return (
+    Math.hypot(end.x - start.x, end.y - start.y) /
+    getScaleFactor((start.x + end.x) / 2)
+  );
+}
+
+/**
+ * Ring area (shoelace formula) reduced to the ellipsoid
+ * @private
+ */
+function getRingArea(ring) {
+  if (ring.length < 3) return 0;
+
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j].x * ring[i].y - ring[i].x * ring[j].y;
+  }
+
+  return Math.abs(area / 2) / getScaleFactor(getMeanEasting(ring)) ** 2;
+}
+
+/**
+ * Ring length (closing segment included) reduced to the ellipsoid
+ * @private
+ */
+function getRingLength(ring) {
+  let length = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    length += Math.hypot(ring[i].x - ring[j].x, ring[i].y - ring[j].y);
+  }
+
+  return length / getScaleFactor(getMeanEasting(ring));
+}
+
+/**
+ * Mean easting of ring vertices
+ * @private
+ */
+function getMeanEasting(ring) {
+  return ring.reduce((sum, { x }) => sum + x, 0) / ring.length;
+}
+
+/**
+ * Point scale factor of EPSG:2180 (transverse Mercator) at given easting
+ * @private
+ */
+function getScaleFactor(easting) {
+  const u =
+    (easting - PUWG_1992.FALSE_EASTING) /
+    PUWG_1992.SCALE_FACTOR /
+    PUWG_1992.EARTH_RADIUS;
+
+  return PUWG_1992.SCALE_FACTOR * (1 + u ** 2 / 2 + u ** 4 / 24);
+}
+
+export default { calculateArea, calculatePerimeter, calculateDistance };
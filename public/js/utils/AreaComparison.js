@@ -0,0 +1,150 @@
+/**
+ * AreaComparison - Calculated area versus register (EGiB) area
+ *
+ * @description Reads register areas keyed by parcel ID from CSV, computes
+ * differences with a percentage tolerance and builds the comparison report.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { parseCsv, toCsv } from "./CsvUtils.js";
+
+/**
+ * Difference between calculated and register area
+ * @typedef {Object} AreaDifference
+ * @property {number} difference - Calculated minus register area (m²)
+ * @property {number} differencePercent - Difference relative to register area (%)
+ * @property {boolean} exceedsTolerance - True when |differencePercent| is above tolerance
+ */
+
+/**
+ * Compare calculated area with register area
+ *
+ * @param {number} calculatedArea - Area from geometry (m²)
+ * @param {number} registerArea - Area declared in the register (m², > 0)
+ * @param {number} tolerancePercent - Accepted difference (%)
+ * @returns {AreaDifference} Difference
+ */
+export function compareAreas(calculatedArea, registerArea, tolerancePercent) {
+  const difference = calculatedArea - registerArea;
+  const differencePercent = (difference / registerArea) * 100;
+
+  return {
+    difference,
+    differencePercent,
+    exceedsTolerance: Math.abs(differencePercent) > tolerancePercent,
+  };
+}
+
+/**
+ * Parse register areas from CSV/TXT content
+ * Each row needs a parcel ID and a number (the first numeric cell after the ID).
+ * Areas are in m², or in hectares when the header names the column with "ha".
+ *
+ * @param {string} text - File content
+ * @returns {{areas: Map<string, number>, invalidLines: Array<number>}} Areas in m² by parcel ID and numbers of skipped lines
+ */
+export function parseRegisterAreaCsv(text) {
+  const rows = parseCsv(text ?? "");
+  const areas = new Map();
+  const invalidLines = [];
+
+  const hasHeader =
+    rows.length > 0 &&
+    !rows[0].some((cell) => CONFIG.PATTERNS.PARCEL_ID.test(cell));
+  const factor =
+    hasHeader && rows[0].some((cell) => /(^|[^a-z])ha([^a-z]|$)/i.test(cell))
+      ? 10000
+      : 1;
+
+  rows.forEach((cells, index) => {
+    if (hasHeader && index === 0) return;
+
+    const idIndex = cells.findIndex((cell) =>
+      CONFIG.PATTERNS.PARCEL_ID.test(cell)
+    );
+    const area = cells
+      .slice(idIndex + 1)
+      .map(parseAreaValue)
+      .find((value) => value !== null);
+
+    if (idIndex === -1 || area === undefined) {
+      invalidLines.push(index + 1);
+      return;
+    }
+
+    areas.set(cells[idIndex], area * factor);
+  });
+
+  return { areas, invalidLines };
+}
+
+/**
+ * Generate CSV report of the comparison (parcels without register area are left blank)
+ *
+ * @param {Array<{id: string, calculatedArea: number, registerArea?: number}>} rows - Parcels
+ * @param {number} tolerancePercent - Accepted difference (%)
+ * @returns {string} CSV document
+ */
+export function generateAreaComparisonCsv(rows, tolerancePercent) {
+  const header = [
+    "identyfikator",
+    "powierzchnia_ewidencyjna_m2",
+    "powierzchnia_obliczona_m2",
+    "roznica_m2",
+    "roznica_proc",
+    "tolerancja_proc",
+    "poza_tolerancja",
+  ];
+
+  return toCsv([
+    header,
+    ...rows.map(({ id, calculatedArea, registerArea }) => {
+      if (!registerArea) {
+        return [
+          id,
+          "",
+          calculatedArea.toFixed(2),
+          "",
+          "",
+          tolerancePercent,
+          "",
+        ];
+      }
+
+      const { difference, differencePercent, exceedsTolerance } = compareAreas(
+        calculatedArea,
+        registerArea,
+        tolerancePercent
+      );
+
+      return [
+        id,
+        registerArea.toFixed(2),
+        calculatedArea.toFixed(2),
+        difference.toFixed(2),
+        differencePercent.toFixed(2),
+        tolerancePercent,
+        exceedsTolerance ? "tak" : "nie",
+      ];
+    }),
+  ]);
+}
+
+/**
+ * Parse positive number with dot or comma decimal separator (null otherwise)
+ * @private
+ */
+function parseAreaValue(cell) {
+  const normalized = cell.replace(/\s/g, "").replace(",", ".");
+  if (!/^\d+(\.\d+)?$/.test(normalized)) return null;
+
+  const value = parseFloat(normalized);
+  return value > 0 ? value : null;
+}
+
+export default {
+  compareAreas,
+  parseRegisterAreaCsv,
+  generateAreaComparisonCsv,
+};
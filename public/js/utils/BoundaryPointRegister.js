@@ -0,0 +1,230 @@
+/**
+ * BoundaryPointRegister - Numbered boundary points of listed parcels
+ *
+ * @description Numbers ring vertices of all parcels in list order, merging
+ * vertices shared by adjacent parcels under one number, and builds the
+ * register exports: CSV (per parcel, with distances) and geodetic TXT
+ * ("nr X Y"). Planar columns use geodetic axes: X northing, Y easting.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { toCsv } from "./CsvUtils.js";
+import { toPlanar } from "./GeometryUtils.js";
+import { calculateDistance } from "./AreaCalculator.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+
+/**
+ * Numbered boundary point
+ * @typedef {Object} BoundaryPoint
+ * @property {number} number - Point number (1-based, unique in the register)
+ * @property {number} x - Northing in the register coordinate system (m)
+ * @property {number} y - Easting in the register coordinate system (m)
+ * @property {number} lat - Latitude (WGS84)
+ * @property {number} lng - Longitude (WGS84)
+ * @property {{x: number, y: number}} planar - EPSG:2180 coordinates used for merging
+ * @property {Array<string>} parcelIds - Parcels having the point on their boundary
+ */
+
+/**
+ * Boundary point of a parcel ring
+ * @typedef {Object} BoundaryPointRow
+ * @property {string} parcelId - Parcel ID
+ * @property {number} ring - Ring index within the parcel (0 = first outer ring)
+ * @property {number} number - BoundaryPoint number
+ * @property {number} distanceToNext - Distance to the next point of the ring (m, on the ellipsoid)
+ */
+
+/**
+ * Boundary point register
+ * @typedef {Object} BoundaryPointRegisterData
+ * @property {number} crs - EPSG code of planar coordinates
+ * @property {Array<BoundaryPoint>} points - Unique points ordered by number
+ * @property {Array<BoundaryPointRow>} rows - Points of every parcel ring in ring order
+ * @property {Map<string, number>} index - Merge grid cell -> point number
+ */
+
+/**
+ * Build register of boundary points
+ *
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels in list order (geometry in parseWkt format)
+ * @param {number} [crs] - EPSG code of planar coordinates (PUWG 1992 by default)
+ * @returns {BoundaryPointRegisterData} Register
+ */
+export function buildBoundaryPointRegister(
+  parcels,
+  crs = CoordinateSystem.PUWG_1992
+) {
+  const register = { crs, points: [], rows: [], index: new Map() };
+
+  parcels.forEach(({ id, geometry }) => {
+    getRings(geometry).forEach((ring, ringIndex) => {
+      ring.forEach((vertex, i) => {
+        const point = findOrAddPoint(register, vertex);
+        if (!point.parcelIds.includes(id)) point.parcelIds.push(id);
+
+        register.rows.push({
+          parcelId: id,
+          ring: ringIndex,
+          number: point.number,
+          distanceToNext: calculateDistance(
+            vertex,
+            ring[(i + 1) % ring.length]
+          ),
+        });
+      });
+    });
+  });
+
+  return register;
+}
+
+/**
+ * Get number of the register point at a vertex
+ *
+ * @param {BoundaryPointRegisterData} register - Register
+ * @param {{lat: number, lng: number, x?: number, y?: number}} vertex - Vertex
+ * @returns {number|null} Point number or null when the vertex is not in the register
+ */
+export function getPointNumber(register, vertex) {
+  const planar = toPlanar(vertex);
+  const [column, row] = getCell(planar);
+
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      const number = register.index.get(`${column + dx},${row + dy}`);
+      if (number && isWithinTolerance(register.points[number - 1], planar)) {
+        return number;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate CSV of the register - one row per point of each parcel
+ *
+ * @param {BoundaryPointRegisterData} register - Register
+ * @returns {string} CSV document
+ */
+export function generateBoundaryPointCsv(register) {
+  const header = [
+    "identyfikator",
+    "nr",
+    "x",
+    "y",
+    "szerokosc",
+    "dlugosc",
+    "odleglosc_do_nastepnego_m",
+    "wspolny",
+    "uklad",
+  ];
+
+  return toCsv([
+    header,
+    ...register.rows.map(({ parcelId, number, distanceToNext }) => {
+      const point = register.points[number - 1];
+
+      return [
+        parcelId,
+        number,
+        point.x.toFixed(2),
+        point.y.toFixed(2),
+        point.lat.toFixed(8),
+        point.lng.toFixed(8),
+        distanceToNext.toFixed(2),
+        point.parcelIds.length > 1 ? "tak" : "nie",
+        `EPSG:${register.crs}`,
+      ];
+    }),
+  ]);
+}
+
+/**
+ * Generate geodetic TXT list of unique points ("nr X Y", one per line)
+ *
+ * @param {BoundaryPointRegisterData} register - Register
+ * @returns {string} TXT document
+ */
+export function generateBoundaryPointTxt(register) {
+  return register.points
+    .map(({ number, x, y }) => `${number} ${x.toFixed(2)} ${y.toFixed(2)}`)
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+/**
+ * Rings of geometry without the closing vertex (outer rings and holes)
+ * @private
+ */
+function getRings(geometry) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  return polygons.flat().map((ring) => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const isClosed =
+      ring.length > 1 && first.lat === last.lat && first.lng === last.lng;
+
+    return isClosed ? ring.slice(0, -1) : ring;
+  });
+}
+
+/**
+ * Point within merge tolerance of the vertex, or a new numbered point
+ * @private
+ */
+function findOrAddPoint(register, vertex) {
+  const number = getPointNumber(register, vertex);
+  if (number) return register.points[number - 1];
+
+  const planar = toPlanar(vertex);
+  const [easting, northing] = coordinateTransformer.project(
+    vertex,
+    register.crs
+  );
+  const point = {
+    number: register.points.length + 1,
+    x: northing,
+    y: easting,
+    lat: vertex.lat,
+    lng: vertex.lng,
+    planar,
+    parcelIds: [],
+  };
+
+  register.points.push(point);
+  register.index.set(getCell(planar).join(","), point.number);
+  return point;
+}
+
+/**
+ * Merge grid cell of a planar point (cell size = merge tolerance)
+ * @private
+ */
+function getCell({ x, y }) {
+  const size = CONFIG.BOUNDARY_POINTS.MERGE_TOLERANCE;
+  return [Math.floor(x / size), Math.floor(y / size)];
+}
+
+/**
+ * Check if register point lies within merge tolerance of a planar point
+ * @private
+ */
+function isWithinTolerance(point, planar) {
+  return (
+    Math.hypot(point.planar.x - planar.x, point.planar.y - planar.y) <=
+    CONFIG.BOUNDARY_POINTS.MERGE_TOLERANCE
+  );
+}
+
+export default {
+  buildBoundaryPointRegister,
+  getPointNumber,
+  generateBoundaryPointCsv,
+  generateBoundaryPointTxt,
+};
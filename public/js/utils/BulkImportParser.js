@@ -0,0 +1,123 @@
+/**
+ * BulkImportParser - Extracts parcel identifiers from pasted text or CSV/TXT files
+ *
+ * @description Validates every line against the EGiB parcel ID pattern and
+ * builds the import report. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { parseCsv, toCsv } from "./CsvUtils.js";
+
+/**
+ * Status of a single bulk import entry
+ */
+export const ImportStatus = Object.freeze({
+  PENDING: "pending",
+  SUCCESS: "success",
+  ERROR: "error",
+  INVALID: "invalid",
+  DUPLICATE: "duplicate",
+  EXISTING: "existing",
+  CANCELLED: "cancelled",
+});
+
+/**
+ * Human readable (Polish) status labels used in the report
+ */
+const STATUS_LABELS = Object.freeze({
+  [ImportStatus.PENDING]: "oczekuje",
+  [ImportStatus.SUCCESS]: "pobrano",
+  [ImportStatus.ERROR]: "błąd",
+  [ImportStatus.INVALID]: "nieprawidłowy identyfikator",
+  [ImportStatus.DUPLICATE]: "duplikat",
+  [ImportStatus.EXISTING]: "już na liście",
+  [ImportStatus.CANCELLED]: "anulowano",
+});
+
+/**
+ * Single line of the bulk import
+ * @typedef {Object} ImportEntry
+ * @property {number} line - Row number among non-empty source lines (1-based)
+ * @property {string} id - Parcel identifier (or raw value for invalid lines)
+ * @property {string} status - ImportStatus enum value
+ * @property {string} message - Details (e.g. ULDK error message)
+ */
+
+/**
+ * Parse pasted text or CSV/TXT content into import entries
+ * Each line may be a bare identifier or a CSV row - every cell matching
+ * the parcel ID pattern is used. A leading header row (no digits) is skipped.
+ *
+ * @param {string} text - Pasted list or file content
+ * @returns {Array<ImportEntry>} Entries in source order
+ */
+export function parseParcelIdList(text) {
+  const rows = parseCsv(text ?? "");
+  const seen = new Set();
+
+  return rows
+    .map((cells, index) => ({ cells, line: index + 1 }))
+    .filter(({ cells, line }) => !(line === 1 && isHeaderRow(cells)))
+    .flatMap(({ cells, line }) => {
+      const ids = cells.filter((cell) => CONFIG.PATTERNS.PARCEL_ID.test(cell));
+
+      if (ids.length === 0) {
+        return [
+          {
+            line,
+            id: cells.find((cell) => cell !== "") ?? "",
+            status: ImportStatus.INVALID,
+            message: "Niezgodny z formatem WWPPGG_T.OOOO.NNNN",
+          },
+        ];
+      }
+
+      return ids.map((id) => createEntry(id, line, seen));
+    });
+}
+
+/**
+ * Create pending entry, or duplicate entry for an already seen identifier
+ * @private
+ */
+function createEntry(id, line, seen) {
+  if (seen.has(id)) {
+    return {
+      line,
+      id,
+      status: ImportStatus.DUPLICATE,
+      message: "Identyfikator powtórzony na liście",
+    };
+  }
+
+  seen.add(id);
+  return { line, id, status: ImportStatus.PENDING, message: "" };
+}
+
+/**
+ * Generate CSV report of a finished import
+ *
+ * @param {Array<ImportEntry>} entries - Entries with final statuses
+ * @returns {string} CSV document
+ */
+export function generateImportReportCsv(entries) {
+  const header = ["wiersz", "identyfikator", "status", "komunikat"];
+  const rows = entries.map((entry) => [
+    entry.line,
+    entry.id,
+    STATUS_LABELS[entry.status] ?? entry.status,
+    entry.message,
+  ]);
+
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * Header rows contain column names only - no digits at all
+ * @private
+ */
+function isHeaderRow(cells) {
+  return !cells.some((cell) => /\d/.test(cell));
+}
+
+export default { ImportStatus, parseParcelIdList, generateImportReportCsv };
@@ -2,16 +2,18 @@
  * CoordinateTransformer - Handles coordinate system transformations
  *
  * @description Wraps Proj4js to convert between EPSG:2180 (Polish system)
- * and EPSG:4326 (WGS84/GPS). Single Responsibility Principle.
+ * and EPSG:4326 (WGS84/GPS). Also projects points to the other Polish
+ * systems of CONFIG.COORDINATE_SYSTEMS (PL-2000, 1965) and picks the
+ * PL-2000 zone by longitude. Single Responsibility Principle.
  */
 
-import { CONFIG } from "../config.js";
+import { CONFIG, CoordinateSystem } from "../config.js";
 
 class CoordinateTransformer {
   _initialized = false;
 
   /**
-   * Initialize Proj4 with Polish PUWG 1992 projection definition
+   * Initialize Proj4 with Polish projection definitions (EPSG:2180, PL-2000, 1965)
    * Must be called after proj4 library is loaded
    */
   initialize() {
@@ -23,13 +25,12 @@ class CoordinateTransformer {
       );
     }
 
-    // Define EPSG:2180 if not already defined
-    if (!proj4.defs(CONFIG.PROJECTIONS.PUWG_1992)) {
-      proj4.defs(
-        CONFIG.PROJECTIONS.PUWG_1992,
-        CONFIG.PROJECTIONS.PUWG_1992_DEF
-      );
-    }
+    // Define Polish systems if not already defined
+    Object.entries(CONFIG.COORDINATE_SYSTEMS).forEach(([epsg, system]) => {
+      if (!proj4.defs(`EPSG:${epsg}`)) {
+        proj4.defs(`EPSG:${epsg}`, system.proj4);
+      }
+    });
 
     this._initialized = true;
   }
@@ -77,6 +78,91 @@ class CoordinateTransformer {
   transformArrayToWGS84(coordinates) {
     return coordinates.map(({ x, y }) => this.toWGS84(x, y));
   }
+
+  /**
+   * Get point coordinates in a coordinate system
+   * Original EPSG:2180 coordinates kept by parseWkt are used as the source,
+   * so values match the register without a round trip through WGS84.
+   *
+   * @param {{lat: number, lng: number, x?: number, y?: number}} point - Vertex (WGS84, optionally with EPSG:2180 originals)
+   * @param {number|string} crs - CoordinateSystem enum value (PL2000_AUTO uses the zone of the point)
+   * @returns {Array<number>} [x, y] in GIS axis order (lng/lat or easting/northing)
+   * @throws {Error} If the coordinate system is not supported
+   */
+  project(point, crs) {
+    const epsg = this.resolve(crs, point.lng);
+    const hasOriginal = point.x !== undefined;
+
+    if (epsg === CoordinateSystem.WGS84) {
+      return [point.lng, point.lat];
+    }
+    if (epsg === CoordinateSystem.PUWG_1992) {
+      const { x, y } = hasOriginal
+        ? point
+        : this.fromWGS84(point.lat, point.lng);
+      return [x, y];
+    }
+
+    this.initialize();
+    return hasOriginal
+      ? proj4(CONFIG.PROJECTIONS.PUWG_1992, `EPSG:${epsg}`, [point.x, point.y])
+      : proj4(CONFIG.PROJECTIONS.WGS84, `EPSG:${epsg}`, [point.lng, point.lat]);
+  }
+
+  /**
+   * Convert coordinates of a coordinate system to WGS84
+   *
+   * @param {number} x - Easting (or longitude)
+   * @param {number} y - Northing (or latitude)
+   * @param {number} crs - CoordinateSystem enum value (EPSG code)
+   * @returns {{lat: number, lng: number, x?: number, y?: number}} WGS84 coordinates (with EPSG:2180 originals for planar input)
+   * @throws {Error} If the coordinate system is not supported
+   */
+  unproject(x, y, crs) {
+    const epsg = this.resolve(crs);
+
+    if (epsg === CoordinateSystem.WGS84) {
+      return { lat: y, lng: x };
+    }
+    if (epsg === CoordinateSystem.PUWG_1992) {
+      return { ...this.toWGS84(x, y), x, y };
+    }
+
+    this.initialize();
+    const [lng, lat] = proj4(`EPSG:${epsg}`, CONFIG.PROJECTIONS.WGS84, [x, y]);
+    return { lat, lng };
+  }
+
+  /**
+   * Get PL-2000 zone covering a longitude (zones are 3° wide around 15°-24°)
+   *
+   * @param {number} lng - Longitude in WGS84
+   * @returns {number} EPSG code of the zone (2176-2179)
+   */
+  getPl2000Zone(lng) {
+    const zone = Math.min(8, Math.max(5, Math.round(lng / 3)));
+    return CONFIG.PROJECTIONS.PL2000_ZONES[zone];
+  }
+
+  /**
+   * Resolve CoordinateSystem enum value to a concrete EPSG code
+   *
+   * @param {number|string} crs - CoordinateSystem enum value
+   * @param {number} [referenceLng] - Longitude picking the zone for PL2000_AUTO (Poland's centre by default)
+   * @returns {number} EPSG code present in CONFIG.COORDINATE_SYSTEMS
+   * @throws {Error} If the coordinate system is not supported
+   */
+  resolve(crs, referenceLng = CONFIG.MAP.CENTER[1]) {
+    if (crs === CoordinateSystem.PL2000_AUTO) {
+      return this.getPl2000Zone(referenceLng);
+    }
+
+    const epsg = Number(crs);
+    if (!CONFIG.COORDINATE_SYSTEMS[epsg]) {
+      throw new Error(`Unsupported coordinate system: EPSG:${crs}`);
+    }
+    return epsg;
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,269 @@
+/**
+ * CorridorAnalyzer - Route corridor measurements in EPSG:2180
+ *
+ * @description Builds the buffer polygon of a route and measures, for each
+ * parcel, the route length and the corridor area inside it. Polygon overlay
+ * is done with the polygon-clipping library (loaded from CDN); lengths and
+ * areas are reduced to the ellipsoid by AreaCalculator.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { toCsv } from "./CsvUtils.js";
+import {
+  toPlanar,
+  toGeographic,
+  toPlanarPolygons,
+  isPointInPolygons,
+  getPolygonClipping,
+} from "./GeometryUtils.js";
+import { calculateArea, calculateDistance } from "./AreaCalculator.js";
+
+/**
+ * Corridor figures of a single parcel
+ * @typedef {Object} CorridorParcelResult
+ * @property {string} id - Parcel ID
+ * @property {number} routeLength - Route length inside the parcel (m)
+ * @property {number} corridorArea - Corridor area inside the parcel (m²)
+ */
+
+/**
+ * Corridor analysis result
+ * @typedef {Object} CorridorAnalysis
+ * @property {number} routeLength - Total route length (m)
+ * @property {number} corridorArea - Total corridor area (m²)
+ * @property {Array<CorridorParcelResult>} parcels - Parcels touched by the corridor
+ * @property {Array<Array<Array<{lat: number, lng: number}>>>} corridorPolygons - Corridor outline (WGS84 rings per polygon) for the map
+ */
+
+/**
+ * Measure route and corridor inside each parcel
+ *
+ * @param {Array<Array<{lat: number, lng: number}>>} routes - Route polylines (WGS84)
+ * @param {number} bufferMeters - Distance from the route axis (m)
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels to check (geometry in parseWkt format)
+ * @returns {CorridorAnalysis} Corridor figures
+ */
+export function analyzeCorridor(routes, bufferMeters, parcels) {
+  const clipping = getPolygonClipping();
+  const planarRoutes = routes.map((route) => route.map(toPlanar));
+  const corridor = clipping.union(
+    ...planarRoutes.map((route) => createBufferPolygons(route, bufferMeters))
+  );
+
+  const results = parcels
+    .map(({ id, geometry }) => {
+      const polygons = toPlanarPolygons(geometry);
+      const parcelGeometry = polygons.map((rings) =>
+        rings.map((ring) => ring.map(({ x, y }) => [x, y]))
+      );
+
+      return {
+        id,
+        routeLength: planarRoutes.reduce(
+          (sum, route) => sum + getLengthInPolygons(route, polygons),
+          0
+        ),
+        corridorArea: getMultiPolygonArea(
+          clipping.intersection(corridor, parcelGeometry)
+        ),
+      };
+    })
+    .filter((result) => result.routeLength > 0 || result.corridorArea > 0);
+
+  return {
+    routeLength: planarRoutes.reduce(
+      (sum, route) => sum + getPolylineLength(route),
+      0
+    ),
+    corridorArea: getMultiPolygonArea(corridor),
+    parcels: results,
+    corridorPolygons: corridor.map((rings) =>
+      rings.map((ring) => ring.map(([x, y]) => toGeographic({ x, y })))
+    ),
+  };
+}
+
+/**
+ * Generate CSV report of corridor analysis (one row per parcel and a total)
+ *
+ * @param {CorridorAnalysis} analysis - Result of analyzeCorridor
+ * @param {number} bufferMeters - Distance from the route axis used (m)
+ * @returns {string} CSV document
+ */
+export function generateCorridorReportCsv(analysis, bufferMeters) {
+  const header = [
+    "identyfikator",
+    "dlugosc_trasy_m",
+    "powierzchnia_korytarza_m2",
+    "bufor_m",
+  ];
+  const toRow = (id, { routeLength, corridorArea }) => [
+    id,
+    routeLength.toFixed(2),
+    corridorArea.toFixed(2),
+    bufferMeters,
+  ];
+
+  return toCsv([
+    header,
+    ...analysis.parcels.map((parcel) => toRow(parcel.id, parcel)),
+    toRow("RAZEM", analysis),
+  ]);
+}
+
+/**
+ * Buffer of a planar polyline as polygon-clipping MultiPolygon
+ * Union of a rectangle around every segment and a circle at every vertex.
+ *
+ * @param {Array<{x: number, y: number}>} line - Planar polyline
+ * @param {number} distance - Buffer distance (m)
+ * @returns {Array<Array<Array<Array<number>>>>} MultiPolygon ([x, y] positions)
+ */
+export function createBufferPolygons(line, distance) {
+  const parts = line.map((vertex) => [createCircleRing(vertex, distance)]);
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+
+    // Unit normal of the segment scaled to buffer distance
+    const nx = (-(b.y - a.y) / length) * distance;
+    const ny = ((b.x - a.x) / length) * distance;
+
+    parts.push([
+      [
+        [a.x + nx, a.y + ny],
+        [b.x + nx, b.y + ny],
+        [b.x - nx, b.y - ny],
+        [a.x - nx, a.y - ny],
+        [a.x + nx, a.y + ny],
+      ],
+    ]);
+  }
+
+  return getPolygonClipping().union(...parts);
+}
+
+/**
+ * Length of a planar polyline inside polygons (holes excluded) reduced to
+ * the ellipsoid like parcel perimeters
+ *
+ * @param {Array<{x: number, y: number}>} line - Planar polyline
+ * @param {Array<Array<Array<{x: number, y: number}>>>} polygons - Result of toPlanarPolygons
+ * @returns {number} Length (m)
+ */
+export function getLengthInPolygons(line, polygons) {
+  const rings = polygons.flat();
+  let length = 0;
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const segmentLength = calculateDistance(a, b);
+    if (segmentLength === 0) continue;
+
+    // Split the segment at every boundary crossing and test each piece by its midpoint
+    const splits = [0, 1];
+    rings.forEach((ring) => {
+      for (let j = 1; j < ring.length; j++) {
+        const t = getSegmentIntersection(a, b, ring[j - 1], ring[j]);
+        if (t !== null) splits.push(t);
+      }
+    });
+    splits.sort((t1, t2) => t1 - t2);
+
+    for (let k = 1; k < splits.length; k++) {
+      const t = (splits[k - 1] + splits[k]) / 2;
+      const midpoint = {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+      };
+
+      if (isPointInPolygons(midpoint, polygons)) {
+        length += (splits[k] - splits[k - 1]) * segmentLength;
+      }
+    }
+  }
+
+  return length;
+}
+
+/**
+ * Length of a planar polyline reduced to the ellipsoid
+ *
+ * @param {Array<{x: number, y: number}>} line - Planar polyline
+ * @returns {number} Length (m)
+ */
+export function getPolylineLength(line) {
+  let length = 0;
+  for (let i = 1; i < line.length; i++) {
+    length += calculateDistance(line[i - 1], line[i]);
+  }
+  return length;
+}
+
+/**
+ * Area of polygon-clipping MultiPolygon reduced to the ellipsoid like
+ * parcel areas (outer rings minus holes)
+ *
+ * @param {Array<Array<Array<Array<number>>>>} multiPolygon - EPSG:2180 [x, y] positions
+ * @returns {number} Area (m²)
+ */
+export function getMultiPolygonArea(multiPolygon) {
+  return calculateArea({
+    type: "MULTIPOLYGON",
+    coordinates: multiPolygon.map((rings) =>
+      rings.map((ring) => ring.map(([x, y]) => ({ x, y })))
+    ),
+  });
+}
+
+/**
+ * Regular polygon approximating a circle (closed ring of [x, y])
+ * Vertices lie on the circle, so the ring is slightly inside it.
+ * @private
+ */
+function createCircleRing({ x, y }, radius) {
+  const segments = CONFIG.CORRIDOR.CIRCLE_SEGMENTS;
+  const ring = [];
+
+  for (let i = 0; i < segments; i++) {
+    const angle = (2 * Math.PI * i) / segments;
+    ring.push([x + radius * Math.cos(angle), y + radius * Math.sin(angle)]);
+  }
+  ring.push(ring[0]);
+
+  return ring;
+}
+
+/**
+ * Parameter t (0..1) along a-b where it crosses c-d, null when it does not
+ * @private
+ */
+function getSegmentIntersection(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denominator = rx * sy - ry * sx;
+
+  // Parallel segments - pieces are classified by midpoints anyway
+  if (denominator === 0) return null;
+
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denominator;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denominator;
+
+  return t > 0 && t < 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+export default {
+  analyzeCorridor,
+  generateCorridorReportCsv,
+  createBufferPolygons,
+  getLengthInPolygons,
+  getPolylineLength,
+  getMultiPolygonArea,
+};
@@ -0,0 +1,223 @@
+/**
+ * CsvExporter - Tables of parcels and boundary points for spreadsheets
+ *
+ * @description Writes one row per listed object (selectable columns: ID,
+ * area, perimeter, centroid, raw WKT, ...) or one row per boundary point.
+ * Planar columns use geodetic axes (X northing, Y easting) as the boundary
+ * point register does. The separator and decimal comma are configurable,
+ * since Polish Excel expects "1234,56" in semicolon-separated files.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG, CoordinateSystem, CsvExportMode } from "../config.js";
+import { toCsv } from "./CsvUtils.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import { extractVertices, geometryToWkt } from "./WktParser.js";
+import {
+  toPlanarPolygons,
+  toGeographic,
+  getCentroid,
+} from "./GeometryUtils.js";
+import { calculateArea, calculatePerimeter } from "./AreaCalculator.js";
+import { getObjectType } from "./ParcelProperties.js";
+
+/**
+ * Column of the parcel table
+ * @typedef {Object} CsvColumn
+ * @property {string} key - Column identifier (UI selection)
+ * @property {string} label - Human readable (Polish) label
+ * @property {string|Array<string>} header - Header cell(s) written to the file
+ * @property {number} [decimals] - Decimal places of numeric values
+ * @property {Function} getValue - (parcel, measures) => cell value (array for several cells)
+ */
+
+/**
+ * Selectable columns of the parcel table, in file order
+ * @type {ReadonlyArray<CsvColumn>}
+ */
+export const CSV_COLUMNS = Object.freeze([
+  {
+    key: "id",
+    label: "Identyfikator",
+    header: "identyfikator",
+    getValue: (parcel) => parcel.id,
+  },
+  {
+    key: "object_type",
+    label: "Typ obiektu",
+    header: "typ_obiektu",
+    getValue: (parcel) => CONFIG.OBJECT_TYPES[getObjectType(parcel)].label,
+  },
+  {
+    key: "commune",
+    label: "Gmina",
+    header: "gmina",
+    getValue: (parcel) => parcel.attributes?.commune,
+  },
+  {
+    key: "region",
+    label: "Obręb",
+    header: "obreb",
+    getValue: (parcel) => parcel.attributes?.region,
+  },
+  {
+    key: "area",
+    label: "Powierzchnia [m²]",
+    header: "powierzchnia_m2",
+    decimals: 2,
+    getValue: (parcel, measures) => measures.area,
+  },
+  {
+    key: "perimeter",
+    label: "Obwód [m]",
+    header: "obwod_m",
+    decimals: 2,
+    getValue: (parcel, measures) => measures.perimeter,
+  },
+  {
+    key: "centroid_xy",
+    label: "Centroid X, Y",
+    header: ["centroid_x", "centroid_y"],
+    decimals: 2,
+    getValue: (parcel, measures) => [measures.centroid.x, measures.centroid.y],
+  },
+  {
+    key: "centroid_latlng",
+    label: "Centroid φ, λ (WGS 84)",
+    header: ["centroid_szerokosc", "centroid_dlugosc"],
+    decimals: 8,
+    getValue: (parcel, measures) => [
+      measures.centroid.lat,
+      measures.centroid.lng,
+    ],
+  },
+  {
+    key: "vertex_count",
+    label: "Liczba punktów",
+    header: "liczba_punktow",
+    getValue: (parcel) => extractVertices(parcel.geometry).length,
+  },
+  {
+    key: "wkt",
+    label: "WKT (EPSG:2180)",
+    header: "wkt",
+    getValue: (parcel) => parcel.wkt ?? geometryToWkt(parcel.geometry),
+  },
+]);
+
+/**
+ * Generate CSV table of parcels or of their boundary points
+ *
+ * @param {Array<{id: string, geometry: Object, wkt?: string}>} parcels - Array of parcel objects
+ * @param {Object} [options] - Export options
+ * @param {string} [options.mode] - CsvExportMode value (one row per parcel by default)
+ * @param {Array<string>} [options.columns] - Keys of CSV_COLUMNS in the parcel table (all by default)
+ * @param {string} [options.separator] - Cell separator (default ";")
+ * @param {boolean} [options.decimalComma] - Whether to write decimal comma instead of point
+ * @param {number} [options.crs] - Planar CoordinateSystem enum value of X/Y columns (default PUWG 1992)
+ * @returns {string} CSV document
+ */
+export function generateCsv(parcels, options = {}) {
+  const {
+    mode = CsvExportMode.PARCELS,
+    columns = CSV_COLUMNS.map(({ key }) => key),
+    separator = ";",
+    decimalComma = false,
+    crs = CoordinateSystem.PUWG_1992,
+  } = options;
+
+  const format = (value, decimals) =>
+    formatValue(value, decimals, decimalComma);
+  const rows =
+    mode === CsvExportMode.POINTS
+      ? getPointRows(parcels, crs, format)
+      : getParcelRows(
+          parcels,
+          CSV_COLUMNS.filter(({ key }) => columns.includes(key)),
+          crs,
+          format
+        );
+
+  return toCsv(rows, { separator });
+}
+
+/**
+ * Header and one row per parcel with the selected columns
+ * @private
+ */
+function getParcelRows(parcels, columns, crs, format) {
+  if (columns.length === 0) {
+    throw new Error("Nie wybrano żadnej kolumny");
+  }
+
+  const header = columns.flatMap(({ header }) => header);
+  const hasCoordinates = columns.some(({ key }) => key === "centroid_xy");
+
+  return [
+    hasCoordinates ? [...header, "uklad"] : header,
+    ...parcels.map((parcel) => {
+      const measures = getMeasures(parcel, crs);
+      const cells = columns.flatMap(({ decimals, getValue }) =>
+        [getValue(parcel, measures)]
+          .flat()
+          .map((value) => format(value, decimals))
+      );
+
+      return hasCoordinates ? [...cells, `EPSG:${crs}`] : cells;
+    }),
+  ];
+}
+
+/**
+ * Header and one row per boundary point of every parcel
+ * @private
+ */
+function getPointRows(parcels, crs, format) {
+  return [
+    ["identyfikator", "nr", "x", "y", "szerokosc", "dlugosc", "uklad"],
+    ...parcels.flatMap((parcel) =>
+      extractVertices(parcel.geometry).map((vertex, index) => {
+        const [easting, northing] = coordinateTransformer.project(vertex, crs);
+
+        return [
+          parcel.id,
+          index + 1,
+          format(northing, 2),
+          format(easting, 2),
+          format(vertex.lat, 8),
+          format(vertex.lng, 8),
+          `EPSG:${crs}`,
+        ];
+      })
+    ),
+  ];
+}
+
+/**
+ * Area, perimeter and centroid of a parcel
+ * @private
+ */
+function getMeasures(parcel, crs) {
+  const planar = getCentroid(toPlanarPolygons(parcel.geometry));
+  const point = { ...toGeographic(planar), ...planar };
+  const [easting, northing] = coordinateTransformer.project(point, crs);
+
+  return {
+    area: calculateArea(parcel.geometry),
+    perimeter: calculatePerimeter(parcel.geometry),
+    centroid: { x: northing, y: easting, lat: point.lat, lng: point.lng },
+  };
+}
+
+/**
+ * Format numbers with fixed decimals (and optional decimal comma)
+ * @private
+ */
+function formatValue(value, decimals, decimalComma) {
+  if (typeof value !== "number" || decimals === undefined) return value;
+
+  const text = value.toFixed(decimals);
+  return decimalComma ? text.replace(".", ",") : text;
+}
+
+export default { CSV_COLUMNS, generateCsv };
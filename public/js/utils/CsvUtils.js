@@ -0,0 +1,122 @@
+/**
+ * CsvUtils - Minimal CSV reading and writing helpers
+ *
+ * @description Handles quoting, separator detection and the UTF-8 BOM
+ * that Excel needs to show Polish characters. Single Responsibility Principle.
+ */
+
+// Byte order mark - makes Excel open UTF-8 CSV files with correct diacritics
+const UTF8_BOM = "\uFEFF";
+
+// Separators tried when detecting the format of an unknown CSV file
+const CANDIDATE_SEPARATORS = [";", ",", "\t"];
+
+/**
+ * Convert rows to CSV text
+ *
+ * @param {Array<Array<string|number|null>>} rows - Rows of cell values (first row is usually a header)
+ * @param {Object} options - Formatting options
+ * @param {string} options.separator - Cell separator (default ";" as expected by Polish Excel)
+ * @param {boolean} options.bom - Whether to prepend UTF-8 BOM (default true)
+ * @returns {string} CSV document
+ */
+export function toCsv(rows, { separator = ";", bom = true } = {}) {
+  const lines = rows.map((row) =>
+    row.map((value) => escapeCsvValue(value, separator)).join(separator)
+  );
+
+  return (bom ? UTF8_BOM : "") + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Separator is detected from the first non-empty line when not given.
+ *
+ * @param {string} text - CSV document
+ * @param {Object} options - Parsing options
+ * @param {string} [options.separator] - Cell separator, detected when omitted
+ * @returns {Array<Array<string>>} Rows of trimmed cell values (empty lines skipped)
+ */
+export function parseCsv(text, { separator } = {}) {
+  const lines = text
+    .replace(UTF8_BOM, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+
+  if (lines.length === 0) return [];
+
+  const effectiveSeparator = separator ?? detectSeparator(lines[0]);
+
+  return lines.map((line) => parseCsvLine(line, effectiveSeparator));
+}
+
+/**
+ * Detect cell separator by counting candidates outside quotes
+ * @private
+ */
+function detectSeparator(line) {
+  const unquoted = line.replace(/"[^"]*"/g, "");
+  const counts = CANDIDATE_SEPARATORS.map(
+    (candidate) => unquoted.split(candidate).length - 1
+  );
+  const best = Math.max(...counts);
+
+  return best > 0 ? CANDIDATE_SEPARATORS[counts.indexOf(best)] : ";";
+}
+
+/**
+ * Split a single CSV line into cells, honouring double-quoted values
+ * @private
+ */
+function parseCsvLine(line, separator) {
+  const cells = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Quote a value when it contains separator, quotes or line breaks
+ * @private
+ */
+function escapeCsvValue(value, separator) {
+  if (value === null || value === undefined) return "";
+
+  const text = String(value);
+  if (
+    text.includes(separator) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+export default { toCsv, parseCsv };
@@ -0,0 +1,484 @@
+/**
+ * DxfExporter - Generates DXF drawings for CAD users
+ *
+ * @description Writes an AutoCAD 2000 (AC1015) DXF document in metres of a
+ * planar coordinate system (EPSG:2180 by default): outlines as closed
+ * LWPOLYLINEs on one layer per object type, IDs as TEXT at an interior point
+ * of every object, and numbered boundary points (shared numbering of
+ * BoundaryPointRegister) as POINTs with TEXT labels. Drawing X is easting,
+ * Y is northing, so the drawing is not mirrored. Single Responsibility Principle.
+ */
+
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import { getInteriorPoint } from "./GeometryUtils.js";
+import { groupParcelsByObjectType } from "./ParcelProperties.js";
+import { buildBoundaryPointRegister } from "./BoundaryPointRegister.js";
+
+/**
+ * Group code / value pair of a DXF document
+ * @typedef {[number, string|number]} DxfPair
+ */
+
+/**
+ * Generate DXF document with outlines, IDs and boundary points
+ *
+ * @param {Array<{id: string, objectType?: string, geometry: Object}>} parcels - Array of parcel objects
+ * @param {Object} [options] - Export options
+ * @param {number} [options.crs] - Planar CoordinateSystem enum value (default PUWG 1992)
+ * @returns {string} DXF document
+ * @throws {Error} If the coordinate system is geographic
+ */
+export function generateDxf(parcels, options = {}) {
+  const { crs = CoordinateSystem.PUWG_1992 } = options;
+  if (CONFIG.COORDINATE_SYSTEMS[crs]?.geographic) {
+    throw new Error("DXF wymaga układu współrzędnych płaskich");
+  }
+
+  const nextHandle = createHandleGenerator();
+  const handles = {
+    blockRecords: nextHandle(),
+    modelSpace: nextHandle(),
+    paperSpace: nextHandle(),
+  };
+  const toDrawing = (vertex) => coordinateTransformer.project(vertex, crs);
+
+  const layers = [];
+  const entities = [];
+  const addEntity = (type, layer, pairs) =>
+    entities.push(
+      [0, type],
+      [5, nextHandle()],
+      [330, handles.modelSpace],
+      [100, "AcDbEntity"],
+      [8, layer],
+      ...pairs
+    );
+
+  // Outlines and IDs - one outline layer per object type
+  const layerGroups = groupParcelsByObjectType(parcels);
+  layerGroups.forEach(({ objectType, parcels: layerParcels }) => {
+    const layer = CONFIG.DXF.OBJECT_LAYERS[objectType];
+    layers.push(layer);
+
+    layerParcels.forEach(({ geometry }) => {
+      getPolygons(geometry)
+        .flat()
+        .forEach((ring) => {
+          const points = openRing(ring).map(toDrawing);
+          addEntity("LWPOLYLINE", layer.name, [
+            [100, "AcDbPolyline"],
+            [90, points.length],
+            [70, 1],
+            [43, 0],
+            ...points.flatMap(([x, y]) => [
+              [10, formatNumber(x)],
+              [20, formatNumber(y)],
+            ]),
+          ]);
+        });
+    });
+  });
+
+  if (parcels.length > 0) {
+    layers.push(CONFIG.DXF.LAYERS.PARCEL_IDS);
+  }
+  parcels.forEach(({ id, geometry }) => {
+    const { x, y } = getInteriorPoint(
+      getPolygons(geometry).map((rings) =>
+        rings.map((ring) =>
+          ring.map((vertex) => {
+            const [easting, northing] = toDrawing(vertex);
+            return { x: easting, y: northing };
+          })
+        )
+      )
+    );
+
+    addEntity(
+      "TEXT",
+      CONFIG.DXF.LAYERS.PARCEL_IDS.name,
+      createTextPairs(id, x, y, CONFIG.DXF.PARCEL_ID_HEIGHT, true)
+    );
+  });
+
+  // Boundary points - each shared vertex once, with its register number
+  const { points } = buildBoundaryPointRegister(parcels, crs);
+  if (points.length > 0) {
+    layers.push(CONFIG.DXF.LAYERS.POINTS, CONFIG.DXF.LAYERS.POINT_NUMBERS);
+  }
+  points.forEach(({ number, x: northing, y: easting }) => {
+    addEntity("POINT", CONFIG.DXF.LAYERS.POINTS.name, [
+      [100, "AcDbPoint"],
+      [10, formatNumber(easting)],
+      [20, formatNumber(northing)],
+      [30, 0],
+    ]);
+
+    const offset = CONFIG.DXF.POINT_NUMBER_HEIGHT / 2;
+    addEntity(
+      "TEXT",
+      CONFIG.DXF.LAYERS.POINT_NUMBERS.name,
+      createTextPairs(
+        String(number),
+        easting + offset,
+        northing + offset,
+        CONFIG.DXF.POINT_NUMBER_HEIGHT,
+        false
+      )
+    );
+  });
+
+  const extents = getExtents(entities);
+  const tables = createTables(nextHandle, handles, layers, extents);
+  const blocks = createBlocks(nextHandle, handles);
+  const objects = createObjects(nextHandle);
+
+  return [
+    ...createSection("HEADER", createHeader(nextHandle(), extents)),
+    ...createSection("CLASSES", []),
+    ...createSection("TABLES", tables),
+    ...createSection("BLOCKS", blocks),
+    ...createSection("ENTITIES", entities),
+    ...createSection("OBJECTS", objects),
+    [0, "EOF"],
+  ]
+    .map(([code, value]) => `${String(code).padStart(3)}\r\n${value}`)
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+/**
+ * Polygons of geometry in parseWkt format (POLYGON gives one)
+ * @private
+ */
+function getPolygons(geometry) {
+  return geometry.type === "MULTIPOLYGON"
+    ? geometry.coordinates
+    : [geometry.coordinates];
+}
+
+/**
+ * Ring without the closing vertex (LWPOLYLINE closes itself)
+ * @private
+ */
+function openRing(ring) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  const isClosed =
+    ring.length > 1 && first.lat === last.lat && first.lng === last.lng;
+
+  return isClosed ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * Sequential hexadecimal entity handles ("1", "2", ... "A", ...)
+ * @private
+ */
+function createHandleGenerator() {
+  let next = 1;
+  return () => (next++).toString(16).toUpperCase();
+}
+
+/**
+ * TEXT entity data - centred on the point or starting at it
+ * @private
+ */
+function createTextPairs(text, x, y, height, centered) {
+  const pairs = [
+    [100, "AcDbText"],
+    [10, formatNumber(x)],
+    [20, formatNumber(y)],
+    [30, 0],
+    [40, height],
+    [1, encodeText(text)],
+  ];
+
+  if (!centered) return [...pairs, [100, "AcDbText"]];
+
+  // Horizontal "center" and vertical "middle" use the alignment point
+  return [
+    ...pairs,
+    [72, 1],
+    [11, formatNumber(x)],
+    [21, formatNumber(y)],
+    [31, 0],
+    [100, "AcDbText"],
+    [73, 2],
+  ];
+}
+
+/**
+ * HEADER variables - version, units (metres) and drawing extents
+ * @private
+ */
+function createHeader(handleSeed, { minX, minY, maxX, maxY }) {
+  return [
+    [9, "$ACADVER"],
+    [1, "AC1015"],
+    [9, "$DWGCODEPAGE"],
+    [3, "ANSI_1250"],
+    [9, "$HANDSEED"],
+    [5, handleSeed],
+    [9, "$INSUNITS"],
+    [70, 6],
+    [9, "$MEASUREMENT"],
+    [70, 1],
+    [9, "$EXTMIN"],
+    [10, formatNumber(minX)],
+    [20, formatNumber(minY)],
+    [30, 0],
+    [9, "$EXTMAX"],
+    [10, formatNumber(maxX)],
+    [20, formatNumber(maxY)],
+    [30, 0],
+  ];
+}
+
+/**
+ * Symbol tables required by AutoCAD, with the layers of the drawing
+ * @private
+ */
+function createTables(nextHandle, handles, layers, extents) {
+  const table = (name, entries, tableHandle = nextHandle(), extra = []) => [
+    [0, "TABLE"],
+    [2, name],
+    [5, tableHandle],
+    [330, 0],
+    [100, "AcDbSymbolTable"],
+    [70, entries.length],
+    ...extra,
+    ...entries.flatMap((entry) => entry(tableHandle)),
+    [0, "ENDTAB"],
+  ];
+  const record =
+    (type, subclass, name, pairs = []) =>
+    (owner) =>
+      [
+        [0, type],
+        [type === "DIMSTYLE" ? 105 : 5, nextHandle()],
+        [330, owner],
+        [100, "AcDbSymbolTableRecord"],
+        [100, subclass],
+        [2, name],
+        [70, 0],
+        ...pairs,
+      ];
+  const linetype = (name, description) =>
+    record("LTYPE", "AcDbLinetypeTableRecord", name, [
+      [3, description],
+      [72, 65],
+      [73, 0],
+      [40, 0],
+    ]);
+  const layer = ({ name, color }) =>
+    record("LAYER", "AcDbLayerTableRecord", name, [
+      [62, color],
+      [6, "Continuous"],
+    ]);
+
+  const width = Math.max(extents.maxX - extents.minX, 1);
+  const height = Math.max(extents.maxY - extents.minY, 1);
+
+  return [
+    ...table("VPORT", [
+      record("VPORT", "AcDbViewportTableRecord", "*ACTIVE", [
+        [10, 0],
+        [20, 0],
+        [11, 1],
+        [21, 1],
+        [12, formatNumber(extents.minX + width / 2)],
+        [22, formatNumber(extents.minY + height / 2)],
+        [13, 0],
+        [23, 0],
+        [14, 1],
+        [24, 1],
+        [15, 1],
+        [25, 1],
+        [16, 0],
+        [26, 0],
+        [36, 1],
+        [17, 0],
+        [27, 0],
+        [37, 0],
+        [40, formatNumber(Math.max(height, width / 1.5) * 1.1)],
+        [41, 1.5],
+        [42, 50],
+        [43, 0],
+        [44, 0],
+        [50, 0],
+        [51, 0],
+        [71, 0],
+        [72, 1000],
+        [73, 1],
+        [74, 3],
+        [75, 0],
+        [76, 0],
+        [77, 0],
+        [78, 0],
+      ]),
+    ]),
+    ...table("LTYPE", [
+      linetype("ByBlock", ""),
+      linetype("ByLayer", ""),
+      linetype("Continuous", "Solid line"),
+    ]),
+    ...table("LAYER", [layer({ name: "0", color: 7 }), ...layers.map(layer)]),
+    ...table("STYLE", [
+      record("STYLE", "AcDbTextStyleTableRecord", "Standard", [
+        [40, 0],
+        [41, 1],
+        [50, 0],
+        [71, 0],
+        [42, 2.5],
+        [3, "txt"],
+        [4, ""],
+      ]),
+    ]),
+    ...table("VIEW", []),
+    ...table("UCS", []),
+    ...table("APPID", [record("APPID", "AcDbRegAppTableRecord", "ACAD")]),
+    ...table(
+      "DIMSTYLE",
+      [record("DIMSTYLE", "AcDbDimStyleTableRecord", "Standard")],
+      nextHandle(),
+      [
+        [100, "AcDbDimStyleTable"],
+        [71, 0],
+      ]
+    ),
+    ...table(
+      "BLOCK_RECORD",
+      [
+        (owner) => blockRecord(owner, handles.modelSpace, "*Model_Space"),
+        (owner) => blockRecord(owner, handles.paperSpace, "*Paper_Space"),
+      ],
+      handles.blockRecords
+    ),
+  ];
+}
+
+/**
+ * BLOCK_RECORD table entry with a fixed handle (entities refer to it)
+ * @private
+ */
+function blockRecord(owner, handle, name) {
+  return [
+    [0, "BLOCK_RECORD"],
+    [5, handle],
+    [330, owner],
+    [100, "AcDbSymbolTableRecord"],
+    [100, "AcDbBlockTableRecord"],
+    [2, name],
+  ];
+}
+
+/**
+ * Empty model and paper space block definitions
+ * @private
+ */
+function createBlocks(nextHandle, handles) {
+  const block = (owner, name, isPaperSpace) => [
+    [0, "BLOCK"],
+    [5, nextHandle()],
+    [330, owner],
+    [100, "AcDbEntity"],
+    ...(isPaperSpace ? [[67, 1]] : []),
+    [8, "0"],
+    [100, "AcDbBlockBegin"],
+    [2, name],
+    [70, 0],
+    [10, 0],
+    [20, 0],
+    [30, 0],
+    [3, name],
+    [1, ""],
+    [0, "ENDBLK"],
+    [5, nextHandle()],
+    [330, owner],
+    [100, "AcDbEntity"],
+    ...(isPaperSpace ? [[67, 1]] : []),
+    [8, "0"],
+    [100, "AcDbBlockEnd"],
+  ];
+
+  return [
+    ...block(handles.modelSpace, "*Model_Space", false),
+    ...block(handles.paperSpace, "*Paper_Space", true),
+  ];
+}
+
+/**
+ * Root dictionary with the (empty) group dictionary
+ * @private
+ */
+function createObjects(nextHandle) {
+  const root = nextHandle();
+  const groups = nextHandle();
+
+  return [
+    [0, "DICTIONARY"],
+    [5, root],
+    [330, 0],
+    [100, "AcDbDictionary"],
+    [281, 1],
+    [3, "ACAD_GROUP"],
+    [350, groups],
+    [0, "DICTIONARY"],
+    [5, groups],
+    [330, root],
+    [100, "AcDbDictionary"],
+    [281, 1],
+  ];
+}
+
+/**
+ * Section wrapper
+ * @private
+ */
+function createSection(name, pairs) {
+  return [[0, "SECTION"], [2, name], ...pairs, [0, "ENDSEC"]];
+}
+
+/**
+ * Bounds of all entity coordinates (10/20 group codes)
+ * @private
+ */
+function getExtents(entities) {
+  const extents = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const xs = entities.filter(([code]) => code === 10).map(([, x]) => +x);
+  const ys = entities.filter(([code]) => code === 20).map(([, y]) => +y);
+  if (xs.length === 0) return extents;
+
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+/**
+ * Coordinate with millimetre precision
+ * @private
+ */
+function formatNumber(value) {
+  return value.toFixed(3);
+}
+
+/**
+ * Escape characters outside ASCII as DXF unicode sequences (\U+XXXX)
+ * @private
+ */
+function encodeText(text) {
+  return Array.from(text)
+    .map((char) => {
+      const code = char.codePointAt(0);
+      return code > 126
+        ? `\\U+${code.toString(16).toUpperCase().padStart(4, "0")}`
+        : char;
+    })
+    .join("");
+}
+
+export default { generateDxf };
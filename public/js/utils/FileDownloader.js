@@ -0,0 +1,44 @@
+/**
+ * FileDownloader - Triggers browser download of generated content
+ *
+ * @description Shared helper for reports and exports that are generated
+ * entirely in the browser (no backend). Single Responsibility Principle.
+ */
+
+/**
+ * Download content as a file
+ *
+ * @param {string|Uint8Array|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Clean up object URL
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
+/**
+ * Build date-stamped file name (e.g. "dzialki_2025-01-31.csv")
+ *
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name
+ */
+export function getTimestampedFilename(prefix, extension) {
+  const timestamp = new Date().toISOString().slice(0, 10);
+  return `${prefix}_${timestamp}.${extension}`;
+}
+
+export default { downloadFile, getTimestampedFilename };
@@ -0,0 +1,187 @@
+/**
+ * FileImporter - Reads parcels back from exported GeoJSON/KML/GeoPackage files
+ *
+ * @description Picks the importer by file extension and maps feature
+ * attributes (columns written by ParcelProperties) to ULDK-like results,
+ * so imported parcels behave exactly like fetched ones (DRY). Routes for the
+ * corridor tool are read from line features of GeoJSON/KML files, overlay
+ * zones from polygon features of any supported file.
+ */
+
+import { CONFIG } from "../config.js";
+import { parseGeojson, parseGeojsonLines } from "./GeojsonImporter.js";
+import { parseKml, parseKmlLines } from "./KmlImporter.js";
+import { parseGpkg } from "./GeopkgImporter.js";
+import { geometryToWkt } from "./WktParser.js";
+
+/**
+ * File extensions accepted by importFile (used for file inputs and drops)
+ */
+export const IMPORT_EXTENSIONS = Object.freeze([
+  ".geojson",
+  ".json",
+  ".kml",
+  ".gpkg",
+]);
+
+/**
+ * File extensions accepted by importRoute
+ */
+export const ROUTE_EXTENSIONS = Object.freeze([".geojson", ".json", ".kml"]);
+
+/**
+ * Result of importing a file
+ * @typedef {Object} FileImportResult
+ * @property {Array<Object>} results - ParcelResult-like objects (objectType may be null)
+ * @property {number} skippedCount - Polygon features without a valid EGiB identifier
+ */
+
+/**
+ * Read polygon features of a file and convert them to parcel results
+ *
+ * @param {File} file - Dropped or selected file
+ * @returns {Promise<FileImportResult>} Imported results
+ * @throws {Error} If the format is not supported or the file is invalid
+ */
+export async function importFile(file) {
+  const features = await readFeatures(file);
+  const results = features
+    .map(featureToResult)
+    .filter((result) => result !== null);
+
+  return { results, skippedCount: features.length - results.length };
+}
+
+/**
+ * Read route polylines (LineString features) of a GeoJSON or KML file
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<Array<Array<{lat: number, lng: number}>>>} Polylines with at least two vertices
+ * @throws {Error} If the format is not supported, the file is invalid or has no lines
+ */
+export async function importRoute(file) {
+  let lines;
+
+  switch (getExtension(file.name)) {
+    case ".geojson":
+    case ".json":
+      lines = parseGeojsonLines(await file.text());
+      break;
+    case ".kml":
+      lines = parseKmlLines(await file.text());
+      break;
+    default:
+      throw new Error(
+        `Nieobsługiwany format pliku. Dozwolone: ${ROUTE_EXTENSIONS.join(", ")}`
+      );
+  }
+
+  lines = lines.filter((line) => line.length >= 2);
+
+  if (lines.length === 0) {
+    throw new Error("Plik nie zawiera linii trasy");
+  }
+
+  return lines;
+}
+
+/**
+ * Read polygon features of a zone layer (attributes kept as they are)
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<Array<{properties: Object, geometry: Object}>>} Polygon features (ImportedFeature)
+ * @throws {Error} If the format is not supported, the file is invalid or has no polygons
+ */
+export async function importOverlay(file) {
+  const features = await readFeatures(file);
+
+  if (features.length === 0) {
+    throw new Error("Plik nie zawiera wielokątów");
+  }
+
+  return features;
+}
+
+/**
+ * Check if file has a supported extension
+ *
+ * @param {File} file - File to check
+ * @returns {boolean} True for GeoJSON, KML and GeoPackage files
+ */
+export function isSupportedFile(file) {
+  return IMPORT_EXTENSIONS.includes(getExtension(file.name));
+}
+
+/**
+ * Dispatch to the importer matching the file extension
+ * @private
+ */
+async function readFeatures(file) {
+  switch (getExtension(file.name)) {
+    case ".geojson":
+    case ".json":
+      return parseGeojson(await file.text());
+    case ".kml":
+      return parseKml(await file.text());
+    case ".gpkg":
+      return parseGpkg(await file.arrayBuffer());
+    default:
+      throw new Error(
+        `Nieobsługiwany format pliku. Dozwolone: ${IMPORT_EXTENSIONS.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+/**
+ * Map feature attributes to ParcelResult (null when the identifier is
+ * missing or is not an EGiB identifier of the object type)
+ * @private
+ */
+function featureToResult({ properties, geometry }) {
+  const id = String(properties.parcel_id ?? properties.id ?? "").trim();
+  const objectType = CONFIG.OBJECT_TYPES[properties.object_type]
+    ? properties.object_type
+    : null;
+
+  const patterns = objectType
+    ? [CONFIG.PATTERNS.OBJECT_IDS[objectType]]
+    : Object.values(CONFIG.PATTERNS.OBJECT_IDS);
+  if (!patterns.some((pattern) => pattern.test(id))) return null;
+
+  const neighbourOf = String(properties.neighbour_of ?? "").trim();
+
+  return {
+    objectType,
+    id,
+    wkt: geometryToWkt(geometry),
+    voivodeship: properties.voivodeship ?? "",
+    county: properties.county ?? "",
+    commune: properties.commune ?? "",
+    region: properties.region ?? "",
+    parcel: properties.parcel_number ?? "",
+    teryt: properties.teryt ?? id.split(".")[0],
+    neighbourOf: CONFIG.PATTERNS.PARCEL_ID.test(neighbourOf)
+      ? neighbourOf
+      : null,
+  };
+}
+
+/**
+ * Lower-case file extension including the dot
+ * @private
+ */
+function getExtension(filename) {
+  const dotIndex = filename.lastIndexOf(".");
+  return dotIndex === -1 ? "" : filename.slice(dotIndex).toLowerCase();
+}
+
+export default {
+  IMPORT_EXTENSIONS,
+  ROUTE_EXTENSIONS,
+  importFile,
+  importRoute,
+  importOverlay,
+  isSupportedFile,
+};
@@ -2,9 +2,19 @@
  * GeojsonExporter - Generates GeoJSON files for parcel geometry export
  *
  * @description Creates valid GeoJSON documents with Feature/FeatureCollection
- * for download. Follows Single Responsibility Principle.
+ * for download. Coordinates are WGS84 by default; other systems are marked
+ * with the (legacy) "crs" member read by QGIS and GDAL.
+ * Follows Single Responsibility Principle.
  */
 
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import {
+  getParcelProperties,
+  getOutlineProperties,
+  groupParcelsByObjectType,
+} from "./ParcelProperties.js";
+
 /**
  * Generate GeoJSON FeatureCollection with layers based on visibility options
  *
@@ -12,25 +22,36 @@
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own layer
  * @returns {string} GeoJSON document as string
  */
 export function generateGeojsonWithLayers(parcels, options) {
-  const { includePolygons = false, includePoints = false } = options;
+  const {
+    includePolygons = false,
+    includePoints = false,
+    crs = CoordinateSystem.WGS84,
+    outline = null,
+  } = options;
 
   const features = [];
 
-  // Add polygon features
+  // Add polygon features, layer named after object type (polygons, buildings, ...)
   if (includePolygons) {
-    parcels.forEach((parcel) => {
-      features.push({
-        type: "Feature",
-        properties: {
-          parcel_id: parcel.id,
-          layer: "polygons",
-        },
-        geometry: geometryToGeojson(parcel.geometry),
-      });
-    });
+    groupParcelsByObjectType(parcels).forEach(
+      ({ definition, parcels: layerParcels }) => {
+        layerParcels.forEach((parcel) => {
+          features.push({
+            type: "Feature",
+            properties: {
+              ...getParcelProperties(parcel),
+              layer: definition.layerKey,
+            },
+            geometry: geometryToGeojson(parcel.geometry, crs),
+          });
+        });
+      }
+    );
   }
 
   // Add point features
@@ -46,15 +67,28 @@ export function generateGeojsonWithLayers(parcels, options) {
           },
           geometry: {
             type: "Point",
-            coordinates: [vertex.lng, vertex.lat],
+            coordinates: coordinateTransformer.project(vertex, crs),
           },
         });
       });
     });
   }
 
+  // Add dissolved outline
+  if (outline) {
+    features.push({
+      type: "Feature",
+      properties: {
+        ...getOutlineProperties(outline),
+        layer: CONFIG.DISSOLVE.LAYER_KEY,
+      },
+      geometry: geometryToGeojson(outline.geometry, crs),
+    });
+  }
+
   const featureCollection = {
     type: "FeatureCollection",
+    ...getCrsMember(crs),
     features,
   };
 
@@ -68,6 +102,8 @@ export function generateGeojsonWithLayers(parcels, options) {
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own layer
  */
 export function downloadGeojsonWithLayers(parcels, options) {
   const geojsonContent = generateGeojsonWithLayers(parcels, options);
@@ -132,25 +168,40 @@ export function generatePointsGeojson(parcels) {
  * Convert internal geometry to GeoJSON geometry
  * @private
  */
-function geometryToGeojson(geometry) {
+function geometryToGeojson(geometry, crs = CoordinateSystem.WGS84) {
+  const toPosition = (coord) => coordinateTransformer.project(coord, crs);
+
   if (geometry.type === "POLYGON") {
     return {
       type: "Polygon",
-      coordinates: geometry.coordinates.map((ring) =>
-        ring.map((coord) => [coord.lng, coord.lat])
-      ),
+      coordinates: geometry.coordinates.map((ring) => ring.map(toPosition)),
     };
   } else if (geometry.type === "MULTIPOLYGON") {
     return {
       type: "MultiPolygon",
       coordinates: geometry.coordinates.map((polygon) =>
-        polygon.map((ring) => ring.map((coord) => [coord.lng, coord.lat]))
+        polygon.map((ring) => ring.map(toPosition))
       ),
     };
   }
   return null;
 }
 
+/**
+ * Named "crs" member for coordinate systems other than WGS84
+ * @private
+ */
+function getCrsMember(crs) {
+  if (crs === CoordinateSystem.WGS84) return {};
+
+  return {
+    crs: {
+      type: "name",
+      properties: { name: `urn:ogc:def:crs:EPSG::${crs}` },
+    },
+  };
+}
+
 /**
  * Download GeoJSON file with polygon geometries
  *
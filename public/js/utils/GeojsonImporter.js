@@ -0,0 +1,129 @@
+/**
+ * GeojsonImporter - Reads polygon features from GeoJSON files
+ *
+ * @description Counterpart of GeojsonExporter. Returns polygon features
+ * with their properties; point layers are skipped. Line features are read
+ * separately as routes for the corridor tool. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+
+/**
+ * Imported polygon feature
+ * @typedef {Object} ImportedFeature
+ * @property {Object<string, *>} properties - Feature attributes (e.g. parcel_id)
+ * @property {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format (WGS84)
+ */
+
+/**
+ * Parse GeoJSON document
+ *
+ * @param {string} text - GeoJSON file content
+ * @returns {Array<ImportedFeature>} Polygon features
+ * @throws {Error} If the file is not valid GeoJSON
+ */
+export function parseGeojson(text) {
+  const { features, toLatLng } = readDocument(text);
+
+  return features
+    .map((feature) => ({
+      properties: feature.properties ?? {},
+      geometry: convertGeometry(feature.geometry, toLatLng),
+    }))
+    .filter((feature) => feature.geometry !== null);
+}
+
+/**
+ * Read LineString/MultiLineString features as polylines
+ *
+ * @param {string} text - GeoJSON file content
+ * @returns {Array<Array<{lat: number, lng: number}>>} Polylines (WGS84)
+ * @throws {Error} If the file is not valid GeoJSON
+ */
+export function parseGeojsonLines(text) {
+  const { features, toLatLng } = readDocument(text);
+  const convertLine = (line) => line.map(([x, y]) => toLatLng(x, y));
+
+  return features.flatMap(({ geometry }) => {
+    switch (geometry?.type) {
+      case "LineString":
+        return [convertLine(geometry.coordinates)];
+      case "MultiLineString":
+        return geometry.coordinates.map(convertLine);
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Parse document, list its features and pick coordinate conversion
+ * @private
+ */
+function readDocument(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    throw new Error("Plik nie jest poprawnym dokumentem GeoJSON");
+  }
+
+  const features =
+    document.type === "FeatureCollection"
+      ? document.features ?? []
+      : [document];
+
+  return {
+    features: features.filter((feature) => feature?.type === "Feature"),
+    toLatLng: getCoordinateConverter(document.crs),
+  };
+}
+
+/**
+ * Convert GeoJSON geometry to parseWkt format (points and lines give null)
+ * @private
+ */
+function convertGeometry(geometry, toLatLng) {
+  const convertRings = (rings) =>
+    rings.map((ring) => ring.map(([x, y]) => toLatLng(x, y)));
+
+  switch (geometry?.type) {
+    case "Polygon":
+      return {
+        type: "POLYGON",
+        coordinates: convertRings(geometry.coordinates),
+      };
+    case "MultiPolygon":
+      return {
+        type: "MULTIPOLYGON",
+        coordinates: geometry.coordinates.map(convertRings),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick coordinate conversion for the (legacy) "crs" member
+ * GeoJSON is WGS84 by definition; files in other systems of
+ * CONFIG.COORDINATE_SYSTEMS are converted (EPSG:2180 originals kept).
+ * @private
+ */
+function getCoordinateConverter(crs) {
+  const crsName = crs?.properties?.name ?? "";
+
+  if (!crsName || /CRS84$/.test(crsName)) {
+    return (lng, lat) => ({ lat, lng });
+  }
+
+  // "urn:ogc:def:crs:EPSG::2177" or "EPSG:2177"
+  const epsg = Number(crsName.match(/(\d+)$/)?.[1]);
+  if (!CONFIG.COORDINATE_SYSTEMS[epsg]) {
+    throw new Error(`Nieobsługiwany układ współrzędnych: ${crsName}`);
+  }
+
+  return (x, y) => coordinateTransformer.unproject(x, y, epsg);
+}
+
+export default { parseGeojson, parseGeojsonLines };
@@ -0,0 +1,311 @@
+/**
+ * GeometryUtils - Planar geometry helpers working in EPSG:2180
+ *
+ * @description Measurements and comparisons are done in the metric
+ * PUWG 1992 system, never on WGS84 degrees. Single Responsibility Principle.
+ */
+
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import { extractVertices } from "./WktParser.js";
+
+/**
+ * Check whether two geometries have the same boundary points
+ * (same number of vertices, each within tolerance of a vertex of the other)
+ *
+ * @param {{type: string, coordinates: Array}} geometryA - Geometry in parseWkt format
+ * @param {{type: string, coordinates: Array}} geometryB - Geometry in parseWkt format
+ * @param {number} toleranceMeters - Maximum vertex shift treated as equal
+ * @returns {boolean} True when geometries match
+ */
+export function isSameGeometry(geometryA, geometryB, toleranceMeters) {
+  const pointsA = extractVertices(geometryA).map(toPlanar);
+  const pointsB = extractVertices(geometryB).map(toPlanar);
+
+  if (pointsA.length !== pointsB.length) return false;
+
+  const matches = (points) => (point) =>
+    points.some(
+      (other) =>
+        Math.hypot(point.x - other.x, point.y - other.y) <= toleranceMeters
+    );
+
+  return pointsA.every(matches(pointsB)) && pointsB.every(matches(pointsA));
+}
+
+/**
+ * Convert WGS84 point to EPSG:2180 (original coordinates are used when present)
+ *
+ * @param {{lat: number, lng: number, x?: number, y?: number}} point - WGS84 coordinates
+ * @returns {{x: number, y: number}} Planar coordinates (m)
+ */
+export function toPlanar({ lat, lng, x, y }) {
+  return x === undefined ? coordinateTransformer.fromWGS84(lat, lng) : { x, y };
+}
+
+/**
+ * Convert EPSG:2180 point to WGS84
+ *
+ * @param {{x: number, y: number}} point - Planar coordinates (m)
+ * @returns {{lat: number, lng: number}} WGS84 coordinates
+ */
+export function toGeographic({ x, y }) {
+  return coordinateTransformer.toWGS84(x, y);
+}
+
+/**
+ * Convert geometry in parseWkt format to planar polygons
+ *
+ * @param {{type: string, coordinates: Array}} geometry - Geometry (WGS84)
+ * @returns {Array<Array<Array<{x: number, y: number}>>>} Polygons, each a list of rings (outer first)
+ */
+export function toPlanarPolygons(geometry) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  return polygons.map((rings) => rings.map((ring) => ring.map(toPlanar)));
+}
+
+/**
+ * Check if point lies inside a ring (ray casting)
+ *
+ * @param {{x: number, y: number}} point - Planar point
+ * @param {Array<{x: number, y: number}>} ring - Closed or open ring
+ * @returns {boolean} True when inside
+ */
+export function isPointInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+
+    if (
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check if point lies inside planar polygons (holes excluded)
+ *
+ * @param {{x: number, y: number}} point - Planar point
+ * @param {Array<Array<Array<{x: number, y: number}>>>} polygons - Result of toPlanarPolygons
+ * @returns {boolean} True when inside any polygon
+ */
+export function isPointInPolygons(point, polygons) {
+  return polygons.some(
+    ([outerRing, ...holes]) =>
+      isPointInRing(point, outerRing) &&
+      !holes.some((hole) => isPointInRing(point, hole))
+  );
+}
+
+/**
+ * Shortest distance from point to a segment
+ *
+ * @param {{x: number, y: number}} point - Planar point
+ * @param {{x: number, y: number}} a - Segment start
+ * @param {{x: number, y: number}} b - Segment end
+ * @returns {number} Distance (m)
+ */
+export function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared
+          )
+        );
+
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Shortest distance from point to a polyline
+ *
+ * @param {{x: number, y: number}} point - Planar point
+ * @param {Array<{x: number, y: number}>} line - Polyline vertices
+ * @returns {number} Distance (m)
+ */
+export function distanceToPolyline(point, line) {
+  if (line.length === 1) {
+    return Math.hypot(point.x - line[0].x, point.y - line[0].y);
+  }
+
+  let minDistance = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    minDistance = Math.min(
+      minDistance,
+      distanceToSegment(point, line[i - 1], line[i])
+    );
+  }
+
+  return minDistance;
+}
+
+/**
+ * Bounding box of planar points
+ *
+ * @param {Array<{x: number, y: number}>} points - Planar points
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Bounds
+ */
+export function getPlanarBounds(points) {
+  return points.reduce(
+    (bounds, { x, y }) => ({
+      minX: Math.min(bounds.minX, x),
+      minY: Math.min(bounds.minY, y),
+      maxX: Math.max(bounds.maxX, x),
+      maxY: Math.max(bounds.maxY, y),
+    }),
+    { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+  );
+}
+
+/**
+ * Regular grid of points covering bounds (cell centres), row by row
+ *
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Planar bounds
+ * @param {number} spacing - Distance between points (m)
+ * @returns {Array<{x: number, y: number}>} Grid points
+ */
+export function generateGrid(bounds, spacing) {
+  const points = [];
+
+  for (let y = bounds.minY + spacing / 2; y < bounds.maxY; y += spacing) {
+    for (let x = bounds.minX + spacing / 2; x < bounds.maxX; x += spacing) {
+      points.push({ x, y });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Centre of mass of polygons (holes subtracted)
+ * May lie outside a concave or multipart shape - see getInteriorPoint for labels.
+ *
+ * @param {Array<Array<Array<{x: number, y: number}>>>} polygons - Planar polygons (outer ring first)
+ * @returns {{x: number, y: number}} Centroid
+ */
+export function getCentroid(polygons) {
+  // Relative to the first vertex, so large coordinates do not lose precision
+  const origin = polygons[0][0][0];
+  let area = 0;
+  let x = 0;
+  let y = 0;
+
+  polygons.forEach((rings) => {
+    rings.forEach((ring, index) => {
+      let ringArea = 0;
+      let ringX = 0;
+      let ringY = 0;
+
+      for (let i = 0; i < ring.length; i++) {
+        const a = { x: ring[i].x - origin.x, y: ring[i].y - origin.y };
+        const next = ring[(i + 1) % ring.length];
+        const b = { x: next.x - origin.x, y: next.y - origin.y };
+        const cross = a.x * b.y - b.x * a.y;
+        ringArea += cross;
+        ringX += (a.x + b.x) * cross;
+        ringY += (a.y + b.y) * cross;
+      }
+
+      // Orientation of rings is not guaranteed - holes are subtracted by index
+      const sign = Math.sign(ringArea) * (index === 0 ? 1 : -1);
+      area += (sign * ringArea) / 2;
+      x += (sign * ringX) / 6;
+      y += (sign * ringY) / 6;
+    });
+  });
+
+  if (area === 0) return { x: origin.x, y: origin.y };
+  return { x: origin.x + x / area, y: origin.y + y / area };
+}
+
+/**
+ * Point inside polygons suitable for a label
+ * Middle of the widest interior section of a few horizontal lines across the
+ * largest polygon, so it never falls into a hole or outside a concave shape.
+ *
+ * @param {Array<Array<Array<{x: number, y: number}>>>} polygons - Planar polygons (outer ring first)
+ * @returns {{x: number, y: number}} Interior point
+ */
+export function getInteriorPoint(polygons) {
+  const [rings] = polygons
+    .map((polygon) => ({ polygon, bounds: getPlanarBounds(polygon[0]) }))
+    .sort(
+      (a, b) =>
+        (b.bounds.maxX - b.bounds.minX) * (b.bounds.maxY - b.bounds.minY) -
+        (a.bounds.maxX - a.bounds.minX) * (a.bounds.maxY - a.bounds.minY)
+    )
+    .map(({ polygon }) => polygon);
+  const { minY, maxY } = getPlanarBounds(rings[0]);
+  let best = { width: 0, point: rings[0][0] };
+
+  [0.5, 0.25, 0.75, 0.125, 0.375, 0.625, 0.875].forEach((fraction) => {
+    const y = minY + (maxY - minY) * fraction;
+    const crossings = rings
+      .flatMap((ring) =>
+        ring.slice(1).map((b, i) => {
+          const a = ring[i];
+          if (a.y > y === b.y > y) return null;
+          return a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x);
+        })
+      )
+      .filter((x) => x !== null)
+      .sort((a, b) => a - b);
+
+    // Even-odd rule - every second section lies inside
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const width = crossings[i + 1] - crossings[i];
+      if (width > best.width) {
+        best = { width, point: { x: crossings[i] + width / 2, y } };
+      }
+    }
+  });
+
+  return { x: best.point.x, y: best.point.y };
+}
+
+/**
+ * Get the polygon-clipping global (loaded from CDN)
+ *
+ * @returns {Object} polygon-clipping library (union, intersection, difference)
+ * @throws {Error} If the library is not loaded
+ */
+export function getPolygonClipping() {
+  if (typeof window.polygonClipping === "undefined") {
+    throw new Error("polygon-clipping library not loaded");
+  }
+  return window.polygonClipping;
+}
+
+export default {
+  isSameGeometry,
+  toPlanar,
+  toGeographic,
+  toPlanarPolygons,
+  isPointInRing,
+  isPointInPolygons,
+  distanceToSegment,
+  distanceToPolyline,
+  getPlanarBounds,
+  generateGrid,
+  getCentroid,
+  getInteriorPoint,
+  getPolygonClipping,
+};
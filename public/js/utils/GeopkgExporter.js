@@ -3,34 +3,36 @@
  *
  * @description Creates valid GeoPackage (SQLite) files with geometry data.
  * Uses sql.js library for SQLite generation in browser.
- * Geometry is stored in GeoPackage Binary (GPB) format per OGC spec.
+ * Geometry is stored in GeoPackage Binary (GPB) format per OGC spec,
+ * in WGS84 or in the national EPSG:2180 system.
  */
 
-// SQL.js WASM URL
-const SQL_WASM_URL =
-  "https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.wasm";
-
-let SQL = null;
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import {
+  PARCEL_PROPERTIES,
+  OUTLINE_PROPERTIES,
+  groupParcelsByObjectType,
+} from "./ParcelProperties.js";
+import { loadSqlJs } from "./SqlJsLoader.js";
+
+// WKB geometry type codes (2D)
+const WkbType = Object.freeze({
+  POINT: 1,
+  POLYGON: 3,
+  MULTIPOLYGON: 6,
+});
 
 /**
- * Initialize SQL.js library
+ * Get export coordinate system definition
  * @private
  */
-async function initSqlJs() {
-  if (SQL) return SQL;
-
-  if (
-    typeof initSqlJs === "undefined" &&
-    typeof window.initSqlJs === "undefined"
-  ) {
-    throw new Error("sql.js library not loaded");
+function getCrsDefinition(srsId) {
+  const definition = CONFIG.COORDINATE_SYSTEMS[srsId];
+  if (!definition) {
+    throw new Error(`Unsupported export coordinate system: EPSG:${srsId}`);
   }
-
-  SQL = await window.initSqlJs({
-    locateFile: () => SQL_WASM_URL,
-  });
-
-  return SQL;
+  return definition;
 }
 
 /**
@@ -84,39 +86,40 @@ function createGpbHeader(srsId, envelope) {
  * Create WKB (Well-Known Binary) for a Point
  * @private
  */
-function pointToWkb(lng, lat) {
+function pointToWkb([x, y]) {
   // WKB Point: 1 byte order + 4 bytes type + 8 bytes X + 8 bytes Y = 21 bytes
   const buffer = new ArrayBuffer(21);
   const view = new DataView(buffer);
 
   view.setUint8(0, 1); // Little-endian
-  view.setUint32(1, 1, true); // Point type = 1
-  view.setFloat64(5, lng, true); // X coordinate
-  view.setFloat64(13, lat, true); // Y coordinate
+  view.setUint32(1, WkbType.POINT, true);
+  view.setFloat64(5, x, true); // X coordinate
+  view.setFloat64(13, y, true); // Y coordinate
 
   return new Uint8Array(buffer);
 }
 
 /**
- * Create WKB for a Polygon
+ * Calculate WKB size of a Polygon
  * @private
  */
-function polygonToWkb(rings) {
-  // Calculate total size
+function getPolygonWkbSize(rings) {
   // 1 byte order + 4 bytes type + 4 bytes numRings
   // For each ring: 4 bytes numPoints + (numPoints * 16 bytes for XY)
-  let totalSize = 9;
-  rings.forEach((ring) => {
-    totalSize += 4 + ring.length * 16;
-  });
-
-  const buffer = new ArrayBuffer(totalSize);
-  const view = new DataView(buffer);
-  let offset = 0;
+  return rings.reduce((size, ring) => size + 4 + ring.length * 16, 9);
+}
 
+/**
+ * Write WKB Polygon into view at offset, return offset after it
+ * @private
+ * @param {DataView} view - Target buffer view
+ * @param {number} offset - Start offset
+ * @param {Array<Array<Array<number>>>} rings - Rings of projected [x, y] positions
+ */
+function writePolygonWkb(view, offset, rings) {
   view.setUint8(offset, 1); // Little-endian
   offset += 1;
-  view.setUint32(offset, 3, true); // Polygon type = 3
+  view.setUint32(offset, WkbType.POLYGON, true);
   offset += 4;
   view.setUint32(offset, rings.length, true); // Number of rings
   offset += 4;
@@ -125,25 +128,53 @@ function polygonToWkb(rings) {
     view.setUint32(offset, ring.length, true); // Number of points
     offset += 4;
 
-    ring.forEach((coord) => {
-      view.setFloat64(offset, coord.lng, true); // X
+    ring.forEach(([x, y]) => {
+      view.setFloat64(offset, x, true);
       offset += 8;
-      view.setFloat64(offset, coord.lat, true); // Y
+      view.setFloat64(offset, y, true);
       offset += 8;
     });
   });
 
-  return new Uint8Array(buffer);
+  return offset;
 }
 
 /**
- * Create GeoPackage Binary geometry for a Point
+ * Create WKB for a Polygon or MultiPolygon (list of polygons)
+ * @private
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Polygons of projected rings
+ * @param {boolean} asMulti - Write MultiPolygon even for a single polygon
+ */
+function polygonsToWkb(polygons, asMulti) {
+  if (!asMulti) {
+    const rings = polygons[0];
+    const view = new DataView(new ArrayBuffer(getPolygonWkbSize(rings)));
+    writePolygonWkb(view, 0, rings);
+    return new Uint8Array(view.buffer);
+  }
+
+  // 1 byte order + 4 bytes type + 4 bytes numPolygons + polygons
+  const totalSize = polygons.reduce(
+    (size, rings) => size + getPolygonWkbSize(rings),
+    9
+  );
+  const view = new DataView(new ArrayBuffer(totalSize));
+
+  view.setUint8(0, 1); // Little-endian
+  view.setUint32(1, WkbType.MULTIPOLYGON, true);
+  view.setUint32(5, polygons.length, true);
+
+  polygons.reduce((offset, rings) => writePolygonWkb(view, offset, rings), 9);
+
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Join GPB header and WKB body
  * @private
  */
-function createPointGpb(lng, lat, srsId = 4326) {
-  const envelope = { minX: lng, maxX: lng, minY: lat, maxY: lat };
+function createGpb(srsId, envelope, wkb) {
   const header = createGpbHeader(srsId, envelope);
-  const wkb = pointToWkb(lng, lat);
 
   const gpb = new Uint8Array(header.length + wkb.length);
   gpb.set(header, 0);
@@ -153,46 +184,78 @@ function createPointGpb(lng, lat, srsId = 4326) {
 }
 
 /**
- * Create GeoPackage Binary geometry for a Polygon
+ * Create GeoPackage Binary geometry for a Point
  * @private
+ * @param {Array<number>} position - Projected [x, y]
  */
-function createPolygonGpb(rings, srsId = 4326) {
-  // Calculate envelope
-  let minX = Infinity,
-    minY = Infinity,
-    maxX = -Infinity,
-    maxY = -Infinity;
-  rings.forEach((ring) => {
-    ring.forEach((coord) => {
-      if (coord.lng < minX) minX = coord.lng;
-      if (coord.lng > maxX) maxX = coord.lng;
-      if (coord.lat < minY) minY = coord.lat;
-      if (coord.lat > maxY) maxY = coord.lat;
-    });
-  });
+function createPointGpb(position, srsId = CoordinateSystem.WGS84) {
+  const envelope = extendBounds(createEmptyBounds(), [position]);
+  return createGpb(srsId, envelope, pointToWkb(position));
+}
 
-  const envelope = { minX, maxX, minY, maxY };
-  const header = createGpbHeader(srsId, envelope);
-  const wkb = polygonToWkb(rings);
+/**
+ * Create GeoPackage Binary geometry for a Polygon or MultiPolygon
+ * @private
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Polygons of projected rings
+ * @param {boolean} asMulti - Write MultiPolygon even for a single polygon
+ */
+function createPolygonGpb(
+  polygons,
+  srsId = CoordinateSystem.WGS84,
+  asMulti = false
+) {
+  const envelope = extendBounds(createEmptyBounds(), polygons.flat(2));
+  return createGpb(srsId, envelope, polygonsToWkb(polygons, asMulti));
+}
 
-  const gpb = new Uint8Array(header.length + wkb.length);
-  gpb.set(header, 0);
-  gpb.set(wkb, header.length);
+/**
+ * Project parcel geometry to list of polygons of [x, y] rings
+ * (POLYGON gives one polygon, MULTIPOLYGON all of its parts)
+ * @private
+ */
+function projectGeometry(geometry, srsId) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  return polygons.map((rings) =>
+    rings.map((ring) =>
+      ring.map((coord) => coordinateTransformer.project(coord, srsId))
+    )
+  );
+}
 
-  return gpb;
+/**
+ * Empty bounding box for extendBounds
+ * @private
+ */
+function createEmptyBounds() {
+  return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
 }
 
 /**
- * Create GeoPackage database with parcels (polygons)
- *
- * @param {Array<{id: string, geometry: Object}>} parcels - Array of parcel objects
- * @returns {Promise<Uint8Array>} GeoPackage file as binary data
+ * Extend bounding box with projected positions
+ * @private
  */
-export async function generatePolygonsGpkg(parcels) {
-  const SqlJs = await initSqlJs();
-  const db = new SqlJs.Database();
+function extendBounds(bounds, positions) {
+  positions.forEach(([x, y]) => {
+    if (x < bounds.minX) bounds.minX = x;
+    if (x > bounds.maxX) bounds.maxX = x;
+    if (y < bounds.minY) bounds.minY = y;
+    if (y > bounds.maxY) bounds.maxY = y;
+  });
+  return bounds;
+}
 
-  // Create GeoPackage tables (minimal spec compliance)
+/**
+ * Create GeoPackage core tables and register coordinate systems
+ * WGS 84 is always registered, as recommended by the GeoPackage spec.
+ * @private
+ * @param {Object} db - sql.js database
+ * @param {number} srsId - CoordinateSystem enum value used by feature tables
+ */
+function createCoreTables(db, srsId) {
   db.run(`
     CREATE TABLE gpkg_spatial_ref_sys (
       srs_name TEXT NOT NULL,
@@ -204,12 +267,16 @@ export async function generatePolygonsGpkg(parcels) {
     );
   `);
 
-  db.run(`
-    INSERT INTO gpkg_spatial_ref_sys VALUES 
-    ('WGS 84', 4326, 'EPSG', 4326, 
-     'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]',
-     'WGS 84 geodetic');
-  `);
+  [...new Set([CoordinateSystem.WGS84, srsId])].forEach((id) => {
+    const { srsName, definition, description } = getCrsDefinition(id);
+    db.run("INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, 'EPSG', ?, ?, ?)", [
+      srsName,
+      id,
+      id,
+      definition,
+      description,
+    ]);
+  });
 
   db.run(`
     CREATE TABLE gpkg_contents (
@@ -240,167 +307,166 @@ export async function generatePolygonsGpkg(parcels) {
       CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
     );
   `);
+}
 
-  // Create parcels table with BLOB geometry column
+/**
+ * Register feature table in gpkg_contents and gpkg_geometry_columns
+ * @private
+ */
+function registerFeatureTable(db, table) {
+  const { name, description, geometryType, srsId, bounds, timestamp } = table;
+
+  db.run(
+    "INSERT INTO gpkg_contents VALUES (?, 'features', ?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      name,
+      name,
+      description,
+      timestamp,
+      bounds.minX,
+      bounds.minY,
+      bounds.maxX,
+      bounds.maxY,
+      srsId,
+    ]
+  );
+
+  db.run("INSERT INTO gpkg_geometry_columns VALUES (?, 'geom', ?, ?, 0, 0)", [
+    name,
+    geometryType,
+    srsId,
+  ]);
+}
+
+/**
+ * Create and fill boundary points table
+ * @private
+ */
+function addPointsLayer(db, parcels, srsId, timestamp) {
   db.run(`
-    CREATE TABLE parcels (
+    CREATE TABLE points (
       fid INTEGER PRIMARY KEY AUTOINCREMENT,
       parcel_id TEXT NOT NULL,
+      point_index INTEGER NOT NULL,
       geom BLOB
     );
   `);
 
-  // Calculate bounds
-  let minX = Infinity,
-    minY = Infinity,
-    maxX = -Infinity,
-    maxY = -Infinity;
+  const bounds = createEmptyBounds();
 
-  // Insert parcels with binary geometry
   parcels.forEach((parcel) => {
-    const rings = parcel.geometry.coordinates;
-    const gpb = createPolygonGpb(rings);
+    parcel.vertices.forEach((vertex, index) => {
+      const position = coordinateTransformer.project(vertex, srsId);
 
-    db.run("INSERT INTO parcels (parcel_id, geom) VALUES (?, ?)", [
-      parcel.id,
-      gpb,
-    ]);
+      db.run(
+        "INSERT INTO points (parcel_id, point_index, geom) VALUES (?, ?, ?)",
+        [parcel.id, index + 1, createPointGpb(position, srsId)]
+      );
 
-    // Update bounds
-    rings.forEach((ring) => {
-      ring.forEach((coord) => {
-        if (coord.lng < minX) minX = coord.lng;
-        if (coord.lng > maxX) maxX = coord.lng;
-        if (coord.lat < minY) minY = coord.lat;
-        if (coord.lat > maxY) maxY = coord.lat;
-      });
+      extendBounds(bounds, [position]);
     });
   });
 
-  // Register in gpkg_contents
-  const timestamp = new Date().toISOString();
-  db.run(`
-    INSERT INTO gpkg_contents VALUES 
-    ('parcels', 'features', 'parcels', 'Działki ewidencyjne', '${timestamp}', 
-     ${minX}, ${minY}, ${maxX}, ${maxY}, 4326);
-  `);
-
-  db.run(`
-    INSERT INTO gpkg_geometry_columns VALUES 
-    ('parcels', 'geom', 'POLYGON', 4326, 0, 0);
-  `);
+  registerFeatureTable(db, {
+    name: "points",
+    description: "Punkty graniczne działek",
+    geometryType: "POINT",
+    srsId,
+    bounds,
+    timestamp,
+  });
+}
 
-  const data = db.export();
-  db.close();
+/**
+ * Build column definitions for parcel attributes (parcel_id, voivodeship, ...)
+ * @private
+ * @param {ReadonlyArray<Object>} definitions - Attribute definitions
+ */
+function getPropertyColumnsSql(definitions = PARCEL_PROPERTIES) {
+  return definitions
+    .map(({ key, type }) => `${key} ${type}`)
+    .join(",\n        ");
+}
 
-  return data;
+/**
+ * Build INSERT statement for parcel attributes followed by geometry
+ * @private
+ * @param {string} tableName - Target feature table
+ * @param {ReadonlyArray<Object>} definitions - Attribute definitions
+ */
+function getPropertyInsertSql(tableName, definitions = PARCEL_PROPERTIES) {
+  const columns = [...definitions.map(({ key }) => key), "geom"];
+  const placeholders = columns.map(() => "?").join(", ");
+  return `INSERT INTO ${tableName} (${columns.join(
+    ", "
+  )}) VALUES (${placeholders})`;
 }
 
 /**
- * Create GeoPackage database with parcels (points)
+ * Create GeoPackage database with parcels (polygons)
  *
- * @param {Array<{id: string, vertices: Array}>} parcels - Array of parcel objects with vertices
+ * @param {Array<{id: string, geometry: Object}>} parcels - Array of parcel objects
  * @returns {Promise<Uint8Array>} GeoPackage file as binary data
  */
-export async function generatePointsGpkg(parcels) {
-  const SqlJs = await initSqlJs();
+export async function generatePolygonsGpkg(parcels) {
+  const SqlJs = await loadSqlJs();
   const db = new SqlJs.Database();
+  const srsId = CoordinateSystem.WGS84;
 
-  // Create GeoPackage tables
-  db.run(`
-    CREATE TABLE gpkg_spatial_ref_sys (
-      srs_name TEXT NOT NULL,
-      srs_id INTEGER NOT NULL PRIMARY KEY,
-      organization TEXT NOT NULL,
-      organization_coordsys_id INTEGER NOT NULL,
-      definition TEXT NOT NULL,
-      description TEXT
-    );
-  `);
-
-  db.run(`
-    INSERT INTO gpkg_spatial_ref_sys VALUES 
-    ('WGS 84', 4326, 'EPSG', 4326, 
-     'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]',
-     'WGS 84 geodetic');
-  `);
-
-  db.run(`
-    CREATE TABLE gpkg_contents (
-      table_name TEXT NOT NULL PRIMARY KEY,
-      data_type TEXT NOT NULL,
-      identifier TEXT UNIQUE,
-      description TEXT DEFAULT '',
-      last_change TEXT NOT NULL,
-      min_x DOUBLE,
-      min_y DOUBLE,
-      max_x DOUBLE,
-      max_y DOUBLE,
-      srs_id INTEGER,
-      CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
-    );
-  `);
-
-  db.run(`
-    CREATE TABLE gpkg_geometry_columns (
-      table_name TEXT NOT NULL,
-      column_name TEXT NOT NULL,
-      geometry_type_name TEXT NOT NULL,
-      srs_id INTEGER NOT NULL,
-      z INTEGER NOT NULL,
-      m INTEGER NOT NULL,
-      CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
-      CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
-      CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
-    );
-  `);
+  // Create GeoPackage tables (minimal spec compliance)
+  createCoreTables(db, srsId);
 
-  // Create points table with BLOB geometry column
+  // Create parcels table with BLOB geometry column
   db.run(`
-    CREATE TABLE points (
+    CREATE TABLE parcels (
       fid INTEGER PRIMARY KEY AUTOINCREMENT,
       parcel_id TEXT NOT NULL,
-      point_index INTEGER NOT NULL,
       geom BLOB
     );
   `);
 
-  // Calculate bounds
-  let minX = Infinity,
-    minY = Infinity,
-    maxX = -Infinity,
-    maxY = -Infinity;
+  const hasMultiPolygons = parcels.some(isMultiPolygon);
+  const bounds = createEmptyBounds();
 
-  // Insert points with binary geometry
+  // Insert parcels with binary geometry
   parcels.forEach((parcel) => {
-    parcel.vertices.forEach((vertex, index) => {
-      const gpb = createPointGpb(vertex.lng, vertex.lat);
+    const polygons = projectGeometry(parcel.geometry, srsId);
 
-      db.run(
-        "INSERT INTO points (parcel_id, point_index, geom) VALUES (?, ?, ?)",
-        [parcel.id, index + 1, gpb]
-      );
+    db.run("INSERT INTO parcels (parcel_id, geom) VALUES (?, ?)", [
+      parcel.id,
+      createPolygonGpb(polygons, srsId, hasMultiPolygons),
+    ]);
 
-      // Update bounds
-      if (vertex.lng < minX) minX = vertex.lng;
-      if (vertex.lng > maxX) maxX = vertex.lng;
-      if (vertex.lat < minY) minY = vertex.lat;
-      if (vertex.lat > maxY) maxY = vertex.lat;
-    });
+    extendBounds(bounds, polygons.flat(2));
   });
 
-  // Register in gpkg_contents
-  const timestamp = new Date().toISOString();
-  db.run(`
-    INSERT INTO gpkg_contents VALUES 
-    ('points', 'features', 'points', 'Punkty graniczne działek', '${timestamp}', 
-     ${minX}, ${minY}, ${maxX}, ${maxY}, 4326);
-  `);
+  registerFeatureTable(db, {
+    name: "parcels",
+    description: "Działki ewidencyjne",
+    geometryType: hasMultiPolygons ? "MULTIPOLYGON" : "POLYGON",
+    srsId,
+    bounds,
+    timestamp: new Date().toISOString(),
+  });
 
-  db.run(`
-    INSERT INTO gpkg_geometry_columns VALUES 
-    ('points', 'geom', 'POINT', 4326, 0, 0);
-  `);
+  const data = db.export();
+  db.close();
+
+  return data;
+}
+
+/**
+ * Create GeoPackage database with parcels (points)
+ *
+ * @param {Array<{id: string, vertices: Array}>} parcels - Array of parcel objects with vertices
+ * @returns {Promise<Uint8Array>} GeoPackage file as binary data
+ */
+export async function generatePointsGpkg(parcels) {
+  const SqlJs = await loadSqlJs();
+  const db = new SqlJs.Database();
+
+  createCoreTables(db, CoordinateSystem.WGS84);
+  addPointsLayer(db, parcels, CoordinateSystem.WGS84, new Date().toISOString());
 
   const data = db.export();
   db.close();
@@ -426,159 +492,127 @@ export async function downloadPolygonsGpkg(parcels) {
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own table
  * @returns {Promise<Uint8Array>} GeoPackage file as binary data
  */
 export async function generateGpkgWithLayers(parcels, options) {
-  const { includePolygons = false, includePoints = false } = options;
-
-  const SqlJs = await initSqlJs();
+  const {
+    includePolygons = false,
+    includePoints = false,
+    crs = CoordinateSystem.WGS84,
+    outline = null,
+  } = options;
+
+  const SqlJs = await loadSqlJs();
   const db = new SqlJs.Database();
 
   // Create GeoPackage core tables
-  db.run(`
-    CREATE TABLE gpkg_spatial_ref_sys (
-      srs_name TEXT NOT NULL,
-      srs_id INTEGER NOT NULL PRIMARY KEY,
-      organization TEXT NOT NULL,
-      organization_coordsys_id INTEGER NOT NULL,
-      definition TEXT NOT NULL,
-      description TEXT
-    );
-  `);
-
-  db.run(`
-    INSERT INTO gpkg_spatial_ref_sys VALUES 
-    ('WGS 84', 4326, 'EPSG', 4326, 
-     'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]',
-     'WGS 84 geodetic');
-  `);
-
-  db.run(`
-    CREATE TABLE gpkg_contents (
-      table_name TEXT NOT NULL PRIMARY KEY,
-      data_type TEXT NOT NULL,
-      identifier TEXT UNIQUE,
-      description TEXT DEFAULT '',
-      last_change TEXT NOT NULL,
-      min_x DOUBLE,
-      min_y DOUBLE,
-      max_x DOUBLE,
-      max_y DOUBLE,
-      srs_id INTEGER,
-      CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
-    );
-  `);
-
-  db.run(`
-    CREATE TABLE gpkg_geometry_columns (
-      table_name TEXT NOT NULL,
-      column_name TEXT NOT NULL,
-      geometry_type_name TEXT NOT NULL,
-      srs_id INTEGER NOT NULL,
-      z INTEGER NOT NULL,
-      m INTEGER NOT NULL,
-      CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
-      CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
-      CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
-    );
-  `);
+  createCoreTables(db, crs);
 
   const timestamp = new Date().toISOString();
 
-  // Add polygons layer if requested
+  // Add polygon layers if requested - one table per object type
   if (includePolygons) {
-    db.run(`
-      CREATE TABLE polygons (
-        fid INTEGER PRIMARY KEY AUTOINCREMENT,
-        parcel_id TEXT NOT NULL,
-        geom BLOB
-      );
-    `);
-
-    let minX = Infinity,
-      minY = Infinity,
-      maxX = -Infinity,
-      maxY = -Infinity;
-
-    parcels.forEach((parcel) => {
-      const rings = parcel.geometry.coordinates;
-      const gpb = createPolygonGpb(rings);
-
-      db.run("INSERT INTO polygons (parcel_id, geom) VALUES (?, ?)", [
-        parcel.id,
-        gpb,
-      ]);
-
-      rings.forEach((ring) => {
-        ring.forEach((coord) => {
-          if (coord.lng < minX) minX = coord.lng;
-          if (coord.lng > maxX) maxX = coord.lng;
-          if (coord.lat < minY) minY = coord.lat;
-          if (coord.lat > maxY) maxY = coord.lat;
-        });
-      });
-    });
-
-    db.run(`
-      INSERT INTO gpkg_contents VALUES 
-      ('polygons', 'features', 'polygons', 'Obrysy działek', '${timestamp}', 
-       ${minX}, ${minY}, ${maxX}, ${maxY}, 4326);
-    `);
-
-    db.run(`
-      INSERT INTO gpkg_geometry_columns VALUES 
-      ('polygons', 'geom', 'POLYGON', 4326, 0, 0);
-    `);
+    groupParcelsByObjectType(parcels).forEach(
+      ({ definition, parcels: layerParcels }) => {
+        addPolygonLayer(
+          db,
+          definition.layerKey,
+          definition.layerName,
+          layerParcels,
+          crs,
+          timestamp
+        );
+      }
+    );
   }
 
   // Add points layer if requested
   if (includePoints) {
-    db.run(`
-      CREATE TABLE points (
-        fid INTEGER PRIMARY KEY AUTOINCREMENT,
-        parcel_id TEXT NOT NULL,
-        point_index INTEGER NOT NULL,
-        geom BLOB
-      );
-    `);
+    addPointsLayer(db, parcels, crs, timestamp);
+  }
 
-    let minX = Infinity,
-      minY = Infinity,
-      maxX = -Infinity,
-      maxY = -Infinity;
+  // Add dissolved outline as its own table
+  if (outline) {
+    addPolygonLayer(
+      db,
+      CONFIG.DISSOLVE.LAYER_KEY,
+      CONFIG.DISSOLVE.LAYER_NAME,
+      [outline],
+      crs,
+      timestamp,
+      OUTLINE_PROPERTIES
+    );
+  }
 
-    parcels.forEach((parcel) => {
-      parcel.vertices.forEach((vertex, index) => {
-        const gpb = createPointGpb(vertex.lng, vertex.lat);
+  const data = db.export();
+  db.close();
 
-        db.run(
-          "INSERT INTO points (parcel_id, point_index, geom) VALUES (?, ?, ?)",
-          [parcel.id, index + 1, gpb]
-        );
+  return data;
+}
 
-        if (vertex.lng < minX) minX = vertex.lng;
-        if (vertex.lng > maxX) maxX = vertex.lng;
-        if (vertex.lat < minY) minY = vertex.lat;
-        if (vertex.lat > maxY) maxY = vertex.lat;
-      });
-    });
+/**
+ * Create and fill a polygon feature table registered in gpkg_contents
+ * Layers containing multipart objects are written as MULTIPOLYGON.
+ * @private
+ * @param {Object} db - sql.js database
+ * @param {string} tableName - Feature table name (e.g. "polygons", "buildings")
+ * @param {string} description - Layer description
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels of this layer
+ * @param {number} srsId - CoordinateSystem enum value
+ * @param {string} timestamp - ISO timestamp for last_change
+ * @param {ReadonlyArray<Object>} definitions - Attribute definitions (parcel attributes by default)
+ */
+function addPolygonLayer(
+  db,
+  tableName,
+  description,
+  parcels,
+  srsId,
+  timestamp,
+  definitions = PARCEL_PROPERTIES
+) {
+  db.run(`
+    CREATE TABLE ${tableName} (
+      fid INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${getPropertyColumnsSql(definitions)},
+      geom BLOB
+    );
+  `);
 
-    db.run(`
-      INSERT INTO gpkg_contents VALUES 
-      ('points', 'features', 'points', 'Punkty graniczne działek', '${timestamp}', 
-       ${minX}, ${minY}, ${maxX}, ${maxY}, 4326);
-    `);
+  const insertSql = getPropertyInsertSql(tableName, definitions);
+  const hasMultiPolygons = parcels.some(isMultiPolygon);
+  const bounds = createEmptyBounds();
 
-    db.run(`
-      INSERT INTO gpkg_geometry_columns VALUES 
-      ('points', 'geom', 'POINT', 4326, 0, 0);
-    `);
-  }
+  parcels.forEach((parcel) => {
+    const polygons = projectGeometry(parcel.geometry, srsId);
+    const gpb = createPolygonGpb(polygons, srsId, hasMultiPolygons);
 
-  const data = db.export();
-  db.close();
+    db.run(insertSql, [
+      ...definitions.map(({ getValue }) => getValue(parcel) ?? null),
+      gpb,
+    ]);
 
-  return data;
+    extendBounds(bounds, polygons.flat(2));
+  });
+
+  registerFeatureTable(db, {
+    name: tableName,
+    description,
+    geometryType: hasMultiPolygons ? "MULTIPOLYGON" : "POLYGON",
+    srsId,
+    bounds,
+    timestamp,
+  });
+}
+
+/**
+ * Check if parcel geometry is multipart
+ * @private
+ */
+function isMultiPolygon(parcel) {
+  return parcel.geometry.type === "MULTIPOLYGON";
 }
 
 /**
@@ -588,6 +622,8 @@ export async function generateGpkgWithLayers(parcels, options) {
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own table
  */
 export async function downloadGpkgWithLayers(parcels, options) {
   const gpkgData = await generateGpkgWithLayers(parcels, options);
@@ -0,0 +1,229 @@
+/**
+ * GeopkgImporter - Reads polygon features from GeoPackage files
+ *
+ * @description Counterpart of GeopkgExporter. Opens the file with sql.js,
+ * reads every polygon feature table registered in gpkg_geometry_columns and
+ * decodes GeoPackage Binary (GPB) geometries. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import { loadSqlJs } from "./SqlJsLoader.js";
+
+// Envelope sizes (bytes) by GPB envelope indicator (flags bits 1-3)
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+// WKB geometry type codes (2D)
+const WkbType = Object.freeze({
+  POLYGON: 3,
+  MULTIPOLYGON: 6,
+});
+
+/**
+ * Parse GeoPackage file
+ *
+ * @param {ArrayBuffer} buffer - GeoPackage file content
+ * @returns {Promise<Array<{properties: Object, geometry: Object}>>} Polygon features (ImportedFeature)
+ * @throws {Error} If the file is not a GeoPackage
+ */
+export async function parseGpkg(buffer) {
+  const SqlJs = await loadSqlJs();
+
+  let db;
+  try {
+    db = new SqlJs.Database(new Uint8Array(buffer));
+  } catch {
+    throw new Error("Plik nie jest poprawną bazą GeoPackage");
+  }
+
+  try {
+    return readGeometryColumns(db).flatMap((column) =>
+      readFeatureTable(db, column)
+    );
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * List polygon geometry columns of all feature tables
+ * @private
+ */
+function readGeometryColumns(db) {
+  let rows;
+  try {
+    rows = queryRows(
+      db,
+      "SELECT table_name, column_name, geometry_type_name, srs_id FROM gpkg_geometry_columns"
+    );
+  } catch {
+    throw new Error("Plik nie jest poprawną bazą GeoPackage");
+  }
+
+  return rows.filter((row) =>
+    ["POLYGON", "MULTIPOLYGON", "GEOMETRY"].includes(
+      String(row.geometry_type_name).toUpperCase()
+    )
+  );
+}
+
+/**
+ * Read all features of a table
+ * @private
+ */
+function readFeatureTable(db, { table_name, column_name, srs_id }) {
+  const toLatLng = getCoordinateConverter(srs_id);
+
+  return queryRows(db, `SELECT * FROM "${table_name}"`)
+    .map((row) => {
+      const { [column_name]: blob, ...properties } = row;
+      delete properties.fid;
+
+      return {
+        properties,
+        geometry: blob ? decodeGpb(blob, toLatLng) : null,
+      };
+    })
+    .filter((feature) => feature.geometry !== null);
+}
+
+/**
+ * Run query and return rows as objects
+ * @private
+ */
+function queryRows(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+
+  return result.values.map((values) =>
+    Object.fromEntries(
+      result.columns.map((column, index) => [column, values[index]])
+    )
+  );
+}
+
+/**
+ * Decode GeoPackage Binary geometry (header + WKB)
+ * @private
+ * @returns {Object|null} Geometry in parseWkt format, null for non-polygons
+ */
+function decodeGpb(blob, toLatLng) {
+  const view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+
+  // Magic number "GP"
+  if (view.getUint8(0) !== 0x47 || view.getUint8(1) !== 0x50) {
+    throw new Error("Nieprawidłowa geometria GeoPackage");
+  }
+
+  const flags = view.getUint8(3);
+  const envelopeType = (flags >> 1) & 0x07;
+  const wkbOffset = 8 + (ENVELOPE_SIZES[envelopeType] ?? 0);
+
+  return new WkbReader(view, wkbOffset, toLatLng).readGeometry();
+}
+
+/**
+ * Sequential reader of WKB geometries (ISO and EWKB dimension flags)
+ * @private
+ */
+class WkbReader {
+  constructor(view, offset, toLatLng) {
+    this._view = view;
+    this._offset = offset;
+    this._toLatLng = toLatLng;
+    this._littleEndian = true;
+    this._dimensions = 2;
+  }
+
+  readGeometry() {
+    const type = this._readHeader();
+
+    switch (type) {
+      case WkbType.POLYGON:
+        return { type: "POLYGON", coordinates: this._readPolygonBody() };
+      case WkbType.MULTIPOLYGON: {
+        const count = this._readUint32();
+        const polygons = [];
+        for (let i = 0; i < count; i++) {
+          this._readHeader();
+          polygons.push(this._readPolygonBody());
+        }
+        return { type: "MULTIPOLYGON", coordinates: polygons };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Read byte order and geometry type, return base 2D type code
+   */
+  _readHeader() {
+    this._littleEndian = this._view.getUint8(this._offset) === 1;
+    this._offset += 1;
+
+    const rawType = this._readUint32();
+    const hasZ = (rawType & 0x80000000) !== 0;
+    const hasM = (rawType & 0x40000000) !== 0;
+    const isoType = rawType & 0x0fffffff;
+    const isoDimensions = Math.floor(isoType / 1000);
+
+    // ISO: 1000 = Z, 2000 = M, 3000 = ZM
+    this._dimensions =
+      2 +
+      (hasZ || isoDimensions === 1 || isoDimensions === 3 ? 1 : 0) +
+      (hasM || isoDimensions === 2 || isoDimensions === 3 ? 1 : 0);
+
+    return isoType % 1000;
+  }
+
+  _readPolygonBody() {
+    const ringCount = this._readUint32();
+    const rings = [];
+
+    for (let i = 0; i < ringCount; i++) {
+      const pointCount = this._readUint32();
+      const ring = [];
+
+      for (let j = 0; j < pointCount; j++) {
+        const x = this._readFloat64();
+        const y = this._readFloat64();
+        // Skip Z/M values
+        this._offset += (this._dimensions - 2) * 8;
+        ring.push(this._toLatLng(x, y));
+      }
+
+      rings.push(ring);
+    }
+
+    return rings;
+  }
+
+  _readUint32() {
+    const value = this._view.getUint32(this._offset, this._littleEndian);
+    this._offset += 4;
+    return value;
+  }
+
+  _readFloat64() {
+    const value = this._view.getFloat64(this._offset, this._littleEndian);
+    this._offset += 8;
+    return value;
+  }
+}
+
+/**
+ * Pick coordinate conversion for layer SRS (any system of
+ * CONFIG.COORDINATE_SYSTEMS, EPSG:2180 originals kept)
+ * @private
+ */
+function getCoordinateConverter(srsId) {
+  const epsg = Number(srsId);
+  if (!CONFIG.COORDINATE_SYSTEMS[epsg]) {
+    throw new Error(`Nieobsługiwany układ współrzędnych: EPSG:${srsId}`);
+  }
+
+  return (x, y) => coordinateTransformer.unproject(x, y, epsg);
+}
+
+export default { parseGpkg };
@@ -0,0 +1,141 @@
+/**
+ * GpxExporter - Generates GPX files for handheld GPS receivers
+ *
+ * @description Creates GPX 1.1 documents for staking out in the field:
+ * boundary points as waypoints named "<id>-<n>" and outlines as tracks
+ * (one segment per ring). GPX coordinates are always WGS84.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { getObjectType } from "./ParcelProperties.js";
+
+/**
+ * Generate GPX document with layers based on visibility options
+ *
+ * @param {Array<{id: string, geometry: Object, vertices: Array}>} parcels - Array of parcel objects
+ * @param {Object} options - Export options
+ * @param {boolean} options.includePolygons - Whether to include outlines (tracks)
+ * @param {boolean} options.includePoints - Whether to include boundary points (waypoints)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own track
+ * @returns {string} GPX document as XML string
+ */
+export function generateGpxWithLayers(parcels, options) {
+  const {
+    includePolygons = false,
+    includePoints = false,
+    outline = null,
+  } = options;
+  const timestamp = new Date().toISOString();
+
+  // Waypoints must precede tracks (GPX 1.1 schema order)
+  const waypoints = includePoints
+    ? parcels
+        .flatMap((parcel) =>
+          parcel.vertices.map(
+            (vertex, index) => `
+  <wpt lat="${formatCoordinate(vertex.lat)}" lon="${formatCoordinate(
+              vertex.lng
+            )}">
+    <name>${escapeXml(`${parcel.id}-${index + 1}`)}</name>
+    <desc>${escapeXml(getTypeLabel(parcel))}: ${escapeXml(parcel.id)}, punkt ${
+              index + 1
+            }</desc>
+    <sym>${escapeXml(CONFIG.GPX.POINT_SYMBOL)}</sym>
+  </wpt>`
+          )
+        )
+        .join("")
+    : "";
+
+  const tracks = [
+    ...(includePolygons
+      ? parcels.map((parcel) =>
+          generateTrackGpx(parcel.id, getTypeLabel(parcel), parcel.geometry)
+        )
+      : []),
+    ...(outline
+      ? [
+          generateTrackGpx(
+            outline.id,
+            CONFIG.DISSOLVE.LAYER_NAME,
+            outline.geometry
+          ),
+        ]
+      : []),
+  ].join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${escapeXml(
+    CONFIG.GPX.CREATOR
+  )}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Działki (${parcels.length})</name>
+    <time>${timestamp}</time>
+  </metadata>${waypoints}${tracks}
+</gpx>
+`;
+}
+
+/**
+ * Track of an outline - one closed segment per ring (holes included)
+ * @private
+ */
+function generateTrackGpx(name, type, geometry) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  const segments = polygons
+    .flat()
+    .map(
+      (ring) => `
+    <trkseg>${ring
+      .map(
+        ({ lat, lng }) => `
+      <trkpt lat="${formatCoordinate(lat)}" lon="${formatCoordinate(lng)}"/>`
+      )
+      .join("")}
+    </trkseg>`
+    )
+    .join("");
+
+  return `
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <type>${escapeXml(type)}</type>${segments}
+  </trk>`;
+}
+
+/**
+ * Label of the object type of a list item
+ * @private
+ */
+function getTypeLabel(parcel) {
+  return CONFIG.OBJECT_TYPES[getObjectType(parcel)].label;
+}
+
+/**
+ * Latitude or longitude in degrees (about 1 mm precision)
+ * @private
+ */
+function formatCoordinate(value) {
+  return value.toFixed(8);
+}
+
+/**
+ * Escape XML special characters
+ * @private
+ */
+function escapeXml(str) {
+  if (!str) return "";
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export default { generateGpxWithLayers };
@@ -0,0 +1,60 @@
+/**
+ * JsPdfLoader - Lazy access to jsPDF and the report font
+ *
+ * @description jsPDF comes from the CDN script tag; the TrueType font with
+ * Polish letters is downloaded on the first report only and kept in memory.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Base64 font files by style, null when the download failed
+let fonts;
+
+/**
+ * Get jsPDF constructor and report fonts (fonts cached after the first call)
+ *
+ * @returns {Promise<{jsPDF: Function, fonts: ?{normal: string, bold: string}}>} jsPDF and base64 TTF files (null when unavailable)
+ * @throws {Error} If jsPDF script is not loaded
+ */
+export async function loadJsPdf() {
+  if (typeof window.jspdf === "undefined") {
+    throw new Error("jsPDF library not loaded");
+  }
+
+  if (fonts === undefined) {
+    try {
+      const [normal, bold] = await Promise.all([
+        fetchBase64(CONFIG.PDF_REPORT.FONT_URLS.normal),
+        fetchBase64(CONFIG.PDF_REPORT.FONT_URLS.bold),
+      ]);
+      fonts = { normal, bold };
+    } catch (error) {
+      console.warn("Report font unavailable, using standard font:", error);
+      fonts = null;
+    }
+  }
+
+  return { jsPDF: window.jspdf.jsPDF, fonts };
+}
+
+/**
+ * Download a binary file as base64 string
+ * @private
+ */
+async function fetchBase64(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${url}`);
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = "";
+  // Chunks keep String.fromCharCode within argument limits
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export default { loadJsPdf };
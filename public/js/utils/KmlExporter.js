@@ -2,9 +2,19 @@
  * KmlExporter - Generates KML files for parcel geometry export
  *
  * @description Creates valid KML documents with Placemark elements
- * for download. Follows Single Responsibility Principle.
+ * for download. KML geometry is always WGS84 (OGC KML 2.2), so coordinates
+ * in another export system are written to ExtendedData.
+ * Follows Single Responsibility Principle.
  */
 
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import {
+  PARCEL_PROPERTIES,
+  OUTLINE_PROPERTIES,
+  groupParcelsByObjectType,
+} from "./ParcelProperties.js";
+
 /**
  * Generate KML document with layers based on visibility options
  *
@@ -12,35 +22,71 @@
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own layer
  * @returns {string} KML document as XML string
  */
 export function generateKmlWithLayers(parcels, options) {
-  const { includePolygons = false, includePoints = false } = options;
+  const {
+    includePolygons = false,
+    includePoints = false,
+    crs = CoordinateSystem.WGS84,
+    outline = null,
+  } = options;
   const timestamp = new Date().toISOString();
   const parcelCount = parcels.length;
 
   let folders = "";
 
-  // Polygons folder
+  // Dissolved outline folder
+  if (outline) {
+    folders += `
+    <Folder>
+      <name>${escapeXml(CONFIG.DISSOLVE.LAYER_NAME)}</name>
+      <description>${escapeXml(CONFIG.DISSOLVE.LAYER_NAME)} (${
+      outline.parcelIds.length
+    } obiektów)</description>
+      <Placemark>
+        <name>${escapeXml(outline.id)}</name>
+        <styleUrl>#outlineStyle</styleUrl>
+        ${generateExtendedDataKml(outline, crs, OUTLINE_PROPERTIES)}
+        ${generateGeometryKml(
+          outline.geometry,
+          formatCoordinatesForKml(outline.geometry)
+        )}
+      </Placemark>
+    </Folder>`;
+  }
+
+  // Polygon folders - one per object type (parcels, buildings, regions, communes)
   if (includePolygons) {
-    const polygonPlacemarks = parcels
-      .map((parcel) => {
-        const coordinates = formatCoordinatesForKml(parcel.geometry);
-        return `
+    groupParcelsByObjectType(parcels).forEach(
+      ({ objectType, definition, parcels: layerParcels }) => {
+        const polygonPlacemarks = layerParcels
+          .map((parcel) => {
+            const coordinates = formatCoordinatesForKml(parcel.geometry);
+            return `
       <Placemark>
         <name>${escapeXml(parcel.id)}</name>
-        <description>Działka ewidencyjna: ${escapeXml(parcel.id)}</description>
-        <styleUrl>#parcelStyle</styleUrl>
+        <description>${escapeXml(definition.label)}: ${escapeXml(
+              parcel.id
+            )}</description>
+        <styleUrl>#${objectType}Style</styleUrl>
+        ${generateExtendedDataKml(parcel, crs)}
         ${generateGeometryKml(parcel.geometry, coordinates)}
       </Placemark>`;
-      })
-      .join("");
+          })
+          .join("");
 
-    folders += `
+        folders += `
     <Folder>
-      <name>Obrysy działek</name>
-      <description>Obrysy ${parcelCount} działek</description>${polygonPlacemarks}
+      <name>${escapeXml(definition.layerName)}</name>
+      <description>${escapeXml(definition.layerName)} (${
+          layerParcels.length
+        })</description>${polygonPlacemarks}
     </Folder>`;
+      }
+    );
   }
 
   // Points folder
@@ -54,7 +100,7 @@ export function generateKmlWithLayers(parcels, options) {
         <description>Działka: ${escapeXml(parcel.id)}, Punkt ${
             index + 1
           }</description>
-        <styleUrl>#pointStyle</styleUrl>
+        <styleUrl>#pointStyle</styleUrl>${generatePointDataKml(point, crs)}
         <Point>
           <coordinates>${point.lng},${point.lat},0</coordinates>
         </Point>
@@ -74,18 +120,7 @@ export function generateKmlWithLayers(parcels, options) {
 <kml xmlns="http://www.opengis.net/kml/2.2">
   <Document>
     <name>Działki (${parcelCount})</name>
-    <description>Eksport ${parcelCount} działek - wygenerowano: ${timestamp}</description>
-    <Style id="parcelStyle">
-      <LineStyle>
-        <color>ff2828c6</color>
-        <width>3</width>
-      </LineStyle>
-      <PolyStyle>
-        <color>4d2828c6</color>
-        <fill>1</fill>
-        <outline>1</outline>
-      </PolyStyle>
-    </Style>
+    <description>Eksport ${parcelCount} działek - wygenerowano: ${timestamp}</description>${generateObjectStylesKml()}
     <Style id="pointStyle">
       <IconStyle>
         <color>ff0065e6</color>
@@ -109,6 +144,8 @@ export function generateKmlWithLayers(parcels, options) {
  * @param {Object} options - Export options
  * @param {boolean} options.includePolygons - Whether to include polygon layer
  * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own layer
  */
 export function downloadKmlWithLayers(parcels, options) {
   const kmlContent = generateKmlWithLayers(parcels, options);
@@ -228,6 +265,120 @@ function formatCoordinatesForKml(geometry) {
   return [];
 }
 
+/**
+ * Generate polygon styles for every ULDK object type ("parcelStyle", "buildingStyle", ...)
+ * and the dissolved outline ("outlineStyle")
+ * @private
+ */
+function generateObjectStylesKml() {
+  return [
+    ...Object.entries(CONFIG.OBJECT_TYPES),
+    ["outline", { color: CONFIG.DISSOLVE.COLOR }],
+  ]
+    .map(
+      ([objectType, { color }]) => `
+    <Style id="${objectType}Style">
+      <LineStyle>
+        <color>${hexToKmlColor(color, "ff")}</color>
+        <width>3</width>
+      </LineStyle>
+      <PolyStyle>
+        <color>${hexToKmlColor(color, "4d")}</color>
+        <fill>1</fill>
+        <outline>1</outline>
+      </PolyStyle>
+    </Style>`
+    )
+    .join("");
+}
+
+/**
+ * Convert "#rrggbb" color to KML "aabbggrr" notation
+ * @private
+ */
+function hexToKmlColor(hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map((i) => hex.substring(i, i + 2));
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * Generate KML ExtendedData element with parcel (or outline) attributes
+ * Geometry in a non-WGS84 export system is added as WKT.
+ * @private
+ */
+function generateExtendedDataKml(
+  parcel,
+  crs = CoordinateSystem.WGS84,
+  definitions = PARCEL_PROPERTIES
+) {
+  const entries = definitions.map(({ key, label, getValue }) => [
+    key,
+    label,
+    formatKmlValue(getValue(parcel)),
+  ]);
+
+  if (crs !== CoordinateSystem.WGS84) {
+    entries.push(
+      ["crs", "Układ współrzędnych", `EPSG:${crs}`],
+      ["wkt", "Geometria (WKT)", formatGeometryWkt(parcel.geometry, crs)]
+    );
+  }
+
+  const data = entries
+    .map(
+      ([key, label, value]) => `
+          <Data name="${key}">
+            <displayName>${escapeXml(label)}</displayName>
+            <value>${escapeXml(value)}</value>
+          </Data>`
+    )
+    .join("");
+
+  return `<ExtendedData>${data}
+        </ExtendedData>`;
+}
+
+/**
+ * Generate ExtendedData with point coordinates in a non-WGS84 export system
+ * @private
+ */
+function generatePointDataKml(point, crs) {
+  if (crs === CoordinateSystem.WGS84) return "";
+
+  const [x, y] = coordinateTransformer.project(point, crs);
+
+  return `
+        <ExtendedData>
+          <Data name="crs"><value>EPSG:${crs}</value></Data>
+          <Data name="x"><value>${x}</value></Data>
+          <Data name="y"><value>${y}</value></Data>
+        </ExtendedData>`;
+}
+
+/**
+ * Format geometry as WKT in export coordinate system
+ * @private
+ */
+function formatGeometryWkt(geometry, crs) {
+  const formatRing = (ring) =>
+    `(${ring
+      .map((coord) => coordinateTransformer.project(coord, crs).join(" "))
+      .join(",")})`;
+  const formatPolygon = (rings) => `(${rings.map(formatRing).join(",")})`;
+
+  return geometry.type === "MULTIPOLYGON"
+    ? `MULTIPOLYGON(${geometry.coordinates.map(formatPolygon).join(",")})`
+    : `POLYGON${formatPolygon(geometry.coordinates)}`;
+}
+
+/**
+ * Convert attribute value to KML text (empty for missing values)
+ * @private
+ */
+function formatKmlValue(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
 /**
  * Generate KML geometry element based on type
  * @private
@@ -0,0 +1,134 @@
+/**
+ * KmlImporter - Reads polygon placemarks from KML files
+ *
+ * @description Counterpart of KmlExporter. Attributes are read from
+ * ExtendedData (Data and SchemaData), the placemark name is used as
+ * parcel_id when no attribute is present. LineStrings are read separately
+ * as routes for the corridor tool. Single Responsibility Principle.
+ */
+
+/**
+ * Parse KML document
+ *
+ * @param {string} text - KML file content
+ * @returns {Array<{properties: Object, geometry: Object}>} Polygon features (ImportedFeature)
+ * @throws {Error} If the file is not valid KML
+ */
+export function parseKml(text) {
+  const xml = parseDocument(text);
+
+  return Array.from(xml.getElementsByTagName("Placemark"))
+    .map((placemark) => ({
+      properties: readProperties(placemark),
+      geometry: readGeometry(placemark),
+    }))
+    .filter((feature) => feature.geometry !== null);
+}
+
+/**
+ * Read LineString placemarks as polylines
+ *
+ * @param {string} text - KML file content
+ * @returns {Array<Array<{lat: number, lng: number}>>} Polylines (WGS84)
+ * @throws {Error} If the file is not valid KML
+ */
+export function parseKmlLines(text) {
+  return Array.from(parseDocument(text).getElementsByTagName("LineString")).map(
+    (line) => parseCoordinates(getChildText(line, "coordinates"))
+  );
+}
+
+/**
+ * Parse XML and verify it is well-formed
+ * @private
+ */
+function parseDocument(text) {
+  const xml = new DOMParser().parseFromString(text, "application/xml");
+
+  if (xml.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Plik nie jest poprawnym dokumentem KML");
+  }
+
+  return xml;
+}
+
+/**
+ * Read ExtendedData attributes of a placemark
+ * @private
+ */
+function readProperties(placemark) {
+  const properties = {};
+
+  Array.from(placemark.getElementsByTagName("Data")).forEach((data) => {
+    properties[data.getAttribute("name")] = getChildText(data, "value");
+  });
+
+  Array.from(placemark.getElementsByTagName("SimpleData")).forEach((data) => {
+    properties[data.getAttribute("name")] = data.textContent.trim();
+  });
+
+  const name = getChildText(placemark, "name");
+  if (!properties.parcel_id && name) {
+    properties.parcel_id = name;
+  }
+
+  return properties;
+}
+
+/**
+ * Read Polygon or MultiGeometry of polygons (null for points and lines)
+ * @private
+ */
+function readGeometry(placemark) {
+  const polygons = Array.from(placemark.getElementsByTagName("Polygon")).map(
+    (polygon) => [
+      ...readRings(polygon, "outerBoundaryIs"),
+      ...readRings(polygon, "innerBoundaryIs"),
+    ]
+  );
+
+  if (polygons.length === 0) return null;
+
+  return polygons.length === 1
+    ? { type: "POLYGON", coordinates: polygons[0] }
+    : { type: "MULTIPOLYGON", coordinates: polygons };
+}
+
+/**
+ * Read rings of given boundary type
+ * @private
+ */
+function readRings(polygon, boundaryTag) {
+  return Array.from(polygon.getElementsByTagName(boundaryTag)).map((boundary) =>
+    parseCoordinates(getChildText(boundary, "coordinates"))
+  );
+}
+
+/**
+ * Parse KML "lng,lat[,alt] lng,lat[,alt] ..." coordinate list
+ * @private
+ */
+function parseCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => {
+      const [lng, lat] = tuple.split(",").map(Number);
+
+      if (Number.isNaN(lng) || Number.isNaN(lat)) {
+        throw new Error(`Niepoprawna współrzędna KML: ${tuple}`);
+      }
+
+      return { lat, lng };
+    });
+}
+
+/**
+ * Get trimmed text of the first descendant with given tag
+ * @private
+ */
+function getChildText(element, tagName) {
+  return element.getElementsByTagName(tagName)[0]?.textContent.trim() ?? "";
+}
+
+export default { parseKml, parseKmlLines };
@@ -0,0 +1,313 @@
+/**
+ * MapImageRenderer - Static map image of an object for printed reports
+ *
+ * @description Draws basemap tiles and the cadastral WMS (KIEG) for the
+ * extent of a geometry on a canvas in Web Mercator, the system of the
+ * interactive map, then the outline and numbered boundary points on top.
+ * Images are requested with CORS; a layer that cannot be loaded is left
+ * out and reported, so the sheet is still produced. North is up.
+ * Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Web Mercator (EPSG:3857) sphere radius and tile size
+const EARTH_RADIUS = 6378137;
+const TILE_SIZE = 256;
+
+/**
+ * Rendered map image
+ * @typedef {Object} MapImage
+ * @property {string} image - JPEG data URL
+ * @property {number} metresPerPixel - Ground distance of one pixel at the object (m)
+ * @property {Array<string>} missingLayers - Names of layers that could not be loaded
+ */
+
+/**
+ * Render map image of a geometry
+ *
+ * @param {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format (WGS84)
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.basemap] - Key of CONFIG.BASEMAPS (default OSM)
+ * @param {Array<{lat: number, lng: number, label: string}>} [options.points] - Labelled points drawn over the outline
+ * @returns {Promise<MapImage>} Map image
+ */
+export async function renderMapImage(geometry, options = {}) {
+  const { basemap = "OSM", points = [] } = options;
+  const { MAP_WIDTH: width, MAP_HEIGHT: height } = CONFIG.PDF_REPORT;
+  const view = getView(geometry, width, height);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#f2f2f2";
+  context.fillRect(0, 0, width, height);
+
+  const missingLayers = [];
+  const basemapConfig = CONFIG.BASEMAPS[basemap] ?? CONFIG.BASEMAPS.OSM;
+  if (!(await drawTiles(context, view, basemapConfig))) {
+    missingLayers.push(basemapConfig.name);
+  }
+
+  // Like on the map, the cadastral layer is drawn at large scales only
+  if (view.zoom >= CONFIG.WMS.MIN_ZOOM && !(await drawWms(context, view))) {
+    missingLayers.push("mapa ewidencyjna (KIEG)");
+  }
+
+  drawOutline(context, view, geometry);
+  drawPoints(context, view, points);
+
+  return {
+    image: canvas.toDataURL("image/jpeg", 0.9),
+    metresPerPixel: view.resolution * Math.cos(toRadians(view.centerLat)),
+    missingLayers,
+  };
+}
+
+/**
+ * Web Mercator extent fitted around the geometry with the image aspect ratio
+ * @private
+ */
+function getView(geometry, width, height) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  const positions = polygons.flat(2).map(toMercator);
+
+  const xs = positions.map(([x]) => x);
+  const ys = positions.map(([, y]) => y);
+  const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+  const padding = 1 + 2 * CONFIG.PDF_REPORT.MAP_PADDING;
+
+  // Metres per pixel fitting both dimensions (at least 1 m across the image)
+  const resolution = Math.max(
+    ((Math.max(...xs) - Math.min(...xs)) * padding) / width,
+    ((Math.max(...ys) - Math.min(...ys)) * padding) / height,
+    1 / width
+  );
+
+  return {
+    minX: centerX - (width / 2) * resolution,
+    maxY: centerY + (height / 2) * resolution,
+    width,
+    height,
+    resolution,
+    zoom: Math.log2((2 * Math.PI * EARTH_RADIUS) / (TILE_SIZE * resolution)),
+    centerLat: toGeographicLat(centerY),
+  };
+}
+
+/**
+ * Draw basemap tiles covering the view
+ * @private
+ * @returns {Promise<boolean>} True when at least one tile was loaded
+ */
+async function drawTiles(context, view, basemap) {
+  const zoom = Math.min(
+    Math.max(Math.round(view.zoom), 0),
+    basemap.maxNativeZoom
+  );
+  const tileMetres = (2 * Math.PI * EARTH_RADIUS) / 2 ** zoom;
+  const tileCount = 2 ** zoom;
+
+  const toTile = (x, y) => [
+    Math.floor((x + Math.PI * EARTH_RADIUS) / tileMetres),
+    Math.floor((Math.PI * EARTH_RADIUS - y) / tileMetres),
+  ];
+  const [minTileX, minTileY] = toTile(view.minX, view.maxY);
+  const [maxTileX, maxTileY] = toTile(
+    view.minX + view.width * view.resolution,
+    view.maxY - view.height * view.resolution
+  );
+
+  const tiles = [];
+  for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+    for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+      if (tileY >= 0 && tileY < tileCount) tiles.push([tileX, tileY]);
+    }
+  }
+
+  const images = await Promise.all(
+    tiles.map(([tileX, tileY]) =>
+      loadImage(
+        basemap.url
+          .replace("{s}", "a")
+          .replace("{z}", zoom)
+          .replace("{x}", ((tileX % tileCount) + tileCount) % tileCount)
+          .replace("{y}", tileY)
+      )
+    )
+  );
+
+  const size = tileMetres / view.resolution;
+  images.forEach((image, index) => {
+    if (!image) return;
+    const [tileX, tileY] = tiles[index];
+    context.drawImage(
+      image,
+      (tileX * tileMetres - Math.PI * EARTH_RADIUS - view.minX) /
+        view.resolution,
+      (view.maxY - (Math.PI * EARTH_RADIUS - tileY * tileMetres)) /
+        view.resolution,
+      size,
+      size
+    );
+  });
+
+  return images.some(Boolean);
+}
+
+/**
+ * Draw cadastral WMS as a single GetMap image of the view
+ * @private
+ * @returns {Promise<boolean>} True when the image was loaded
+ */
+async function drawWms(context, view) {
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    VERSION: "1.1.1",
+    REQUEST: "GetMap",
+    LAYERS: CONFIG.WMS.CADASTRAL_LAYERS,
+    STYLES: "",
+    SRS: "EPSG:3857",
+    BBOX: [
+      view.minX,
+      view.maxY - view.height * view.resolution,
+      view.minX + view.width * view.resolution,
+      view.maxY,
+    ].join(","),
+    WIDTH: view.width,
+    HEIGHT: view.height,
+    FORMAT: "image/png",
+    TRANSPARENT: "TRUE",
+  });
+
+  const image = await loadImage(`${CONFIG.WMS.CADASTRAL_URL}?${params}`);
+  if (!image) return false;
+
+  context.drawImage(image, 0, 0, view.width, view.height);
+  return true;
+}
+
+/**
+ * Draw outline of the geometry (holes cut out of the fill)
+ * @private
+ */
+function drawOutline(context, view, geometry) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  context.beginPath();
+  polygons.flat().forEach((ring) => {
+    ring.forEach((vertex, index) => {
+      const [x, y] = toPixel(view, vertex);
+      if (index === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    });
+    context.closePath();
+  });
+
+  context.fillStyle = `${CONFIG.PDF_REPORT.OUTLINE_COLOR}22`;
+  context.fill("evenodd");
+  context.lineWidth = 4;
+  context.lineJoin = "round";
+  context.strokeStyle = CONFIG.PDF_REPORT.OUTLINE_COLOR;
+  context.stroke();
+}
+
+/**
+ * Draw boundary points with their numbers
+ * @private
+ */
+function drawPoints(context, view, points) {
+  context.font = "bold 22px sans-serif";
+  context.textBaseline = "bottom";
+
+  points.forEach((point) => {
+    const [x, y] = toPixel(view, point);
+
+    context.beginPath();
+    context.arc(x, y, 6, 0, 2 * Math.PI);
+    context.fillStyle = CONFIG.UI.POINT_COLOR;
+    context.fill();
+    context.lineWidth = 2;
+    context.strokeStyle = "#ffffff";
+    context.stroke();
+
+    // White halo keeps numbers readable on any basemap
+    context.lineWidth = 5;
+    context.strokeText(point.label, x + 8, y - 6);
+    context.fillStyle = "#212121";
+    context.fillText(point.label, x + 8, y - 6);
+  });
+}
+
+/**
+ * Load image with CORS (null when it fails or times out)
+ * @private
+ */
+function loadImage(url) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    const timer = setTimeout(() => {
+      image.src = "";
+      resolve(null);
+    }, CONFIG.PDF_REPORT.IMAGE_TIMEOUT);
+
+    image.crossOrigin = "anonymous";
+    image.onload = () => {
+      clearTimeout(timer);
+      resolve(image);
+    };
+    image.onerror = () => {
+      clearTimeout(timer);
+      resolve(null);
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Pixel position of a WGS84 point in the view
+ * @private
+ */
+function toPixel(view, point) {
+  const [x, y] = toMercator(point);
+  return [(x - view.minX) / view.resolution, (view.maxY - y) / view.resolution];
+}
+
+/**
+ * WGS84 point to Web Mercator metres
+ * @private
+ */
+function toMercator({ lat, lng }) {
+  return [
+    EARTH_RADIUS * toRadians(lng),
+    EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2)),
+  ];
+}
+
+/**
+ * Latitude of a Web Mercator northing
+ * @private
+ */
+function toGeographicLat(y) {
+  return (
+    (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI)
+  );
+}
+
+/**
+ * Degrees to radians
+ * @private
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+export default { renderMapImage };
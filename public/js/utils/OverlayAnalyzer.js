@@ -0,0 +1,258 @@
+/**
+ * OverlayAnalyzer - Parcels intersected with an uploaded zone layer
+ *
+ * @description Intersects every parcel with every polygon of an overlay
+ * (local zoning plan, flood zone, protected area) in EPSG:2180 and reports
+ * the area and share of the parcel inside each zone and inside the whole
+ * layer (overlapping zones are counted once). Areas are reduced to the
+ * ellipsoid like parcel areas, so shares add up. Polygon overlay is done
+ * with the polygon-clipping library; results are cached per parcel, so only
+ * newly listed parcels are intersected again. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { toCsv } from "./CsvUtils.js";
+import {
+  toPlanarPolygons,
+  getPlanarBounds,
+  getPolygonClipping,
+} from "./GeometryUtils.js";
+import { calculateArea } from "./AreaCalculator.js";
+
+/**
+ * Zone of an overlay layer
+ * @typedef {Object} OverlayZone
+ * @property {string} label - Zone name (from attributes, or "Strefa N")
+ * @property {Object<string, *>} properties - Feature attributes
+ * @property {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format (WGS84)
+ */
+
+/**
+ * Part of a parcel inside a zone
+ * @typedef {Object} OverlayIntersection
+ * @property {string} parcelId - Parcel ID
+ * @property {string} zone - Zone label
+ * @property {number} parcelArea - Parcel area (m²)
+ * @property {number} area - Area of the parcel inside the zone (m²)
+ * @property {number} percent - Share of the parcel inside the zone (%)
+ */
+
+/**
+ * Part of a parcel inside the whole overlay
+ * @typedef {Object} OverlayParcelResult
+ * @property {number} area - Area of the parcel inside any zone (m²)
+ * @property {number} percent - Share of the parcel inside any zone (%)
+ * @property {Array<string>} zones - Labels of zones intersecting the parcel
+ */
+
+/**
+ * Overlay analysis result
+ * @typedef {Object} OverlayAnalysis
+ * @property {Array<OverlayIntersection>} intersections - Parcel/zone pairs with a common area, in list order
+ * @property {Map<string, OverlayParcelResult>} parcels - Parcel ID -> figures (parcels outside the layer omitted)
+ */
+
+/**
+ * Cached overlay result of a single parcel
+ * @typedef {Object} OverlayCacheEntry
+ * @property {Object} geometry - Parcel geometry the result was computed for
+ * @property {Array<OverlayIntersection>} intersections - Parcel/zone pairs of the parcel
+ * @property {?OverlayParcelResult} result - Figures of the parcel (null outside the layer)
+ */
+
+/**
+ * Build overlay zones from imported polygon features
+ *
+ * @param {Array<{properties: Object, geometry: Object}>} features - Imported features (ImportedFeature)
+ * @returns {Array<OverlayZone>} Zones
+ */
+export function createOverlayZones(features) {
+  return features.map(({ properties, geometry }, index) => ({
+    label: getZoneLabel(properties) ?? `Strefa ${index + 1}`,
+    properties,
+    geometry,
+  }));
+}
+
+/**
+ * Intersect parcels with overlay zones
+ *
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels (geometry in parseWkt format)
+ * @param {Array<OverlayZone>} zones - Overlay zones
+ * @param {Map<string, OverlayCacheEntry>} [cache] - Results by parcel ID kept between calls with the same zones (updated in place)
+ * @returns {OverlayAnalysis} Intersections per parcel and zone
+ */
+export function analyzeOverlay(parcels, zones, cache = new Map()) {
+  const listedIds = new Set(parcels.map(({ id }) => id));
+  [...cache.keys()]
+    .filter((id) => !listedIds.has(id))
+    .forEach((id) => cache.delete(id));
+
+  // Zones are converted only when a parcel is new or its geometry changed
+  let zoneShapes = null;
+  parcels.forEach((parcel) => {
+    if (cache.get(parcel.id)?.geometry === parcel.geometry) return;
+
+    zoneShapes ??= zones.map((zone) => toClippingShape(zone.geometry));
+    cache.set(parcel.id, intersectParcel(parcel, zones, zoneShapes));
+  });
+
+  const entries = parcels.map(({ id }) => [id, cache.get(id)]);
+  return {
+    intersections: entries.flatMap(([, entry]) => entry.intersections),
+    parcels: new Map(
+      entries
+        .filter(([, entry]) => entry.result)
+        .map(([id, entry]) => [id, entry.result])
+    ),
+  };
+}
+
+/**
+ * Generate CSV report of the overlay (one row per parcel and zone)
+ *
+ * @param {OverlayAnalysis} analysis - Result of analyzeOverlay
+ * @param {string} layerName - Overlay layer name (file name)
+ * @returns {string} CSV document
+ */
+export function generateOverlayCsv(analysis, layerName) {
+  const header = [
+    "identyfikator",
+    "strefa",
+    "powierzchnia_dzialki_m2",
+    "powierzchnia_w_strefie_m2",
+    "udzial_proc",
+    "warstwa",
+  ];
+
+  return toCsv([
+    header,
+    ...analysis.intersections.map(
+      ({ parcelId, zone, parcelArea, area, percent }) => [
+        parcelId,
+        zone,
+        parcelArea.toFixed(2),
+        area.toFixed(2),
+        percent.toFixed(2),
+        layerName,
+      ]
+    ),
+  ]);
+}
+
+/**
+ * First non-empty attribute used as zone name (CONFIG.OVERLAY.LABEL_FIELDS)
+ * @private
+ */
+function getZoneLabel(properties) {
+  const entries = Object.entries(properties).map(([key, value]) => [
+    key.toLowerCase(),
+    value,
+  ]);
+
+  for (const field of CONFIG.OVERLAY.LABEL_FIELDS) {
+    const value = entries.find(([key]) => key === field)?.[1];
+    if (value !== null && value !== undefined && String(value).trim()) {
+      return String(value).trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Intersect a single parcel with all zones
+ * @private
+ * @returns {OverlayCacheEntry} Result of the parcel
+ */
+function intersectParcel({ id, geometry }, zones, zoneShapes) {
+  const clipping = getPolygonClipping();
+  const parcelShape = toClippingShape(geometry);
+  const parcelArea = calculateArea(geometry);
+  const intersections = [];
+  const parts = [];
+
+  zoneShapes.forEach((zoneShape, index) => {
+    if (!boundsOverlap(parcelShape.bounds, zoneShape.bounds)) return;
+
+    const part = clipping.intersection(
+      parcelShape.polygons,
+      zoneShape.polygons
+    );
+    const area = getClippedArea(part);
+    if (area < CONFIG.OVERLAY.MIN_AREA) return;
+
+    parts.push(part);
+    intersections.push({
+      parcelId: id,
+      zone: zones[index].label,
+      parcelArea,
+      area,
+      percent: getPercent(area, parcelArea),
+    });
+  });
+
+  if (parts.length === 0) {
+    return { geometry, intersections, result: null };
+  }
+
+  // Zones may overlap - the union counts shared parts once
+  const area = getClippedArea(clipping.union(...parts));
+  return {
+    geometry,
+    intersections,
+    result: {
+      area,
+      percent: getPercent(area, parcelArea),
+      zones: intersections.map((intersection) => intersection.zone),
+    },
+  };
+}
+
+/**
+ * Geometry as polygon-clipping MultiPolygon with its planar bounds
+ * @private
+ */
+function toClippingShape(geometry) {
+  const planar = toPlanarPolygons(geometry);
+
+  return {
+    polygons: planar.map((rings) =>
+      rings.map((ring) => ring.map(({ x, y }) => [x, y]))
+    ),
+    bounds: getPlanarBounds(planar.flat(2)),
+  };
+}
+
+/**
+ * Check if bounding boxes overlap
+ * @private
+ */
+function boundsOverlap(a, b) {
+  return (
+    a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY
+  );
+}
+
+/**
+ * Area of polygon-clipping MultiPolygon reduced to the ellipsoid (m²)
+ * @private
+ */
+function getClippedArea(multiPolygon) {
+  return calculateArea({
+    type: "MULTIPOLYGON",
+    coordinates: multiPolygon.map((rings) =>
+      rings.map((ring) => ring.map(([x, y]) => ({ x, y })))
+    ),
+  });
+}
+
+/**
+ * Share of a part in the whole (%)
+ * @private
+ */
+function getPercent(part, whole) {
+  return whole > 0 ? (part / whole) * 100 : 0;
+}
+
+export default { createOverlayZones, analyzeOverlay, generateOverlayCsv };
@@ -0,0 +1,93 @@
+/**
+ * ParcelDissolver - Outer boundary of a group of parcels
+ *
+ * @description Dissolves parcel geometries into one polygon or multipolygon
+ * in EPSG:2180 (polygon-clipping union). Holes are kept where the parcels
+ * enclose land outside the group; slivers left by boundaries that do not
+ * match exactly are dropped. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { extractVertices } from "./WktParser.js";
+import {
+  toGeographic,
+  toPlanarPolygons,
+  getPolygonClipping,
+} from "./GeometryUtils.js";
+import { calculateArea, calculatePerimeter } from "./AreaCalculator.js";
+
+/**
+ * Dissolved outline of parcels
+ * @typedef {Object} DissolvedOutline
+ * @property {string} id - Outline name used in exports
+ * @property {Array<string>} parcelIds - IDs of dissolved parcels
+ * @property {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format (with EPSG:2180 originals)
+ * @property {Array<{lat: number, lng: number}>} vertices - Outer ring vertices
+ * @property {number} area - Area on the ellipsoid (m², holes excluded)
+ * @property {number} perimeter - Length of all rings on the ellipsoid (m)
+ * @property {number} holeCount - Number of interior holes
+ */
+
+/**
+ * Dissolve parcels into a single outline
+ *
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels (geometry in parseWkt format)
+ * @returns {DissolvedOutline} Outline
+ * @throws {Error} If no parcels are given
+ */
+export function dissolveParcels(parcels) {
+  if (parcels.length === 0) {
+    throw new Error("Brak obiektów do scalenia");
+  }
+
+  const union = getPolygonClipping().union(
+    ...parcels.map(({ geometry }) =>
+      toPlanarPolygons(geometry).map((rings) =>
+        rings.map((ring) => ring.map(({ x, y }) => [x, y]))
+      )
+    )
+  );
+
+  const polygons = union
+    .map((rings) => rings.map(toVertexRing))
+    .map(([outerRing, ...holes]) => [
+      outerRing,
+      ...holes.filter((hole) => getRingArea(hole) >= CONFIG.DISSOLVE.MIN_AREA),
+    ])
+    .filter(
+      ([outerRing]) => getRingArea(outerRing) >= CONFIG.DISSOLVE.MIN_AREA
+    );
+
+  const geometry =
+    polygons.length === 1
+      ? { type: "POLYGON", coordinates: polygons[0] }
+      : { type: "MULTIPOLYGON", coordinates: polygons };
+
+  return {
+    id: CONFIG.DISSOLVE.LAYER_NAME,
+    parcelIds: parcels.map(({ id }) => id),
+    geometry,
+    vertices: extractVertices(geometry),
+    area: calculateArea(geometry),
+    perimeter: calculatePerimeter(geometry),
+    holeCount: polygons.reduce((sum, rings) => sum + rings.length - 1, 0),
+  };
+}
+
+/**
+ * Ring of [x, y] positions as vertices in parseWkt format
+ * @private
+ */
+function toVertexRing(ring) {
+  return ring.map(([x, y]) => ({ ...toGeographic({ x, y }), x, y }));
+}
+
+/**
+ * Area of a single ring (m²)
+ * @private
+ */
+function getRingArea(ring) {
+  return calculateArea({ type: "POLYGON", coordinates: [ring] });
+}
+
+export default { dissolveParcels };
@@ -0,0 +1,230 @@
+/**
+ * ParcelProperties - Attribute columns written alongside parcel geometry
+ *
+ * @description Single definition of the descriptive attributes shared by
+ * all exporters, so KML, GeoPackage, GeoJSON and Shapefile stay consistent (DRY).
+ */
+
+import { CONFIG, ObjectType } from "../config.js";
+import { calculateArea, calculatePerimeter } from "./AreaCalculator.js";
+
+/**
+ * Attribute column definition
+ * @typedef {Object} PropertyDefinition
+ * @property {string} key - Column / property name used in exported files
+ * @property {string} label - Human readable (Polish) label
+ * @property {string} type - SQLite column type used in GeoPackage
+ * @property {string} [dbfKey] - Shapefile (dBASE) column name when key is longer than 10 characters
+ * @property {Function} getValue - Extracts the value from a parcel object
+ */
+
+/**
+ * Ordered list of exported parcel attributes
+ * @type {ReadonlyArray<PropertyDefinition>}
+ */
+export const PARCEL_PROPERTIES = Object.freeze([
+  {
+    key: "parcel_id",
+    label: "Identyfikator",
+    type: "TEXT",
+    getValue: (parcel) => parcel.id,
+  },
+  {
+    key: "object_type",
+    dbfKey: "obj_type",
+    label: "Typ obiektu",
+    type: "TEXT",
+    getValue: (parcel) => getObjectType(parcel),
+  },
+  {
+    key: "voivodeship",
+    dbfKey: "voivod",
+    label: "Województwo",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.voivodeship,
+  },
+  {
+    key: "county",
+    label: "Powiat",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.county,
+  },
+  {
+    key: "commune",
+    label: "Gmina",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.commune,
+  },
+  {
+    key: "region",
+    label: "Obręb",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.region,
+  },
+  {
+    key: "parcel_number",
+    dbfKey: "parcel_no",
+    label: "Numer działki",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.parcel,
+  },
+  {
+    key: "teryt",
+    label: "TERYT",
+    type: "TEXT",
+    getValue: (parcel) => parcel.attributes?.teryt,
+  },
+  {
+    key: "area_m2",
+    label: "Powierzchnia [m²]",
+    type: "REAL",
+    getValue: (parcel) => roundMeasure(calculateArea(parcel.geometry)),
+  },
+  {
+    key: "perimeter_m",
+    dbfKey: "perim_m",
+    label: "Obwód [m]",
+    type: "REAL",
+    getValue: (parcel) => roundMeasure(calculatePerimeter(parcel.geometry)),
+  },
+  {
+    key: "neighbour_of",
+    dbfKey: "neighb_of",
+    label: "Sąsiad działki",
+    type: "TEXT",
+    getValue: (parcel) => parcel.neighbourOf,
+  },
+  {
+    key: "overlay_area_m2",
+    dbfKey: "ovl_area",
+    label: "Powierzchnia w strefach nakładki [m²]",
+    type: "REAL",
+    getValue: (parcel) =>
+      parcel.overlay ? roundMeasure(parcel.overlay.area) : null,
+  },
+  {
+    key: "overlay_percent",
+    dbfKey: "ovl_pct",
+    label: "Udział w strefach nakładki [%]",
+    type: "REAL",
+    getValue: (parcel) =>
+      parcel.overlay ? roundMeasure(parcel.overlay.percent) : null,
+  },
+  {
+    key: "overlay_zones",
+    dbfKey: "ovl_zones",
+    label: "Strefy nakładki",
+    type: "TEXT",
+    getValue: (parcel) => parcel.overlay?.zones.join(", "),
+  },
+]);
+
+/**
+ * Ordered list of attributes of the dissolved outline (see ParcelDissolver)
+ * @type {ReadonlyArray<PropertyDefinition>}
+ */
+export const OUTLINE_PROPERTIES = Object.freeze([
+  {
+    key: "name",
+    label: "Nazwa",
+    type: "TEXT",
+    getValue: (outline) => outline.id,
+  },
+  {
+    key: "parcel_count",
+    dbfKey: "parcel_cnt",
+    label: "Liczba obiektów",
+    type: "INTEGER",
+    getValue: (outline) => outline.parcelIds.length,
+  },
+  {
+    key: "parcel_ids",
+    label: "Identyfikatory",
+    type: "TEXT",
+    getValue: (outline) => outline.parcelIds.join(", "),
+  },
+  {
+    key: "area_m2",
+    label: "Powierzchnia [m²]",
+    type: "REAL",
+    getValue: (outline) => roundMeasure(outline.area),
+  },
+  {
+    key: "perimeter_m",
+    dbfKey: "perim_m",
+    label: "Obwód [m]",
+    type: "REAL",
+    getValue: (outline) => roundMeasure(outline.perimeter),
+  },
+]);
+
+/**
+ * Build a flat attribute object for a parcel
+ *
+ * @param {{id: string, attributes?: Object}} parcel - Parcel object
+ * @returns {Object<string, string|number|null>} Attribute values keyed by column name
+ */
+export function getParcelProperties(parcel) {
+  return Object.fromEntries(
+    PARCEL_PROPERTIES.map(({ key, getValue }) => [
+      key,
+      getValue(parcel) ?? null,
+    ])
+  );
+}
+
+/**
+ * Build a flat attribute object for the dissolved outline
+ *
+ * @param {{id: string, parcelIds: Array<string>, area: number, perimeter: number}} outline - Dissolved outline
+ * @returns {Object<string, string|number>} Attribute values keyed by column name
+ */
+export function getOutlineProperties(outline) {
+  return Object.fromEntries(
+    OUTLINE_PROPERTIES.map(({ key, getValue }) => [key, getValue(outline)])
+  );
+}
+
+/**
+ * Get ULDK object type of a list item (items without type are parcels)
+ *
+ * @param {{objectType?: string}} parcel - Parcel object
+ * @returns {string} ObjectType enum value
+ */
+export function getObjectType(parcel) {
+  return parcel.objectType ?? ObjectType.PARCEL;
+}
+
+/**
+ * Split list items into export layers, one per ULDK object type.
+ * Layers follow the order of CONFIG.OBJECT_TYPES and empty ones are skipped.
+ *
+ * @param {Array<{objectType?: string}>} parcels - Array of parcel objects
+ * @returns {Array<{objectType: string, definition: Object, parcels: Array}>} Layers
+ */
+export function groupParcelsByObjectType(parcels) {
+  return Object.entries(CONFIG.OBJECT_TYPES)
+    .map(([objectType, definition]) => ({
+      objectType,
+      definition,
+      parcels: parcels.filter((parcel) => getObjectType(parcel) === objectType),
+    }))
+    .filter((layer) => layer.parcels.length > 0);
+}
+
+/**
+ * Round measurement to centimetres (square centimetres for areas)
+ * @private
+ */
+function roundMeasure(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  PARCEL_PROPERTIES,
+  OUTLINE_PROPERTIES,
+  getParcelProperties,
+  getOutlineProperties,
+  getObjectType,
+  groupParcelsByObjectType,
+};
@@ -0,0 +1,440 @@
+/**
+ * PdfReportGenerator - Printable A4 sheets of listed objects
+ *
+ * @description Builds a multi-page PDF in the browser (jsPDF), one sheet
+ * per object: map of the object on the basemap with the cadastral WMS,
+ * scale bar and north arrow, register data, area and perimeter, and the
+ * coordinates of its boundary points numbered as in BoundaryPointRegister
+ * (so the sheet matches the CSV/TXT and DXF exports). The table continues
+ * on following pages when needed. Single Responsibility Principle.
+ */
+
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { calculateArea, calculatePerimeter } from "./AreaCalculator.js";
+import { getObjectType } from "./ParcelProperties.js";
+import { buildBoundaryPointRegister } from "./BoundaryPointRegister.js";
+import { renderMapImage } from "./MapImageRenderer.js";
+import { loadJsPdf } from "./JsPdfLoader.js";
+import { downloadFile, getTimestampedFilename } from "./FileDownloader.js";
+
+// A4 portrait layout (mm)
+const Page = Object.freeze({
+  WIDTH: 210,
+  HEIGHT: 297,
+  MARGIN: 15,
+  CONTENT_TOP: 24,
+  CONTENT_BOTTOM: 280,
+  ROW_HEIGHT: 5,
+});
+
+// Columns of the boundary point table: [header, x, alignment]
+const POINT_TABLE_COLUMNS = Object.freeze([
+  ["Nr", 17, "left"],
+  ["X [m]", 75, "right"],
+  ["Y [m]", 120, "right"],
+  ["Do następnego [m]", 165, "right"],
+]);
+
+/**
+ * Generate PDF report with one sheet per object
+ *
+ * @param {Array<{id: string, geometry: Object, attributes?: Object}>} parcels - Objects in list order
+ * @param {Object} [options] - Report options
+ * @param {number} [options.crs] - Planar CoordinateSystem enum value of point coordinates (default PUWG 1992)
+ * @param {string} [options.basemap] - Key of CONFIG.BASEMAPS drawn under the objects (default OSM)
+ * @param {Function} [options.onProgress] - Called with (completed, total) after each sheet
+ * @returns {Promise<ArrayBuffer>} PDF file
+ * @throws {Error} If no objects are given or jsPDF is not loaded
+ */
+export async function generateParcelReport(parcels, options = {}) {
+  const {
+    crs = CoordinateSystem.PUWG_1992,
+    basemap = "OSM",
+    onProgress,
+  } = options;
+
+  if (parcels.length === 0) {
+    throw new Error("Brak obiektów do raportu");
+  }
+
+  const { jsPDF, fonts } = await loadJsPdf();
+  const doc = new jsPDF({ unit: "mm", format: "a4", compress: true });
+  const font = setupFont(doc, fonts);
+  const register = buildBoundaryPointRegister(parcels, crs);
+  const generatedAt = new Date().toLocaleString("pl-PL", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+  // Sheets one after another - each map waits for its tiles
+  for (const [index, parcel] of parcels.entries()) {
+    if (index > 0) doc.addPage();
+    await addParcelSheet(doc, font, parcel, {
+      register,
+      crs,
+      basemap,
+      generatedAt,
+    });
+    onProgress?.(index + 1, parcels.length);
+  }
+
+  addFooters(doc, font, CONFIG.BASEMAPS[basemap]?.name ?? basemap);
+
+  return doc.output("arraybuffer");
+}
+
+/**
+ * Download PDF report with one sheet per object
+ *
+ * @param {Array<{id: string, geometry: Object, attributes?: Object}>} parcels - Objects in list order
+ * @param {Object} [options] - Report options (see generateParcelReport)
+ * @returns {Promise<void>}
+ */
+export async function downloadParcelReport(parcels, options) {
+  downloadFile(
+    await generateParcelReport(parcels, options),
+    getTimestampedFilename("raport_dzialek", "pdf"),
+    "application/pdf"
+  );
+}
+
+/**
+ * Register report font with Polish letters, or standard font without diacritics
+ * @private
+ */
+function setupFont(doc, fonts) {
+  if (!fonts) {
+    return { name: "helvetica", format: removeDiacritics };
+  }
+
+  const name = CONFIG.PDF_REPORT.FONT_NAME;
+  doc.addFileToVFS(`${name}.ttf`, fonts.normal);
+  doc.addFont(`${name}.ttf`, name, "normal");
+  doc.addFileToVFS(`${name}-Bold.ttf`, fonts.bold);
+  doc.addFont(`${name}-Bold.ttf`, name, "bold");
+
+  return { name, format: (text) => text };
+}
+
+/**
+ * Write text with font size, style, colour and alignment
+ * @private
+ */
+function writeText(doc, font, text, x, y, options = {}) {
+  const { size = 9, style = "normal", color = 33, align = "left" } = options;
+
+  doc.setFont(font.name, style);
+  doc.setFontSize(size);
+  doc.setTextColor(color);
+  doc.text(font.format(String(text)), x, y, { align });
+}
+
+/**
+ * Sheet of a single object (continued on next pages if the table is long)
+ * @private
+ */
+async function addParcelSheet(doc, font, parcel, context) {
+  const { register, crs, basemap, generatedAt } = context;
+  const rows = register.rows.filter((row) => row.parcelId === parcel.id);
+  const typeLabel = CONFIG.OBJECT_TYPES[getObjectType(parcel)].label;
+
+  writeText(doc, font, `${typeLabel} ${parcel.id}`, Page.MARGIN, 17, {
+    size: 14,
+    style: "bold",
+  });
+  writeText(
+    doc,
+    font,
+    `Wygenerowano: ${generatedAt}`,
+    Page.WIDTH - Page.MARGIN,
+    17,
+    { size: 8, color: 100, align: "right" }
+  );
+  doc.setDrawColor(180);
+  doc.setLineWidth(0.3);
+  doc.line(Page.MARGIN, 20, Page.WIDTH - Page.MARGIN, 20);
+
+  // Map with each boundary point once, labelled with its register number
+  const numbers = [...new Set(rows.map(({ number }) => number))];
+  const map = await renderMapImage(parcel.geometry, {
+    basemap,
+    points: numbers.map((number) => ({
+      ...register.points[number - 1],
+      label: String(number),
+    })),
+  });
+  let y = addMap(doc, font, map, Page.CONTENT_TOP);
+
+  y = addParcelData(doc, font, parcel, rows.length, y + 8);
+  addPointTable(doc, font, parcel, register, rows, crs, y + 6);
+}
+
+/**
+ * Map frame with scale bar, north arrow and note on missing layers
+ * @private
+ * @returns {number} Y position below the frame (mm)
+ */
+function addMap(doc, font, map, top) {
+  const left = Page.MARGIN;
+  const width = Page.WIDTH - 2 * Page.MARGIN;
+  const height =
+    (width * CONFIG.PDF_REPORT.MAP_HEIGHT) / CONFIG.PDF_REPORT.MAP_WIDTH;
+
+  doc.addImage(map.image, "JPEG", left, top, width, height);
+  doc.setDrawColor(120);
+  doc.setLineWidth(0.3);
+  doc.rect(left, top, width, height);
+
+  const metresPerMm =
+    (map.metresPerPixel * CONFIG.PDF_REPORT.MAP_WIDTH) / width;
+  addScaleBar(doc, font, metresPerMm, left + 4, top + height - 4);
+  addNorthArrow(doc, font, left + width - 9, top + 5);
+
+  if (map.missingLayers.length > 0) {
+    writeText(
+      doc,
+      font,
+      `Nie udało się wczytać: ${map.missingLayers.join(", ")}`,
+      left,
+      top + height + 4,
+      { size: 7, color: 120 }
+    );
+  }
+
+  return top + height;
+}
+
+/**
+ * Scale bar of a round length (about 30 mm) with the approximate map scale
+ * @private
+ */
+function addScaleBar(doc, font, metresPerMm, x, bottom) {
+  const length = getRoundLength(metresPerMm * 30);
+  const barWidth = length / metresPerMm;
+  const label =
+    length >= 1000
+      ? `${formatNumber(length / 1000)} km`
+      : `${formatNumber(length)} m`;
+  const scale = `skala ok. 1:${formatNumber(
+    roundSignificant(metresPerMm * 1000)
+  )}`;
+
+  doc.setFillColor(255, 255, 255);
+  doc.rect(x - 2, bottom - 9, barWidth + 34, 11, "F");
+
+  // Two segments - black and white
+  doc.setDrawColor(33);
+  doc.setLineWidth(0.2);
+  doc.setFillColor(33, 33, 33);
+  doc.rect(x, bottom - 2, barWidth / 2, 1.5, "FD");
+  doc.setFillColor(255, 255, 255);
+  doc.rect(x + barWidth / 2, bottom - 2, barWidth / 2, 1.5, "FD");
+
+  writeText(doc, font, "0", x, bottom - 3.5, { size: 7, align: "center" });
+  writeText(doc, font, label, x + barWidth, bottom - 3.5, {
+    size: 7,
+    align: "center",
+  });
+  writeText(doc, font, scale, x + barWidth + 4, bottom - 0.5, { size: 7 });
+}
+
+/**
+ * North arrow (the map is in Web Mercator, so north is up)
+ * @private
+ */
+function addNorthArrow(doc, font, x, top) {
+  doc.setFillColor(255, 255, 255);
+  doc.circle(x, top + 6, 5.5, "F");
+
+  doc.setFillColor(33, 33, 33);
+  doc.triangle(x, top + 2.5, x - 2.2, top + 9, x, top + 7.5, "F");
+  doc.setDrawColor(33);
+  doc.setLineWidth(0.2);
+  doc.triangle(x, top + 2.5, x + 2.2, top + 9, x, top + 7.5, "S");
+
+  writeText(doc, font, "N", x, top + 2, {
+    size: 7,
+    style: "bold",
+    align: "center",
+  });
+}
+
+/**
+ * Register data, area and perimeter in two columns
+ * @private
+ * @returns {number} Y position below the data (mm)
+ */
+function addParcelData(doc, font, parcel, pointCount, top) {
+  const { attributes = {} } = parcel;
+  const area = calculateArea(parcel.geometry);
+  const items = [
+    ["Identyfikator", parcel.id],
+    ["Województwo", attributes.voivodeship],
+    ["Powiat", attributes.county],
+    ["Gmina", attributes.commune],
+    ["Obręb", attributes.region],
+    ["Numer działki", attributes.parcel],
+    ["Powierzchnia", `${formatNumber(area, 2)} m²`],
+    ["", `${formatNumber(area / 10000, 4)} ha`],
+    ["Obwód", `${formatNumber(calculatePerimeter(parcel.geometry), 2)} m`],
+    ["Punkty graniczne", pointCount],
+  ];
+
+  writeText(doc, font, "Dane ewidencyjne", Page.MARGIN, top, {
+    size: 10,
+    style: "bold",
+  });
+
+  const rowsPerColumn = Math.ceil(items.length / 2);
+  items.forEach(([label, value], index) => {
+    const column = Math.floor(index / rowsPerColumn);
+    const x = Page.MARGIN + column * 92;
+    const y = top + 6 + (index % rowsPerColumn) * Page.ROW_HEIGHT;
+
+    writeText(doc, font, label, x, y, { color: 100 });
+    writeText(doc, font, value ?? "-", x + 32, y);
+  });
+
+  return top + 6 + (rowsPerColumn - 1) * Page.ROW_HEIGHT;
+}
+
+/**
+ * Boundary point coordinates, continued on next pages when needed
+ * @private
+ */
+function addPointTable(doc, font, parcel, register, rows, crs, top) {
+  const crsLabel = CONFIG.COORDINATE_SYSTEMS[crs]?.label ?? `EPSG:${crs}`;
+
+  writeText(
+    doc,
+    font,
+    `Współrzędne punktów granicznych - ${crsLabel}`,
+    Page.MARGIN,
+    top,
+    { size: 10, style: "bold" }
+  );
+  let y = addPointTableHeader(doc, font, top + 6);
+
+  rows.forEach((row, index) => {
+    if (y > Page.CONTENT_BOTTOM) {
+      doc.addPage();
+      writeText(
+        doc,
+        font,
+        `${parcel.id} - punkty graniczne (cd.)`,
+        Page.MARGIN,
+        17,
+        { size: 10, style: "bold" }
+      );
+      y = addPointTableHeader(doc, font, Page.CONTENT_TOP);
+    }
+
+    // Thin line where the next ring (hole or part) begins
+    if (index > 0 && row.ring !== rows[index - 1].ring) {
+      doc.setDrawColor(200);
+      doc.line(Page.MARGIN, y - 3.5, Page.WIDTH - Page.MARGIN, y - 3.5);
+    }
+
+    const point = register.points[row.number - 1];
+    [
+      row.number,
+      formatNumber(point.x, 2),
+      formatNumber(point.y, 2),
+      formatNumber(row.distanceToNext, 2),
+    ].forEach((value, column) => {
+      const [, x, align] = POINT_TABLE_COLUMNS[column];
+      writeText(doc, font, value, x, y, { align });
+    });
+
+    y += Page.ROW_HEIGHT;
+  });
+}
+
+/**
+ * Header row of the point table
+ * @private
+ * @returns {number} Y position of the first data row (mm)
+ */
+function addPointTableHeader(doc, font, y) {
+  POINT_TABLE_COLUMNS.forEach(([header, x, align]) => {
+    writeText(doc, font, header, x, y, { style: "bold", color: 80, align });
+  });
+
+  doc.setDrawColor(150);
+  doc.setLineWidth(0.2);
+  doc.line(Page.MARGIN, y + 1.5, Page.WIDTH - Page.MARGIN, y + 1.5);
+
+  return y + Page.ROW_HEIGHT + 1;
+}
+
+/**
+ * Data sources and page numbers on every page
+ * @private
+ */
+function addFooters(doc, font, basemapName) {
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    writeText(
+      doc,
+      font,
+      `Dane: ULDK i KIEG (GUGiK), podkład: ${basemapName}`,
+      Page.MARGIN,
+      Page.HEIGHT - 8,
+      { size: 7, color: 120 }
+    );
+    writeText(
+      doc,
+      font,
+      `Strona ${page} z ${pageCount}`,
+      Page.WIDTH - Page.MARGIN,
+      Page.HEIGHT - 8,
+      { size: 7, color: 120, align: "right" }
+    );
+  }
+}
+
+/**
+ * Largest 1, 2 or 5 times a power of ten not above the value
+ * @private
+ */
+function getRoundLength(value) {
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [5, 2, 1].find((factor) => factor * power <= value);
+  return step * power;
+}
+
+/**
+ * Value rounded to two significant digits (scale denominator)
+ * @private
+ */
+function roundSignificant(value) {
+  const step = 10 ** Math.max(Math.floor(Math.log10(value)) - 1, 0);
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Number in Polish notation (decimal comma)
+ * @private
+ */
+function formatNumber(value, decimals = 0) {
+  return value.toLocaleString("pl-PL", {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
+
+/**
+ * Replace Polish letters with ASCII for the standard PDF font
+ * @private
+ */
+function removeDiacritics(text) {
+  return text
+    .replace(/ł/g, "l")
+    .replace(/Ł/g, "L")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+export default { generateParcelReport, downloadParcelReport };
@@ -0,0 +1,114 @@
+/**
+ * PermalinkCodec - Encodes the shared view in the URL hash
+ *
+ * @description Converts parcel IDs, basemap, overlay toggles and map view
+ * to a compact hash ("#map=18/50.12345/19.12345&base=ORTO&layers=...&ids=...")
+ * and back. Single Responsibility Principle.
+ */
+
+// Overlay toggles stored in the "layers" parameter
+export const PermalinkLayer = Object.freeze({
+  POLYGONS: "polygons",
+  POINTS: "points",
+  UTILITIES: "utilities",
+});
+
+// Decimal places of the map centre (~1 m)
+const COORDINATE_PRECISION = 5;
+
+/**
+ * Decoded permalink
+ * @typedef {Object} PermalinkState
+ * @property {{lat: number, lng: number, zoom: number}|null} view - Map centre and zoom
+ * @property {string|null} baseLayer - Basemap key from CONFIG.BASEMAPS
+ * @property {{polygons: boolean, points: boolean, utilities: boolean}} layers - Overlay toggles
+ * @property {Array<string>} parcelIds - Object identifiers in list order
+ */
+
+/**
+ * Encode state as URL hash
+ *
+ * @param {PermalinkState} state - State to share
+ * @returns {string} Hash including leading "#"
+ */
+export function encodePermalink({ view, baseLayer, layers, parcelIds }) {
+  const params = new URLSearchParams();
+
+  if (view) {
+    params.set(
+      "map",
+      [
+        view.zoom,
+        view.lat.toFixed(COORDINATE_PRECISION),
+        view.lng.toFixed(COORDINATE_PRECISION),
+      ].join("/")
+    );
+  }
+
+  if (baseLayer) {
+    params.set("base", baseLayer);
+  }
+
+  params.set(
+    "layers",
+    Object.values(PermalinkLayer)
+      .filter((layer) => layers?.[layer])
+      .join(",")
+  );
+
+  if (parcelIds.length > 0) {
+    params.set("ids", parcelIds.join(","));
+  }
+
+  // Keep separators readable - they are valid in a URL fragment
+  return `#${params.toString().replace(/%2F/g, "/").replace(/%2C/g, ",")}`;
+}
+
+/**
+ * Decode URL hash
+ *
+ * @param {string} hash - location.hash (with or without leading "#")
+ * @returns {PermalinkState|null} Decoded state, null when hash is not a permalink
+ */
+export function decodePermalink(hash) {
+  const params = new URLSearchParams((hash ?? "").replace(/^#/, ""));
+
+  if (!params.has("map") && !params.has("ids")) {
+    return null;
+  }
+
+  // Links without the "layers" parameter show outlines only
+  const enabledLayers = params.has("layers")
+    ? params.get("layers").split(",")
+    : [PermalinkLayer.POLYGONS];
+
+  return {
+    view: decodeView(params.get("map")),
+    baseLayer: params.get("base"),
+    layers: {
+      polygons: enabledLayers.includes(PermalinkLayer.POLYGONS),
+      points: enabledLayers.includes(PermalinkLayer.POINTS),
+      utilities: enabledLayers.includes(PermalinkLayer.UTILITIES),
+    },
+    parcelIds: (params.get("ids") ?? "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Decode "zoom/lat/lng" map parameter
+ * @private
+ */
+function decodeView(value) {
+  const [zoom, lat, lng] = (value ?? "").split("/").map(Number);
+
+  if ([zoom, lat, lng].some((number) => !Number.isFinite(number))) {
+    return null;
+  }
+
+  return { lat, lng, zoom };
+}
+
+export default { PermalinkLayer, encodePermalink, decodePermalink };
@@ -0,0 +1,431 @@
+/**
+ * ShapefileExporter - Generates zipped ESRI Shapefiles
+ *
+ * @description Writes every export layer (polygons per object type, boundary
+ * points, dissolved outline - the same split as the GeoPackage export) as
+ * .shp/.shx/.dbf/.prj/.cpg files packed into one ZIP archive. Attributes
+ * are dBASE III columns encoded in UTF-8 (declared in .cpg), with column
+ * names shortened to 10 characters. Single Responsibility Principle.
+ */
+
+import { CONFIG, CoordinateSystem } from "../config.js";
+import { coordinateTransformer } from "./CoordinateTransformer.js";
+import {
+  PARCEL_PROPERTIES,
+  OUTLINE_PROPERTIES,
+  groupParcelsByObjectType,
+} from "./ParcelProperties.js";
+import { createZip } from "./ZipWriter.js";
+
+// Shapefile geometry type codes (2D)
+const ShapeType = Object.freeze({
+  POINT: 1,
+  POLYGON: 5,
+});
+
+/**
+ * Attributes of the boundary points layer (as in GeoPackage and GeoJSON)
+ * @type {ReadonlyArray<Object>}
+ */
+const POINT_PROPERTIES = Object.freeze([
+  {
+    key: "parcel_id",
+    type: "TEXT",
+    getValue: (point) => point.parcelId,
+  },
+  {
+    key: "point_index",
+    dbfKey: "point_idx",
+    type: "INTEGER",
+    getValue: (point) => point.index,
+  },
+]);
+
+// dBASE limits: character fields up to 254 bytes, numbers as fixed width text
+const DBF_MAX_TEXT_LENGTH = 254;
+const DBF_NUMBER_FIELDS = Object.freeze({
+  INTEGER: { length: 10, decimals: 0 },
+  REAL: { length: 19, decimals: 2 },
+});
+
+/**
+ * Generate ZIP archive with Shapefile layers based on visibility options
+ *
+ * @param {Array<{id: string, geometry: Object, vertices: Array}>} parcels - Array of parcel objects
+ * @param {Object} options - Export options
+ * @param {boolean} options.includePolygons - Whether to include polygon layers
+ * @param {boolean} options.includePoints - Whether to include points layer
+ * @param {number} options.crs - CoordinateSystem enum value (default WGS84)
+ * @param {Object} [options.outline] - Dissolved outline (ParcelDissolver) written as its own layer
+ * @returns {Uint8Array} ZIP archive
+ */
+export function generateShapefileWithLayers(parcels, options) {
+  const {
+    includePolygons = false,
+    includePoints = false,
+    crs = CoordinateSystem.WGS84,
+    outline = null,
+  } = options;
+
+  const layers = [];
+
+  // Polygon layers - one shapefile per object type
+  if (includePolygons) {
+    groupParcelsByObjectType(parcels).forEach(
+      ({ definition, parcels: layerParcels }) => {
+        layers.push(createPolygonLayer(definition.layerKey, layerParcels, crs));
+      }
+    );
+  }
+
+  if (includePoints) {
+    layers.push(createPointsLayer(parcels, crs));
+  }
+
+  if (outline) {
+    layers.push(
+      createPolygonLayer(
+        CONFIG.DISSOLVE.LAYER_KEY,
+        [outline],
+        crs,
+        OUTLINE_PROPERTIES
+      )
+    );
+  }
+
+  const prj = getCrsDefinition(crs).definition;
+
+  return createZip(
+    layers.flatMap(({ name, shapeType, shapes, records, definitions }) => {
+      const { shp, shx } = createShapeFiles(shapeType, shapes);
+      return [
+        { name: `${name}.shp`, data: shp },
+        { name: `${name}.shx`, data: shx },
+        { name: `${name}.dbf`, data: createDbf(definitions, records) },
+        { name: `${name}.prj`, data: prj },
+        { name: `${name}.cpg`, data: "UTF-8" },
+      ];
+    })
+  );
+}
+
+/**
+ * Get export coordinate system definition
+ * @private
+ */
+function getCrsDefinition(srsId) {
+  const definition = CONFIG.COORDINATE_SYSTEMS[srsId];
+  if (!definition) {
+    throw new Error(`Unsupported export coordinate system: EPSG:${srsId}`);
+  }
+  return definition;
+}
+
+/**
+ * Polygon layer - one record per object, all rings in a single shape
+ * @private
+ */
+function createPolygonLayer(
+  name,
+  parcels,
+  crs,
+  definitions = PARCEL_PROPERTIES
+) {
+  return {
+    name,
+    shapeType: ShapeType.POLYGON,
+    shapes: parcels.map(({ geometry }) => projectPolygons(geometry, crs)),
+    records: parcels,
+    definitions,
+  };
+}
+
+/**
+ * Boundary points layer - one record per vertex of every object
+ * @private
+ */
+function createPointsLayer(parcels, crs) {
+  const points = parcels.flatMap((parcel) =>
+    parcel.vertices.map((vertex, index) => ({
+      parcelId: parcel.id,
+      index: index + 1,
+      position: coordinateTransformer.project(vertex, crs),
+    }))
+  );
+
+  return {
+    name: "points",
+    shapeType: ShapeType.POINT,
+    shapes: points.map(({ position }) => position),
+    records: points,
+    definitions: POINT_PROPERTIES,
+  };
+}
+
+/**
+ * Project geometry to rings of [x, y] positions oriented as the format
+ * requires: outer rings clockwise, holes counter-clockwise
+ * @private
+ */
+function projectPolygons(geometry, crs) {
+  const polygons =
+    geometry.type === "MULTIPOLYGON"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+
+  return polygons.flatMap((rings) =>
+    rings.map((ring, index) => {
+      const positions = ring.map((vertex) =>
+        coordinateTransformer.project(vertex, crs)
+      );
+      const isClockwise = getSignedArea(positions) < 0;
+      return isClockwise === (index === 0) ? positions : positions.reverse();
+    })
+  );
+}
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ * @private
+ */
+function getSignedArea(positions) {
+  let sum = 0;
+  for (let i = 0; i < positions.length; i++) {
+    const [x1, y1] = positions[i];
+    const [x2, y2] = positions[(i + 1) % positions.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+/**
+ * Write main (.shp) and index (.shx) files
+ * @private
+ * @param {number} shapeType - ShapeType value of the layer
+ * @param {Array} shapes - [x, y] positions (points) or arrays of rings (polygons)
+ */
+function createShapeFiles(shapeType, shapes) {
+  const contents = shapes.map((shape) =>
+    shapeType === ShapeType.POINT
+      ? createPointContent(shape)
+      : createPolygonContent(shape)
+  );
+  const bounds = getBounds(
+    shapeType === ShapeType.POINT ? shapes : shapes.flat(2)
+  );
+
+  const shpLength =
+    100 + contents.reduce((sum, content) => sum + 8 + content.byteLength, 0);
+  const shp = new Uint8Array(shpLength);
+  const shx = new Uint8Array(100 + contents.length * 8);
+  const shpView = new DataView(shp.buffer);
+  const shxView = new DataView(shx.buffer);
+
+  writeFileHeader(shpView, shpLength, shapeType, bounds);
+  writeFileHeader(shxView, shx.length, shapeType, bounds);
+
+  let offset = 100;
+  contents.forEach((content, index) => {
+    // Offsets and lengths are big-endian 16-bit words
+    shxView.setInt32(100 + index * 8, offset / 2);
+    shxView.setInt32(104 + index * 8, content.byteLength / 2);
+
+    shpView.setInt32(offset, index + 1);
+    shpView.setInt32(offset + 4, content.byteLength / 2);
+    shp.set(new Uint8Array(content), offset + 8);
+    offset += 8 + content.byteLength;
+  });
+
+  return { shp, shx };
+}
+
+/**
+ * Write 100-byte header shared by .shp and .shx
+ * @private
+ */
+function writeFileHeader(view, byteLength, shapeType, bounds) {
+  view.setInt32(0, 9994);
+  view.setInt32(24, byteLength / 2);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, shapeType, true);
+  view.setFloat64(36, bounds.minX, true);
+  view.setFloat64(44, bounds.minY, true);
+  view.setFloat64(52, bounds.maxX, true);
+  view.setFloat64(60, bounds.maxY, true);
+  // Z and M ranges stay 0 for 2D shapes
+}
+
+/**
+ * Point record content
+ * @private
+ */
+function createPointContent([x, y]) {
+  const buffer = new ArrayBuffer(20);
+  const view = new DataView(buffer);
+  view.setInt32(0, ShapeType.POINT, true);
+  view.setFloat64(4, x, true);
+  view.setFloat64(12, y, true);
+  return buffer;
+}
+
+/**
+ * Polygon record content (bounding box, ring start indexes, points)
+ * @private
+ */
+function createPolygonContent(rings) {
+  const positions = rings.flat();
+  const bounds = getBounds(positions);
+  const pointsOffset = 44 + rings.length * 4;
+  const buffer = new ArrayBuffer(pointsOffset + positions.length * 16);
+  const view = new DataView(buffer);
+
+  view.setInt32(0, ShapeType.POLYGON, true);
+  view.setFloat64(4, bounds.minX, true);
+  view.setFloat64(12, bounds.minY, true);
+  view.setFloat64(20, bounds.maxX, true);
+  view.setFloat64(28, bounds.maxY, true);
+  view.setInt32(36, rings.length, true);
+  view.setInt32(40, positions.length, true);
+
+  let start = 0;
+  rings.forEach((ring, index) => {
+    view.setInt32(44 + index * 4, start, true);
+    start += ring.length;
+  });
+
+  positions.forEach(([x, y], index) => {
+    view.setFloat64(pointsOffset + index * 16, x, true);
+    view.setFloat64(pointsOffset + index * 16 + 8, y, true);
+  });
+
+  return buffer;
+}
+
+/**
+ * Bounding box of positions (zeros for an empty layer)
+ * @private
+ */
+function getBounds(positions) {
+  if (positions.length === 0) {
+    return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+
+  const xs = positions.map(([x]) => x);
+  const ys = positions.map(([, y]) => y);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+/**
+ * Write dBASE III attribute table (.dbf) with UTF-8 text
+ * @private
+ * @param {ReadonlyArray<Object>} definitions - Attribute definitions
+ * @param {Array<Object>} records - Objects passed to getValue
+ */
+function createDbf(definitions, records) {
+  const encoder = new TextEncoder();
+  const values = records.map((record) =>
+    definitions.map(({ getValue }) => getValue(record) ?? null)
+  );
+  const fields = definitions.map((definition, column) =>
+    createDbfField(
+      definition,
+      values.map((row) => row[column]),
+      encoder
+    )
+  );
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, { length }) => sum + length, 0);
+  const buffer = new Uint8Array(
+    headerLength + records.length * recordLength + 1
+  );
+  const view = new DataView(buffer.buffer);
+  const today = new Date();
+
+  buffer[0] = 0x03; // dBASE III without memo
+  buffer[1] = today.getFullYear() - 1900;
+  buffer[2] = today.getMonth() + 1;
+  buffer[3] = today.getDate();
+  view.setUint32(4, records.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach(({ name, type, length, decimals }, index) => {
+    const offset = 32 + index * 32;
+    buffer.set(encoder.encode(name), offset);
+    buffer[offset + 11] = type.charCodeAt(0);
+    buffer[offset + 16] = length;
+    buffer[offset + 17] = decimals;
+  });
+  buffer[headerLength - 1] = 0x0d;
+
+  values.forEach((row, index) => {
+    let offset = headerLength + index * recordLength;
+    buffer.fill(0x20, offset, offset + recordLength); // not deleted, blanks
+    offset += 1;
+
+    row.forEach((value, column) => {
+      const field = fields[column];
+      buffer.set(formatDbfValue(value, field, encoder), offset);
+      offset += field.length;
+    });
+  });
+  buffer[buffer.length - 1] = 0x1a;
+
+  return buffer;
+}
+
+/**
+ * Column descriptor fitted to the values (text width = longest UTF-8 value)
+ * @private
+ */
+function createDbfField({ key, dbfKey, type }, values, encoder) {
+  const name = dbfKey ?? key;
+  const number = DBF_NUMBER_FIELDS[type];
+  if (number) return { name, type: "N", ...number };
+
+  const length = values.reduce(
+    (max, value) =>
+      value === null
+        ? max
+        : Math.max(max, encoder.encode(String(value)).length),
+    1
+  );
+  return {
+    name,
+    type: "C",
+    length: Math.min(length, DBF_MAX_TEXT_LENGTH),
+    decimals: 0,
+  };
+}
+
+/**
+ * Encode value as fixed width field bytes (blank for null)
+ * @private
+ */
+function formatDbfValue(value, { type, length, decimals }, encoder) {
+  if (value === null) return new Uint8Array(0);
+
+  if (type === "N") {
+    const text = Number(value).toFixed(decimals);
+    return encoder.encode(
+      text.length > length ? "" : text.padStart(length, " ")
+    );
+  }
+
+  // Truncate by whole characters, so multi-byte letters are not split
+  let text = String(value);
+  let bytes = encoder.encode(text);
+  while (bytes.length > length) {
+    text = text.slice(0, -1);
+    bytes = encoder.encode(text);
+  }
+  return bytes;
+}
+
+export default { generateShapefileWithLayers };
@@ -0,0 +1,34 @@
+/**
+ * SqlJsLoader - Lazy initialization of the sql.js (SQLite WASM) library
+ *
+ * @description Shared by GeoPackage export and import, so the WASM module
+ * is downloaded and compiled only once. Single Responsibility Principle.
+ */
+
+// SQL.js WASM URL
+const SQL_WASM_URL =
+  "https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.wasm";
+
+let SQL = null;
+
+/**
+ * Initialize sql.js library (cached after the first call)
+ *
+ * @returns {Promise<Object>} sql.js module with Database constructor
+ * @throws {Error} If sql.js script is not loaded
+ */
+export async function loadSqlJs() {
+  if (SQL) return SQL;
+
+  if (typeof window.initSqlJs === "undefined") {
+    throw new Error("sql.js library not loaded");
+  }
+
+  SQL = await window.initSqlJs({
+    locateFile: () => SQL_WASM_URL,
+  });
+
+  return SQL;
+}
+
+export default { loadSqlJs };
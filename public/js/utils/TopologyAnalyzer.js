@@ -0,0 +1,223 @@
+/**
+ * TopologyAnalyzer - Shared boundaries and neighbourhood of listed parcels
+ *
+ * @description Finds boundary segments common to two parcels (collinear and
+ * overlapping within tolerance, so T-junctions without a shared vertex are
+ * detected too), builds the adjacency graph and splits the parcels into
+ * connected groups. Parcels touching only at a corner are not neighbours.
+ * Works in EPSG:2180. Single Responsibility Principle.
+ */
+
+import { CONFIG } from "../config.js";
+import { toCsv } from "./CsvUtils.js";
+import { toPlanarPolygons, getPlanarBounds } from "./GeometryUtils.js";
+import { calculateDistance } from "./AreaCalculator.js";
+
+/**
+ * Boundary shared by two parcels
+ * @typedef {Object} SharedBoundary
+ * @property {string} a - ID of the parcel earlier in the list
+ * @property {string} b - ID of the other parcel
+ * @property {number} length - Total length of common segments (m, on the ellipsoid)
+ * @property {Array<Array<{x: number, y: number}>>} segments - Common segments (EPSG:2180 endpoints)
+ */
+
+/**
+ * Topology of listed parcels
+ * @typedef {Object} Topology
+ * @property {Array<SharedBoundary>} boundaries - Shared boundaries in list order
+ * @property {Map<string, Array<string>>} neighbours - Parcel ID -> IDs of neighbours
+ * @property {Array<Array<string>>} groups - Connected groups of parcel IDs (largest first)
+ */
+
+/**
+ * Analyze shared boundaries and connectivity of parcels
+ *
+ * @param {Array<{id: string, geometry: Object}>} parcels - Parcels (geometry in parseWkt format)
+ * @param {number} [tolerance] - Maximum distance between boundaries treated as common (m)
+ * @returns {Topology} Topology
+ */
+export function analyzeTopology(
+  parcels,
+  tolerance = CONFIG.TOPOLOGY.TOLERANCE
+) {
+  const shapes = parcels.map(({ id, geometry }) => {
+    const segments = getSegments(toPlanarPolygons(geometry));
+    return { id, segments, bounds: getPlanarBounds(segments.flat()) };
+  });
+
+  const boundaries = [];
+  const neighbours = new Map(parcels.map(({ id }) => [id, []]));
+
+  for (let i = 0; i < shapes.length; i++) {
+    for (let j = i + 1; j < shapes.length; j++) {
+      if (!boundsTouch(shapes[i].bounds, shapes[j].bounds, tolerance)) continue;
+
+      const segments = getCommonSegments(
+        shapes[i].segments,
+        shapes[j].segments,
+        tolerance
+      );
+      if (segments.length === 0) continue;
+
+      boundaries.push({
+        a: shapes[i].id,
+        b: shapes[j].id,
+        length: segments.reduce(
+          (sum, [start, end]) => sum + calculateDistance(start, end),
+          0
+        ),
+        segments,
+      });
+      neighbours.get(shapes[i].id).push(shapes[j].id);
+      neighbours.get(shapes[j].id).push(shapes[i].id);
+    }
+  }
+
+  return { boundaries, neighbours, groups: getGroups(neighbours) };
+}
+
+/**
+ * Generate CSV of shared boundaries (one row per pair of neighbours)
+ *
+ * @param {Topology} topology - Result of analyzeTopology
+ * @returns {string} CSV document
+ */
+export function generateSharedBoundaryCsv(topology) {
+  const groupOf = getGroupIndex(topology.groups);
+
+  return toCsv([
+    ["identyfikator_a", "identyfikator_b", "dlugosc_granicy_m", "grupa"],
+    ...topology.boundaries.map(({ a, b, length }) => [
+      a,
+      b,
+      length.toFixed(2),
+      groupOf.get(a),
+    ]),
+  ]);
+}
+
+/**
+ * Generate CSV of connected groups (one row per parcel)
+ *
+ * @param {Topology} topology - Result of analyzeTopology
+ * @returns {string} CSV document
+ */
+export function generateTopologyGroupsCsv(topology) {
+  return toCsv([
+    ["grupa", "identyfikator", "liczba_sasiadow", "sasiedzi"],
+    ...topology.groups.flatMap((group, index) =>
+      group.map((id) => {
+        const neighbours = topology.neighbours.get(id);
+        return [index + 1, id, neighbours.length, neighbours.join(" ")];
+      })
+    ),
+  ]);
+}
+
+/**
+ * Ring segments of planar polygons as [start, end] pairs
+ * @private
+ */
+function getSegments(polygons) {
+  return polygons
+    .flat()
+    .flatMap((ring) => ring.slice(1).map((end, i) => [ring[i], end]));
+}
+
+/**
+ * Check if bounding boxes overlap or lie within tolerance
+ * @private
+ */
+function boundsTouch(a, b, tolerance) {
+  return (
+    a.minX - tolerance <= b.maxX &&
+    b.minX - tolerance <= a.maxX &&
+    a.minY - tolerance <= b.maxY &&
+    b.minY - tolerance <= a.maxY
+  );
+}
+
+/**
+ * Parts of segments of A overlapped by collinear segments of B
+ * @private
+ */
+function getCommonSegments(segmentsA, segmentsB, tolerance) {
+  const common = [];
+
+  segmentsA.forEach(([p, q]) => {
+    const length = Math.hypot(q.x - p.x, q.y - p.y);
+    if (length <= tolerance) return;
+
+    // Unit direction of the segment of A
+    const ux = (q.x - p.x) / length;
+    const uy = (q.y - p.y) / length;
+    const offset = (point) =>
+      Math.abs((point.x - p.x) * uy - (point.y - p.y) * ux);
+    const along = (point) => (point.x - p.x) * ux + (point.y - p.y) * uy;
+
+    segmentsB.forEach(([r, t]) => {
+      if (offset(r) > tolerance || offset(t) > tolerance) return;
+
+      const start = Math.max(0, Math.min(along(r), along(t)));
+      const end = Math.min(length, Math.max(along(r), along(t)));
+      if (end - start <= tolerance) return;
+
+      common.push([
+        { x: p.x + ux * start, y: p.y + uy * start },
+        { x: p.x + ux * end, y: p.y + uy * end },
+      ]);
+    });
+  });
+
+  return common;
+}
+
+/**
+ * Connected components of the adjacency graph, largest first
+ * @private
+ */
+function getGroups(neighbours) {
+  const visited = new Set();
+  const groups = [];
+
+  neighbours.forEach((_, id) => {
+    if (visited.has(id)) return;
+
+    const group = [];
+    const stack = [id];
+    visited.add(id);
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      group.push(current);
+
+      neighbours.get(current).forEach((neighbour) => {
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          stack.push(neighbour);
+        }
+      });
+    }
+
+    groups.push(group);
+  });
+
+  return groups.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Map parcel ID -> group number (1-based)
+ * @private
+ */
+function getGroupIndex(groups) {
+  return new Map(
+    groups.flatMap((group, index) => group.map((id) => [id, index + 1]))
+  );
+}
+
+export default {
+  analyzeTopology,
+  generateSharedBoundaryCsv,
+  generateTopologyGroupsCsv,
+};
@@ -2,9 +2,12 @@
  * WktParser - Parses Well-Known Text (WKT) geometry format
  *
  * @description Converts WKT POLYGON strings from ULDK API responses
- * to coordinate arrays usable by Leaflet. Single Responsibility Principle.
+ * to coordinate arrays usable by Leaflet. Original EPSG:2180 coordinates
+ * are kept on every vertex (x, y) for exports in the national system.
+ * Single Responsibility Principle.
  */
 
+import { CoordinateSystem } from "../config.js";
 import { coordinateTransformer } from "./CoordinateTransformer.js";
 
 /**
@@ -19,12 +22,12 @@ const GeometryType = Object.freeze({
  * Parse WKT string and extract coordinates in WGS84 format
  *
  * @param {string} wktString - WKT geometry string, may include SRID prefix
- * @returns {{type: string, coordinates: Array<Array<{lat: number, lng: number}>>}} Parsed geometry
+ * @returns {{type: string, coordinates: Array<Array<{lat: number, lng: number, x: number, y: number}>>}} Parsed geometry
  * @throws {Error} If WKT format is invalid or unsupported
  *
  * @example
  * const result = parseWkt('SRID=2180;POLYGON((x1 y1, x2 y2, x3 y3))');
- * // Returns: { type: 'POLYGON', coordinates: [[{lat, lng}, ...]] }
+ * // Returns: { type: 'POLYGON', coordinates: [[{lat, lng, x, y}, ...]] }
  */
 export function parseWkt(wktString) {
   if (!wktString || typeof wktString !== "string") {
@@ -146,8 +149,8 @@ function parseCoordinatePairs(coordinateString) {
       throw new TypeError(`Invalid coordinate pair: ${pair}`);
     }
 
-    // Transform from EPSG:2180 to WGS84
-    return coordinateTransformer.toWGS84(x, y);
+    // Transform from EPSG:2180 to WGS84, keeping the original coordinates
+    return { ...coordinateTransformer.toWGS84(x, y), x, y };
   });
 }
 
@@ -184,4 +187,47 @@ export function extractVertices(geometry) {
   return vertices;
 }
 
-export default { parseWkt, extractVertices };
+/**
+ * Convert parsed geometry back to WKT in EPSG:2180 (inverse of parseWkt)
+ * Used for geometries that come from imported files instead of ULDK.
+ *
+ * @param {{type: string, coordinates: Array}} geometry - Geometry in parseWkt format (WGS84)
+ * @returns {string} WKT with SRID prefix, same form as ULDK responses
+ *
+ * @example
+ * geometryToWkt({ type: 'POLYGON', coordinates: [[{lat, lng}, ...]] });
+ * // Returns: 'SRID=2180;POLYGON((x1 y1,x2 y2,...))'
+ */
+export function geometryToWkt(geometry) {
+  const polygonToWkt = (rings) =>
+    `(${rings.map((ring) => `(${formatCoordinatePairs(ring)})`).join(",")})`;
+
+  switch (geometry.type) {
+    case GeometryType.POLYGON:
+      return `SRID=2180;POLYGON${polygonToWkt(geometry.coordinates)}`;
+    case GeometryType.MULTIPOLYGON:
+      return `SRID=2180;MULTIPOLYGON(${geometry.coordinates
+        .map(polygonToWkt)
+        .join(",")})`;
+    default:
+      throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * Format ring as EPSG:2180 coordinate pairs (millimetre precision)
+ * @private
+ */
+function formatCoordinatePairs(ring) {
+  return ring
+    .map((coord) => {
+      const [x, y] = coordinateTransformer.project(
+        coord,
+        CoordinateSystem.PUWG_1992
+      );
+      return `${x.toFixed(3)} ${y.toFixed(3)}`;
+    })
+    .join(",");
+}
+
+export default { parseWkt, extractVertices, geometryToWkt };
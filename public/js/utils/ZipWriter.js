@@ -0,0 +1,136 @@
+/**
+ * ZipWriter - Packs generated files into a ZIP archive
+ *
+ * @description Writes an uncompressed (stored) ZIP archive in the browser,
+ * so multi-file exports download as one file without an extra library.
+ * File names are flagged as UTF-8. Single Responsibility Principle.
+ */
+
+// ZIP record signatures
+const Signature = Object.freeze({
+  LOCAL_FILE: 0x04034b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+});
+
+// Version 2.0 (needed for stored files), general purpose bit 11 (UTF-8 names)
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Create ZIP archive of files
+ *
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Files (strings are written as UTF-8)
+ * @param {Date} [date] - Modification date of the files
+ * @returns {Uint8Array} ZIP archive
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(date);
+
+  const entries = files.map(({ name, data }) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce(
+    (sum, { name, bytes }) => sum + 30 + name.length + bytes.length,
+    0
+  );
+  const centralSize = entries.reduce(
+    (sum, { name }) => sum + 46 + name.length,
+    0
+  );
+  const buffer = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+
+  // Local file headers followed by file data
+  entries.forEach((entry) => {
+    entry.offset = offset;
+    view.setUint32(offset, Signature.LOCAL_FILE, true);
+    writeEntryHeader(view, offset + 4, entry, time, day);
+    buffer.set(entry.name, offset + 30);
+    buffer.set(entry.bytes, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.bytes.length;
+  });
+
+  // Central directory
+  entries.forEach((entry) => {
+    view.setUint32(offset, Signature.CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 4, ZIP_VERSION, true);
+    writeEntryHeader(view, offset + 6, entry, time, day);
+    // Comment length, disk number, attributes stay 0
+    view.setUint32(offset + 42, entry.offset, true);
+    buffer.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  view.setUint32(offset, Signature.END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, localSize, true);
+
+  return buffer;
+}
+
+/**
+ * Fields shared by local and central headers (version needed ... extra length)
+ * @private
+ */
+function writeEntryHeader(view, offset, entry, time, day) {
+  view.setUint16(offset, ZIP_VERSION, true);
+  view.setUint16(offset + 2, UTF8_FLAG, true);
+  view.setUint16(offset + 4, 0, true); // stored, no compression
+  view.setUint16(offset + 6, time, true);
+  view.setUint16(offset + 8, day, true);
+  view.setUint32(offset + 10, entry.crc, true);
+  view.setUint32(offset + 14, entry.bytes.length, true);
+  view.setUint32(offset + 18, entry.bytes.length, true);
+  view.setUint16(offset + 22, entry.name.length, true);
+  view.setUint16(offset + 24, 0, true);
+}
+
+/**
+ * Date in MS-DOS format (2-second resolution, years from 1980)
+ * @private
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    day:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * CRC-32 checksum (IEEE polynomial) of bytes
+ * @private
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256).map((_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c;
+    });
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export default { createZip };